@@ -1,6 +1,36 @@
 // backend/adaptiveScraper.js - Self-Learning Scraping System
 const fs = require('fs').promises;
 const path = require('path');
+const cheerio = require('cheerio');
+const { retailers, getRetailer, UNKNOWN_ADAPTER } = require('./retailers');
+const { currencyFromPriceText } = require('./currency');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'adaptive-scraper' });
+
+// Config entries only hold what we learn from traffic; base selectors live in the retailer registry
+function emptyLearnedEntry(successRate = 0) {
+  return {
+    successRate,
+    commonFailures: [],
+    titleSelectors: [],
+    priceSelectors: [],
+    imageSelectors: [],
+    variantSelectors: []
+  };
+}
+
+function retailerKeyFor(retailer) {
+  const adapter = getRetailer(retailer);
+  return adapter === UNKNOWN_ADAPTER ? String(retailer || '').toLowerCase().replace(/\s+/g, ' ') : adapter.key;
+}
+
+function parsePrice(text) {
+  const match = String(text || '').replace(/,/g, '').match(/(\d+(?:\.\d{1,2})?)/);
+  if (!match) return null;
+  const price = parseFloat(match[1]);
+  return price > 0 && price < 1000000 ? price : null;
+}
 
 class AdaptiveScraper {
   constructor() {
@@ -20,165 +50,42 @@ class AdaptiveScraper {
       if (configExists) {
         const configData = await fs.readFile(this.configPath, 'utf8');
         this.config = JSON.parse(configData);
-        console.log('📚 Loaded adaptive scraping config');
+        log.debug('📚 Loaded adaptive scraping config');
       } else {
         this.config = this.getDefaultConfig();
         await this.saveConfig();
-        console.log('🆕 Created new adaptive scraping config');
+        log.debug('🆕 Created new adaptive scraping config');
       }
       
       this.initialized = true;
     } catch (error) {
-      console.error('❌ Failed to initialize adaptive scraper:', error);
+      log.error('❌ Failed to initialize adaptive scraper:', error);
       this.config = this.getDefaultConfig();
       this.initialized = true;
     }
   }
 
   getDefaultConfig() {
-    return {
-      version: "1.0",
+    const config = {
+      version: "2.0",
       lastUpdated: new Date().toISOString(),
-      retailers: {
-        "amazon": {
-          successRate: 0.8,
-          commonFailures: [],
-          titleSelectors: [
-            "#productTitle",
-            "h1.a-size-large",
-            "h1[data-automation-id='product-title']"
-          ],
-          priceSelectors: [
-            ".a-price-whole",
-            ".a-price .a-offscreen",
-            ".a-price-range .a-price .a-offscreen"
-          ],
-          imageSelectors: [
-            "#landingImage",
-            ".a-dynamic-image",
-            "img[data-old-hires]",
-            ".imgTagWrapper img"
-          ],
-          variantSelectors: [
-            ".a-button-selected .a-button-text",
-            ".a-dropdown-prompt",
-            "#variation_color_name .selection",
-            "#variation_size_name .selection",
-            "#variation_style_name .selection",
-            ".swatches .a-button-selected span"
-          ]
-        },
-        "wayfair": {
-          successRate: 0.75,
-          commonFailures: [],
-          titleSelectors: [
-            "h1[data-testid='product-title']",
-            "h1.ProductTitle"
-          ],
-          priceSelectors: [
-            ".MoneyPrice",
-            "[data-testid='price']"
-          ],
-          imageSelectors: [
-            "img[data-testid='product-image']",
-            ".ProductImages img"
-          ],
-          variantSelectors: [
-            ".SelectedOption",
-            ".option-selected",
-            ".selected-swatch",
-            "[data-testid='selected-option']",
-            ".ProductOptionPills .selected",
-            ".OptionPill.selected"
-          ]
-        },
-        "target": {
-          successRate: 0.7,
-          commonFailures: [],
-          titleSelectors: [
-            "h1[data-test='product-title']",
-            "h1.ProductTitle"
-          ],
-          priceSelectors: [
-            "[data-test='product-price']",
-            ".h-text-red"
-          ],
-          imageSelectors: [
-            ".ProductImages img",
-            "img[data-test='product-image']"
-          ],
-          variantSelectors: [
-            ".selected-variant",
-            ".h-text-bold",
-            "[data-test='selected-variant']",
-            ".swatch--selected"
-          ]
-        },
-        "ikea": {
-          successRate: 0.6,
-          commonFailures: ["variants_incomplete"],
-          titleSelectors: [
-            "h1.notranslate",
-            ".range-revamp-header-section h1",
-            ".pip-header-section h1"
-          ],
-          priceSelectors: [
-            ".notranslate .range-revamp-price",
-            ".pip-price-module__current-price",
-            ".range-revamp-price__integer"
-          ],
-          imageSelectors: [
-            ".range-revamp-media-grid img",
-            ".pip-media-grid img",
-            ".range-revamp-aspect-ratio-image img"
-          ],
-          variantSelectors: [
-            ".range-revamp-pip-selected",
-            ".pip-selected",
-            ".range-revamp-color-image.selected",
-            ".range-revamp-size-option.selected",
-            "[aria-pressed='true']",
-            ".range-revamp-pip-color-image[aria-pressed='true']",
-            ".range-revamp-pip-size[aria-pressed='true']"
-          ]
-        },
-        "crate & barrel": {
-          successRate: 0.5,
-          commonFailures: ["low_success_rate"],
-          titleSelectors: [
-            "h1.product-name",
-            ".pdp-product-name h1",
-            ".product-details h1"
-          ],
-          priceSelectors: [
-            ".price-current",
-            ".product-price .price",
-            ".pdp-price .price-current"
-          ],
-          imageSelectors: [
-            ".product-images img",
-            ".pdp-images img",
-            ".hero-image img"
-          ],
-          variantSelectors: [
-            ".selected-swatch",
-            ".swatch.selected",
-            ".option-selected",
-            ".variant-selected",
-            "[data-selected='true']",
-            ".color-swatch.selected",
-            ".size-option.selected"
-          ]
-        }
-      }
+      retailers: {}
     };
+    
+    retailers
+      .filter(adapter => adapter.selectors)
+      .forEach(adapter => {
+        config.retailers[adapter.key] = emptyLearnedEntry(0.7);
+      });
+    
+    return config;
   }
 
   async saveConfig() {
     try {
       await fs.writeFile(this.configPath, JSON.stringify(this.config, null, 2));
     } catch (error) {
-      console.error('❌ Failed to save adaptive config:', error);
+      log.error('❌ Failed to save adaptive config:', error);
     }
   }
 
@@ -186,17 +93,10 @@ class AdaptiveScraper {
   async recordScrapingAttempt(url, retailer, success, extractedData, failureReasons = []) {
     await this.initialize();
     
-    const retailerKey = retailer.toLowerCase().replace(/\s+/g, ' ');
+    const retailerKey = retailerKeyFor(retailer);
     
     if (!this.config.retailers[retailerKey]) {
-      this.config.retailers[retailerKey] = {
-        successRate: 0,
-        commonFailures: [],
-        titleSelectors: [],
-        priceSelectors: [],
-        imageSelectors: [],
-        variantSelectors: []
-      };
+      this.config.retailers[retailerKey] = emptyLearnedEntry();
     }
     
     const retailerConfig = this.config.retailers[retailerKey];
@@ -236,7 +136,7 @@ class AdaptiveScraper {
       retailerData.splice(0, retailerData.length - 50);
     }
     
-    console.log(`📊 Recorded ${success ? 'successful' : 'failed'} scrape for ${retailer} (Success rate: ${(retailerConfig.successRate * 100).toFixed(1)}%)`);
+    log.debug(`📊 Recorded ${success ? 'successful' : 'failed'} scrape for ${retailer} (Success rate: ${(retailerConfig.successRate * 100).toFixed(1)}%)`);
     
     // Auto-improve if success rate is low
     if (retailerConfig.successRate < 0.6) {
@@ -249,20 +149,75 @@ class AdaptiveScraper {
     }
   }
 
-  // Get optimized selectors for a retailer
+  // Get optimized selectors for a retailer: registry selectors, then learned ones, then generic fallbacks
   getSelectorsForRetailer(retailer) {
-    const retailerKey = retailer.toLowerCase().replace(/\s+/g, ' ');
-    const config = this.config?.retailers[retailerKey];
+    const retailerKey = retailerKeyFor(retailer);
+    const base = getRetailer(retailer).selectors || {};
+    const learned = this.config?.retailers[retailerKey] || emptyLearnedEntry();
+    const generic = this.getGenericSelectors();
+    const merge = (...lists) => Array.from(new Set(lists.flat().filter(Boolean)));
     
-    if (!config) {
-      return this.getGenericSelectors();
+    return {
+      title: merge(base.title, learned.titleSelectors, generic.title),
+      price: merge(base.price, learned.priceSelectors, generic.price),
+      image: merge(base.image, learned.imageSelectors, generic.image),
+      variant: merge(base.variant, learned.variantSelectors, generic.variant)
+    };
+  }
+
+  // Run the merged selectors over fetched HTML; returns the fields found and why anything is missing
+  async extractProduct(html, url, retailer) {
+    await this.initialize();
+    
+    const $ = cheerio.load(html);
+    const selectors = this.getSelectorsForRetailer(retailer);
+    
+    const firstText = (list) => {
+      for (const selector of list) {
+        const text = $(selector).first().text().replace(/\s+/g, ' ').trim();
+        if (text) return text;
+      }
+      return null;
+    };
+    
+    let price = null;
+    let currency = null;
+    for (const selector of selectors.price) {
+      const element = $(selector).first();
+      const priceText = element.attr('content') || element.text();
+      price = parsePrice(priceText);
+      if (price) {
+        currency = currencyFromPriceText(priceText);
+        break;
+      }
     }
     
+    let image = null;
+    for (const selector of selectors.image) {
+      const element = $(selector).first();
+      const src = element.attr('data-old-hires') || element.attr('src') || element.attr('data-src');
+      if (src && !src.startsWith('data:')) {
+        try {
+          image = new URL(src, url).href;
+        } catch (e) {
+          image = null;
+        }
+        if (image) break;
+      }
+    }
+    
+    const name = firstText(selectors.title);
+    const variant = firstText(selectors.variant);
+    
+    const failureReasons = [];
+    if (!name) failureReasons.push('no_title');
+    if (!price) failureReasons.push('no_price');
+    if (!image) failureReasons.push('no_image');
+    
     return {
-      title: [...config.titleSelectors, ...this.getGenericSelectors().title],
-      price: [...config.priceSelectors, ...this.getGenericSelectors().price],
-      image: [...config.imageSelectors, ...this.getGenericSelectors().image],
-      variant: [...config.variantSelectors, ...this.getGenericSelectors().variant]
+      data: { name, price, currency, image, variant },
+      success: !!(name && price),
+      failureReasons
     };
   }
 
@@ -311,7 +266,7 @@ class AdaptiveScraper {
     
     if (recentFailures.length === 0) return;
     
-    console.log(`🔍 Analyzing ${recentFailures.length} recent failures for ${retailerKey}...`);
+    log.info(`🔍 Analyzing ${recentFailures.length} recent failures for ${retailerKey}...`);
     
     // Analyze common failure patterns
     const failurePatterns = {};
@@ -335,7 +290,7 @@ class AdaptiveScraper {
     }
     
     if (suggestions.length > 0) {
-      console.log(`💡 Suggestions for ${retailerKey}:`, suggestions);
+      log.info(`💡 Suggestions for ${retailerKey}:`, suggestions);
       
       // Auto-add some common selectors
       await this.autoImproveSelectors(retailerKey, failurePatterns);
@@ -345,6 +300,7 @@ class AdaptiveScraper {
   // Automatically add new selectors based on failure patterns
   async autoImproveSelectors(retailerKey, failurePatterns) {
     const config = this.config.retailers[retailerKey];
+    const current = this.getSelectorsForRetailer(retailerKey);
     let improved = false;
     
     // Add common missing selectors
@@ -357,7 +313,7 @@ class AdaptiveScraper {
       ];
       
       newTitleSelectors.forEach(selector => {
-        if (!config.titleSelectors.includes(selector)) {
+        if (!current.title.includes(selector)) {
           config.titleSelectors.push(selector);
           improved = true;
         }
@@ -373,7 +329,7 @@ class AdaptiveScraper {
       ];
       
       newPriceSelectors.forEach(selector => {
-        if (!config.priceSelectors.includes(selector)) {
+        if (!current.price.includes(selector)) {
           config.priceSelectors.push(selector);
           improved = true;
         }
@@ -389,7 +345,7 @@ class AdaptiveScraper {
       ];
       
       newVariantSelectors.forEach(selector => {
-        if (!config.variantSelectors.includes(selector)) {
+        if (!current.variant.includes(selector)) {
           config.variantSelectors.push(selector);
           improved = true;
         }
@@ -397,7 +353,7 @@ class AdaptiveScraper {
     }
     
     if (improved) {
-      console.log(`🔧 Auto-improved selectors for ${retailerKey}`);
+      log.info(`🔧 Auto-improved selectors for ${retailerKey}`);
       await this.saveConfig();
     }
   }
@@ -417,10 +373,10 @@ class AdaptiveScraper {
         ).length,
         commonFailures: config.commonFailures,
         selectorCount: {
-          title: config.titleSelectors.length,
-          price: config.priceSelectors.length,
-          image: config.imageSelectors.length,
-          variant: config.variantSelectors.length
+          title: this.getSelectorsForRetailer(retailer).title.length,
+          price: this.getSelectorsForRetailer(retailer).price.length,
+          image: this.getSelectorsForRetailer(retailer).image.length,
+          variant: this.getSelectorsForRetailer(retailer).variant.length
         }
       };
     }
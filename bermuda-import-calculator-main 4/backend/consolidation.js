@@ -0,0 +1,251 @@
+// backend/consolidation.js - Prices ocean freight for a whole cart as one consolidated shipment
+// Per-item freight charges every item a minimum and a handling fee; the forwarder actually bills the
+// shipment, so here every carton in the cart is packed together and the cost is shared back out to the items.
+const { hasValidDimensions, cubicFeetOf } = require('./boxEstimator');
+
+// Standard 48" × 40" pallet; cargo is stacked up to 60" on a 6" deck
+const PALLET = {
+  length: 48,
+  width: 40,
+  deckHeight: 6,
+  maxCargoHeight: 60,
+  maxWeight: 1500
+};
+
+// Handling per unit falls as the cart grows; share of the rate card handlingFee charged per unit
+const HANDLING_TIERS = [
+  { fromUnit: 1, share: 1 },
+  { fromUnit: 2, share: 0.5 },
+  { fromUnit: 6, share: 0.25 }
+];
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function roundCubicFeet(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Lowest orientation whose footprint fits on the pallet (lying flat is the most stable), or null
+function palletOrientation(carton) {
+  const sides = [carton.length, carton.width, carton.height].map(Number).sort((a, b) => a - b);
+  const orientations = [
+    [sides[2], sides[1], sides[0]],
+    [sides[2], sides[0], sides[1]],
+    [sides[1], sides[0], sides[2]]
+  ];
+
+  for (const [a, b, height] of orientations) {
+    if (height > PALLET.maxCargoHeight) continue;
+    if (a <= PALLET.length && b <= PALLET.width) return { length: a, width: b, height };
+    if (a <= PALLET.width && b <= PALLET.length) return { length: b, width: a, height };
+  }
+  return null;
+}
+
+// Shelf placement inside one layer: rows run along the pallet length and stack across its width.
+// Both footprint rotations are tried, so two 24" × 34" cartons can sit side by side along 48".
+function placeInLayer(layer, carton) {
+  const footprints = [[carton.length, carton.width], [carton.width, carton.length]];
+
+  for (const shelf of layer.shelves) {
+    for (const [length, width] of footprints) {
+      if (shelf.used + length <= PALLET.length && width <= shelf.depth) {
+        shelf.used += length;
+        layer.height = Math.max(layer.height, carton.height);
+        return true;
+      }
+    }
+  }
+
+  const usedWidth = layer.shelves.reduce((total, shelf) => total + shelf.depth, 0);
+  // A new shelf takes the rotation that would fit the most cartons of this size on a layer
+  const perLayer = ([length, width]) => Math.floor(PALLET.length / length) * Math.floor(PALLET.width / width);
+  const [length, width] = footprints
+    .filter(([candidateLength]) => candidateLength <= PALLET.length)
+    .sort((a, b) => perLayer(b) - perLayer(a) || a[1] - b[1])[0] || [];
+  if (length && usedWidth + width <= PALLET.width) {
+    layer.shelves.push({ used: length, depth: width });
+    layer.height = Math.max(layer.height, carton.height);
+    return true;
+  }
+  return false;
+}
+
+function placeOnPallet(pallet, carton) {
+  if (pallet.weight + carton.weight > PALLET.maxWeight) return false;
+
+  const topLayer = pallet.layers[pallet.layers.length - 1];
+  const stackedHeight = pallet.layers.reduce((total, layer) => total + layer.height, 0);
+
+  // The top layer can grow taller only if the stack still fits
+  if (topLayer && stackedHeight - topLayer.height + Math.max(topLayer.height, carton.height) <= PALLET.maxCargoHeight) {
+    if (placeInLayer(topLayer, carton)) {
+      pallet.cartons += 1;
+      pallet.weight += carton.weight;
+      return true;
+    }
+  }
+
+  if (stackedHeight + carton.height <= PALLET.maxCargoHeight) {
+    const layer = { height: 0, shelves: [] };
+    placeInLayer(layer, carton);
+    pallet.layers.push(layer);
+    pallet.cartons += 1;
+    pallet.weight += carton.weight;
+    return true;
+  }
+  return false;
+}
+
+// Layer-by-layer shelf packing, tallest then largest footprint first so layers hold cartons of
+// similar height. Not optimal, but close enough to price
+// pallet space; cartons that do not fit on a pallet ship loose and are billed on their own volume.
+function packPallets(cartons) {
+  const palletable = [];
+  const loose = [];
+
+  cartons.forEach(carton => {
+    const oriented = palletOrientation(carton);
+    if (oriented && (Number(carton.weight) || 0) <= PALLET.maxWeight) {
+      palletable.push({ ...oriented, weight: Number(carton.weight) || 0 });
+    } else {
+      loose.push(carton);
+    }
+  });
+
+  palletable.sort((a, b) => b.height - a.height || (b.length * b.width) - (a.length * a.width));
+
+  const pallets = [];
+  palletable.forEach(carton => {
+    const pallet = pallets.find(candidate => placeOnPallet(candidate, carton));
+    if (!pallet) {
+      const fresh = { layers: [], cartons: 0, weight: 0 };
+      placeOnPallet(fresh, carton);
+      pallets.push(fresh);
+    }
+  });
+
+  return {
+    pallets: pallets.map(pallet => {
+      const cargoHeight = pallet.layers.reduce((total, layer) => total + layer.height, 0);
+      return {
+        cartons: pallet.cartons,
+        layers: pallet.layers.length,
+        height: Math.round((cargoHeight + PALLET.deckHeight) * 10) / 10,
+        weight: Math.round(pallet.weight * 10) / 10,
+        cubicFeet: roundCubicFeet((PALLET.length * PALLET.width * (cargoHeight + PALLET.deckHeight)) / 1728)
+      };
+    }),
+    loose: loose.map(carton => ({ ...carton, cubicFeet: roundCubicFeet(cubicFeetOf(carton)) }))
+  };
+}
+
+function handlingForUnits(units, handlingFee) {
+  let total = 0;
+  for (let unit = 1; unit <= units; unit++) {
+    const tier = HANDLING_TIERS.filter(candidate => unit >= candidate.fromUnit).pop();
+    total += handlingFee * tier.share;
+  }
+  return roundMoney(total);
+}
+
+// Splits an amount in proportion to weights, in whole cents, so the parts add up exactly
+function allocate(amount, weights) {
+  const cents = Math.round(amount * 100);
+  const totalWeight = weights.reduce((total, weight) => total + weight, 0);
+  if (totalWeight <= 0) {
+    return weights.map((weight, index) => (index === 0 ? cents / 100 : 0));
+  }
+
+  const raw = weights.map(weight => (cents * weight) / totalWeight);
+  const parts = raw.map(Math.floor);
+  let remainder = cents - parts.reduce((total, part) => total + part, 0);
+  raw
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        parts[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return parts.map(part => part / 100);
+}
+
+// entries: [{ boxes, quantity, weight (lbs per unit), billableCubicFeet (per-item basis, all units) }]
+// Returns the shipment summary plus allocations[i] = { base, handling } for entries[i]
+function consolidateFreight(entries, rates) {
+  const cartons = [];
+  let actualWeight = 0;
+
+  entries.forEach(entry => {
+    const boxes = (entry.boxes || []).filter(hasValidDimensions);
+    const unitWeight = Number(entry.weight) || 0;
+    actualWeight += unitWeight * entry.quantity;
+    for (let unit = 0; unit < entry.quantity; unit++) {
+      boxes.forEach(box => cartons.push({ ...box, weight: boxes.length > 0 ? unitWeight / boxes.length : 0 }));
+    }
+  });
+
+  const cartonCubicFeet = cartons.reduce((total, carton) => total + cubicFeetOf(carton), 0);
+
+  // Small carts travel loose in a shared container; larger ones are palletised
+  let method = 'lcl';
+  let pallets = [];
+  let loose = cartons;
+  let shippedCubicFeet = cartonCubicFeet;
+  if (cartonCubicFeet >= rates.palletThresholdCubicFeet) {
+    const packed = packPallets(cartons);
+    method = 'pallet';
+    pallets = packed.pallets;
+    loose = packed.loose;
+    shippedCubicFeet = pallets.reduce((total, pallet) => total + pallet.cubicFeet, 0) +
+                       loose.reduce((total, carton) => total + cubicFeetOf(carton), 0);
+  }
+
+  // Dense shipments are billed on weight, as for single items
+  const divisor = rates.dimWeightDivisor;
+  const dimensionalWeight = divisor > 0 ? (shippedCubicFeet * 1728) / divisor : 0;
+  const billedOnWeight = divisor > 0 && actualWeight > dimensionalWeight;
+  const billableCubicFeet = billedOnWeight ? (actualWeight * divisor) / 1728 : shippedCubicFeet;
+
+  const volumeFreight = billableCubicFeet * rates.freightRatePerCubicFoot;
+  const base = roundMoney(Math.max(rates.minimumFreight, volumeFreight));
+  const units = entries.reduce((total, entry) => total + entry.quantity, 0);
+  const handling = handlingForUnits(units, rates.handlingFee);
+
+  const baseShares = allocate(base, entries.map(entry => entry.billableCubicFeet));
+  const handlingShares = allocate(handling, entries.map(entry => entry.quantity));
+
+  return {
+    method,
+    cartonCount: cartons.length,
+    units,
+    pallets,
+    looseCartons: method === 'pallet' ? loose.length : cartons.length,
+    cartonCubicFeet: roundCubicFeet(cartonCubicFeet),
+    shippedCubicFeet: roundCubicFeet(shippedCubicFeet),
+    billableCubicFeet: roundCubicFeet(billableCubicFeet),
+    weight: {
+      actual: Math.round(actualWeight * 10) / 10,
+      dimensional: Math.round(dimensionalWeight * 10) / 10,
+      divisor,
+      basis: billedOnWeight ? 'actual' : 'dimensional'
+    },
+    minimumApplied: volumeFreight < rates.minimumFreight,
+    base,
+    handling,
+    total: roundMoney(base + handling),
+    allocations: entries.map((entry, index) => ({ base: baseShares[index], handling: handlingShares[index] }))
+  };
+}
+
+module.exports = {
+  PALLET,
+  HANDLING_TIERS,
+  packPallets,
+  consolidateFreight
+};
@@ -0,0 +1,180 @@
+// backend/currency.js - Exchange rates for pricing foreign-currency products in USD
+// Every quote is calculated in USD; scraped prices in other currencies are converted once at scrape time
+// with the locally stored rate, and the original price is kept so customers and staff can see the conversion.
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'currency' });
+
+const SUPPORTED_CURRENCIES = ['USD', 'BMD', 'CAD', 'GBP', 'EUR'];
+
+// USD per one unit of the currency; used until an admin stores a rate. BMD is pegged 1:1 to USD.
+const DEFAULT_USD_RATES = {
+  USD: 1,
+  BMD: 1,
+  CAD: 0.73,
+  GBP: 1.27,
+  EUR: 1.08
+};
+
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  BMD: 'BD$',
+  CAD: 'CA$',
+  GBP: '£',
+  EUR: '€'
+};
+
+class ExchangeRateError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ExchangeRateError';
+    this.statusCode = statusCode;
+  }
+}
+
+function normalizeCurrency(currency) {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : '';
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+}
+
+// Storefront country from the URL, for pages that do not state a currency (ikea.com/ca/, amazon.co.uk)
+function currencyForUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsed.hostname.toLowerCase();
+  const firstPathSegment = parsed.pathname.split('/')[1] || '';
+
+  if (host.endsWith('.ca') || firstPathSegment === 'ca') return 'CAD';
+  if (host.endsWith('.co.uk') || host.endsWith('.uk') || ['gb', 'uk'].includes(firstPathSegment)) return 'GBP';
+  if (host.endsWith('.bm')) return 'BMD';
+  if (/\.(de|fr|it|es|ie|nl|be|at|pt|fi)$/.test(host) || ['de', 'fr', 'it', 'es', 'ie', 'nl'].includes(firstPathSegment)) return 'EUR';
+  return null;
+}
+
+// Currency from a displayed price such as "£129.99", "CA$199" or "€45,00"; bare "$" is ambiguous
+function currencyFromPriceText(text) {
+  const value = String(text || '');
+  if (/£|\bGBP\b/i.test(value)) return 'GBP';
+  if (/€|\bEUR\b/i.test(value)) return 'EUR';
+  if (/\b(CA|C)\$|\bCAD\b/i.test(value)) return 'CAD';
+  if (/\bBD\$|\bBMD\b/i.test(value)) return 'BMD';
+  if (/\bUS\$|\bUSD\b/i.test(value)) return 'USD';
+  return null;
+}
+
+function formatMoney(amount, currency = 'USD') {
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency} `;
+  return `${symbol}${(Number(amount) || 0).toFixed(2)}`;
+}
+
+class ExchangeRates {
+  constructor(database) {
+    this.database = database;
+    this.cache = null;
+  }
+
+  // { CAD: { currency, usdRate, updatedAt, updatedBy, source: 'stored' | 'default' }, ... }
+  async getRates() {
+    if (this.cache) return this.cache;
+
+    let stored = null;
+    try {
+      stored = await this.database.listExchangeRates();
+    } catch (error) {
+      log.warn('⚠️ Could not load exchange rates, using defaults:', error.message);
+    }
+
+    const rates = {};
+    SUPPORTED_CURRENCIES.forEach(currency => {
+      rates[currency] = {
+        currency,
+        usdRate: DEFAULT_USD_RATES[currency],
+        updatedAt: null,
+        updatedBy: null,
+        source: 'default'
+      };
+    });
+    (stored || [])
+      .filter(rate => rates[rate.currency])
+      .forEach(rate => {
+        rates[rate.currency] = { ...rate, source: 'stored' };
+      });
+
+    // Only cache what came from the database so a failed read is retried next time
+    if (stored) this.cache = rates;
+    return rates;
+  }
+
+  // Converts an amount to USD; returns { usd, currency, rate, updatedAt }
+  async toUsd(amount, currency) {
+    const code = normalizeCurrency(currency) || 'USD';
+    const rates = await this.getRates();
+    const rate = rates[code];
+    return {
+      usd: Math.round((Number(amount) || 0) * rate.usdRate * 100) / 100,
+      currency: code,
+      rate: rate.usdRate,
+      updatedAt: rate.updatedAt
+    };
+  }
+
+  // BMD per USD for showing totals in Bermuda dollars
+  async bmdPerUsd() {
+    const rates = await this.getRates();
+    return 1 / rates.BMD.usdRate;
+  }
+
+  // rates: { CAD: 0.74, GBP: 1.25 } in USD per unit; USD itself is fixed at 1
+  async update(rates, { updatedBy = null } = {}) {
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+      throw new ExchangeRateError('Rates must be an object of currency codes to USD rates');
+    }
+
+    const entries = Object.entries(rates);
+    if (entries.length === 0) {
+      throw new ExchangeRateError('At least one rate is required');
+    }
+
+    const changes = entries.map(([currency, value]) => {
+      const code = normalizeCurrency(currency);
+      if (!code) {
+        throw new ExchangeRateError(`Unsupported currency "${currency}". Supported: ${SUPPORTED_CURRENCIES.join(', ')}`);
+      }
+      if (code === 'USD') {
+        throw new ExchangeRateError('USD is the base currency and always 1');
+      }
+      const usdRate = typeof value === 'number' ? value : parseFloat(value);
+      if (!Number.isFinite(usdRate) || usdRate <= 0) {
+        throw new ExchangeRateError(`${code} rate must be a positive number of USD per ${code}`);
+      }
+      return { currency: code, usdRate };
+    });
+
+    const updatedAt = new Date().toISOString();
+    for (const change of changes) {
+      await this.database.saveExchangeRate({ ...change, updatedAt, updatedBy });
+    }
+
+    this.cache = null;
+    log.info(`💱 Exchange rates updated: ${changes.map(change => `${change.currency}=${change.usdRate}`).join(', ')}`);
+    return this.getRates();
+  }
+}
+
+ExchangeRates.ExchangeRateError = ExchangeRateError;
+
+module.exports = {
+  ExchangeRates,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_USD_RATES,
+  normalizeCurrency,
+  currencyForUrl,
+  currencyFromPriceText,
+  formatMoney
+};
@@ -0,0 +1,579 @@
+// backend/database.js - Persistent storage on libSQL (local SQLite file in dev/tests, Turso in production)
+const { createClient } = require('@libsql/client');
+const fs = require('fs');
+const path = require('path');
+const migrations = require('./migrations');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'database' });
+
+const DEFAULT_DB_FILE = path.join(__dirname, '../data/bermuda-import.db');
+const PENDING_ORDER_TTL_HOURS = parseFloat(process.env.PENDING_ORDER_TTL_HOURS || '72');
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function parseJSON(text, fallback = null) {
+  if (!text) return fallback;
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// Cards from before wharfage was its own rate (migration 5) have it inside dutyRate. They are read with
+// wharfage 0, so quotes stored against them are not charged the default 1.5% on top.
+function rateCardFromRow(row) {
+  const rates = parseJSON(row.rates, {});
+  return {
+    version: Number(row.version),
+    rates: rates.wharfageRate === undefined ? { ...rates, wharfageRate: 0 } : rates,
+    effectiveFrom: row.effective_from,
+    note: row.note,
+    createdBy: row.created_by,
+    createdAt: row.created_at
+  };
+}
+
+function draftOrderLinkFromRow(row) {
+  return {
+    draftOrderId: row.draft_order_id,
+    draftOrderName: row.draft_order_name,
+    pendingOrderId: row.pending_order_id,
+    quoteId: row.quote_id,
+    invoiceUrl: row.invoice_url,
+    customerEmail: row.customer_email,
+    shopifyOrderId: row.shopify_order_id,
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function priceAuditFromRow(row) {
+  return {
+    itemId: row.item_id,
+    name: row.product_name,
+    url: row.product_url,
+    field: row.field,
+    scrapedValue: row.scraped_value != null ? Number(row.scraped_value) : null,
+    finalValue: row.final_value != null ? Number(row.final_value) : null,
+    changePercent: row.change_percent != null ? Number(row.change_percent) : null,
+    changedBy: row.changed_by,
+    changedAt: row.changed_at,
+    flag: row.flag || null,
+    recordedAt: row.recorded_at
+  };
+}
+
+class Database {
+  constructor(options = {}) {
+    this.url = options.url || process.env.DATABASE_URL || `file:${DEFAULT_DB_FILE}`;
+    this.authToken = options.authToken || process.env.DATABASE_AUTH_TOKEN;
+    this.client = null;
+    this.initPromise = null;
+  }
+
+  async initialize() {
+    if (!this.initPromise) {
+      this.initPromise = this.connect().catch(error => {
+        this.initPromise = null;
+        throw error;
+      });
+    }
+    return this.initPromise;
+  }
+
+  async connect() {
+    if (this.url.startsWith('file:')) {
+      fs.mkdirSync(path.dirname(this.url.slice(5)), { recursive: true });
+    }
+
+    this.client = createClient({ url: this.url, authToken: this.authToken });
+    await this.migrate();
+    log.info(`🗄️ Database ready (${this.url.startsWith('file:') ? 'local file' : 'remote libSQL'})`);
+  }
+
+  async migrate() {
+    await this.client.execute(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )`);
+
+    const result = await this.client.execute('SELECT version FROM schema_migrations');
+    const applied = new Set(result.rows.map(row => Number(row.version)));
+
+    for (const migration of migrations) {
+      if (applied.has(migration.version)) continue;
+
+      await this.client.batch([
+        ...migration.statements,
+        {
+          sql: 'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+          args: [migration.version, migration.name, new Date().toISOString()]
+        }
+      ], 'write');
+
+      log.debug(`   🧱 Applied migration ${migration.version}: ${migration.name}`);
+    }
+  }
+
+  async execute(sql, args = []) {
+    await this.initialize();
+    return this.client.execute({ sql, args });
+  }
+
+  async close() {
+    if (this.client) {
+      this.client.close();
+      this.client = null;
+      this.initPromise = null;
+    }
+  }
+
+  // ---------- Scraped products ----------
+
+  async saveProduct(product) {
+    await this.execute(
+      `INSERT OR REPLACE INTO scraped_products (id, url, retailer, name, price, scraping_method, data, scraped_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        String(product.id),
+        product.url,
+        product.retailer || null,
+        product.name || null,
+        product.price || null,
+        product.scrapingMethod || null,
+        JSON.stringify(product),
+        new Date().toISOString()
+      ]
+    );
+  }
+
+  // The stored scrape for each product ID: { [id]: product }; IDs we never scraped are left out
+  async getScrapedProducts(ids = []) {
+    const unique = [...new Set(ids.filter(id => id != null).map(String))];
+    if (unique.length === 0) return {};
+
+    const result = await this.execute(
+      `SELECT id, data FROM scraped_products WHERE id IN (${unique.map(() => '?').join(', ')})`,
+      unique
+    );
+
+    const products = {};
+    result.rows.forEach(row => {
+      const product = parseJSON(row.data, null);
+      if (product) products[row.id] = product;
+    });
+    return products;
+  }
+
+  // ---------- Scrape cache ----------
+
+  // Returns null when nothing is cached for the key or the entry has expired
+  async getCachedScrape(cacheKey) {
+    const result = await this.execute(
+      'SELECT * FROM scrape_cache WHERE cache_key = ? AND expires_at > ?',
+      [cacheKey, new Date().toISOString()]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      product: parseJSON(row.data, null),
+      scrapedAt: row.scraped_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  async saveCachedScrape(cacheKey, url, product, { scrapedAt, expiresAt }) {
+    await this.execute(
+      `INSERT OR REPLACE INTO scrape_cache (cache_key, url, data, scraped_at, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [cacheKey, url, JSON.stringify(product), scrapedAt, expiresAt]
+    );
+  }
+
+  async deleteCachedScrape(cacheKey) {
+    await this.execute('DELETE FROM scrape_cache WHERE cache_key = ?', [cacheKey]);
+  }
+
+  async purgeExpiredScrapeCache() {
+    const result = await this.execute(
+      'DELETE FROM scrape_cache WHERE expires_at <= ?',
+      [new Date().toISOString()]
+    );
+    return result.rowsAffected;
+  }
+
+  // ---------- Provider usage (paid API budgets) ----------
+
+  async recordProviderUsage(provider, { hour, calls = 1, costUsd = 0 }) {
+    await this.execute(
+      `INSERT INTO provider_usage (provider, hour, calls, cost_usd) VALUES (?, ?, ?, ?)
+       ON CONFLICT (provider, hour) DO UPDATE SET calls = calls + excluded.calls, cost_usd = cost_usd + excluded.cost_usd`,
+      [provider, hour, calls, costUsd]
+    );
+  }
+
+  // Totals for the two rolling windows in one pass; hours are "YYYY-MM-DDTHH" keys and dayFrom >= monthFrom
+  async getProviderUsage(provider, { dayFrom, monthFrom }) {
+    const result = await this.execute(
+      `SELECT
+         COALESCE(SUM(CASE WHEN hour >= ? THEN calls END), 0) AS day_calls,
+         COALESCE(SUM(CASE WHEN hour >= ? THEN cost_usd END), 0) AS day_cost,
+         COALESCE(SUM(calls), 0) AS month_calls,
+         COALESCE(SUM(cost_usd), 0) AS month_cost
+       FROM provider_usage WHERE provider = ? AND hour >= ?`,
+      [dayFrom, dayFrom, provider, monthFrom]
+    );
+    const row = result.rows[0] || {};
+    return {
+      day: { calls: Number(row.day_calls || 0), costUsd: Number(row.day_cost || 0) },
+      month: { calls: Number(row.month_calls || 0), costUsd: Number(row.month_cost || 0) }
+    };
+  }
+
+  async purgeProviderUsage(provider, beforeHour) {
+    const result = await this.execute('DELETE FROM provider_usage WHERE provider = ? AND hour < ?', [provider, beforeHour]);
+    return result.rowsAffected;
+  }
+
+  // ---------- Quotes ----------
+
+  async saveQuote(quote, { pendingOrderId = null, status = 'pending' } = {}) {
+    const id = quote.id || generateId('q');
+    const now = new Date().toISOString();
+    const stored = { ...quote, id };
+
+    await this.execute(
+      `INSERT OR REPLACE INTO quotes (id, pending_order_id, status, currency, grand_total, rate_card_version, data, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE((SELECT created_at FROM quotes WHERE id = ?), ?), ?)`,
+      [
+        id,
+        pendingOrderId,
+        status,
+        quote.currency || 'USD',
+        quote.totals ? quote.totals.grandTotal : null,
+        quote.rateCard ? quote.rateCard.version : null,
+        JSON.stringify(stored),
+        id,
+        now,
+        now
+      ]
+    );
+
+    return stored;
+  }
+
+  async getQuote(id) {
+    const result = await this.execute('SELECT * FROM quotes WHERE id = ?', [id]);
+    const row = result.rows[0];
+    if (!row) return null;
+
+    return {
+      ...parseJSON(row.data, {}),
+      id: row.id,
+      status: row.status,
+      pendingOrderId: row.pending_order_id,
+      rateCardVersion: row.rate_card_version != null ? Number(row.rate_card_version) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  async updateQuoteStatus(id, status) {
+    await this.execute(
+      'UPDATE quotes SET status = ?, updated_at = ? WHERE id = ?',
+      [status, new Date().toISOString(), id]
+    );
+  }
+
+  // ---------- Quote price audit ----------
+
+  // Replaces the quote's audit rows; a quote is saved again when its draft order is created
+  async saveQuotePriceAudit(quoteId, rows) {
+    await this.initialize();
+    const recordedAt = new Date().toISOString();
+    await this.client.batch([
+      { sql: 'DELETE FROM quote_price_audit WHERE quote_id = ?', args: [quoteId] },
+      ...rows.map(row => ({
+        sql: `INSERT INTO quote_price_audit
+              (quote_id, item_id, product_name, product_url, field, scraped_value, final_value, change_percent, changed_by, changed_at, flag, recorded_at)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          quoteId,
+          row.itemId,
+          row.name,
+          row.url,
+          row.field,
+          row.scrapedValue,
+          row.finalValue,
+          row.changePercent,
+          row.changedBy,
+          row.changedAt,
+          row.flag || null,
+          recordedAt
+        ]
+      }))
+    ], 'write');
+  }
+
+  async getQuotePriceAudit(quoteId) {
+    const result = await this.execute(
+      'SELECT * FROM quote_price_audit WHERE quote_id = ? ORDER BY id',
+      [quoteId]
+    );
+    return result.rows.map(priceAuditFromRow);
+  }
+
+  // Quotes where a price was lowered by at least minPercent from what the scraper found, biggest cut first,
+  // then quotes with a flagged price (no scrape record to compare with), newest first:
+  // [{ quoteId, status, grandTotal, createdAt, largestCutPercent, flagged, changes: [audit rows] }]
+  async listPriceReductions({ minPercent = 10, since = null, limit = 50 } = {}) {
+    const result = await this.execute(
+      `SELECT quote_price_audit.*, quotes.status AS quote_status, quotes.grand_total AS quote_total,
+              quotes.pending_order_id AS quote_pending_order_id, quotes.created_at AS quote_created_at
+       FROM quote_price_audit JOIN quotes ON quotes.id = quote_price_audit.quote_id
+       WHERE quote_price_audit.field = 'price'
+         AND (quote_price_audit.change_percent <= ? OR quote_price_audit.flag IS NOT NULL)
+         AND (? IS NULL OR quotes.created_at >= ?)
+       ORDER BY quote_price_audit.change_percent IS NULL, quote_price_audit.change_percent ASC, quotes.created_at DESC`,
+      [-Math.abs(minPercent), since, since]
+    );
+
+    const quotes = new Map();
+    result.rows.forEach(row => {
+      if (!quotes.has(row.quote_id)) {
+        quotes.set(row.quote_id, {
+          quoteId: row.quote_id,
+          status: row.quote_status,
+          grandTotal: row.quote_total != null ? Number(row.quote_total) : null,
+          pendingOrderId: row.quote_pending_order_id,
+          createdAt: row.quote_created_at,
+          largestCutPercent: row.change_percent != null ? Number(row.change_percent) : null,
+          flagged: 0,
+          changes: []
+        });
+      }
+      const quote = quotes.get(row.quote_id);
+      if (row.flag) quote.flagged += 1;
+      quote.changes.push(priceAuditFromRow(row));
+    });
+    return [...quotes.values()].slice(0, limit);
+  }
+
+  // ---------- Rate cards ----------
+
+  async insertRateCard({ rates, effectiveFrom, note = null, createdBy = null }) {
+    const result = await this.execute(
+      `INSERT INTO rate_cards (rates, effective_from, note, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [JSON.stringify(rates), effectiveFrom, note, createdBy, new Date().toISOString()]
+    );
+    return this.getRateCard(Number(result.lastInsertRowid));
+  }
+
+  async getRateCard(version) {
+    const result = await this.execute('SELECT * FROM rate_cards WHERE version = ?', [Number(version)]);
+    return result.rows[0] ? rateCardFromRow(result.rows[0]) : null;
+  }
+
+  // The newest card whose effective date has been reached
+  async getEffectiveRateCard(at = new Date().toISOString()) {
+    const result = await this.execute(
+      'SELECT * FROM rate_cards WHERE effective_from <= ? ORDER BY effective_from DESC, version DESC LIMIT 1',
+      [at]
+    );
+    return result.rows[0] ? rateCardFromRow(result.rows[0]) : null;
+  }
+
+  async listRateCards(limit = 50) {
+    const result = await this.execute('SELECT * FROM rate_cards ORDER BY version DESC LIMIT ?', [limit]);
+    return result.rows.map(rateCardFromRow);
+  }
+
+  // ---------- Exchange rates ----------
+
+  async listExchangeRates() {
+    const result = await this.execute('SELECT * FROM exchange_rates ORDER BY currency');
+    return result.rows.map(row => ({
+      currency: row.currency,
+      usdRate: Number(row.usd_rate),
+      updatedAt: row.updated_at,
+      updatedBy: row.updated_by
+    }));
+  }
+
+  async saveExchangeRate({ currency, usdRate, updatedAt = new Date().toISOString(), updatedBy = null }) {
+    await this.execute(
+      `INSERT OR REPLACE INTO exchange_rates (currency, usd_rate, updated_at, updated_by)
+       VALUES (?, ?, ?, ?)`,
+      [currency, usdRate, updatedAt, updatedBy]
+    );
+  }
+
+  // ---------- Pending orders ----------
+
+  async savePendingOrder(data, { ttlHours = PENDING_ORDER_TTL_HOURS } = {}) {
+    const id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+    const createdAt = new Date();
+    const expiresAt = new Date(createdAt.getTime() + ttlHours * 60 * 60 * 1000);
+
+    // Always a new quote: an ID inside the data must never overwrite a stored one
+    let quoteId = null;
+    if (data.quote) {
+      const quote = await this.saveQuote({ ...data.quote, id: null }, { pendingOrderId: id });
+      quoteId = quote.id;
+    }
+
+    await this.execute(
+      `INSERT INTO pending_orders (id, quote_id, data, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [id, quoteId, JSON.stringify(data), createdAt.toISOString(), expiresAt.toISOString()]
+    );
+
+    return { id, quoteId, expiresAt: expiresAt.toISOString() };
+  }
+
+  // Returns null when the order does not exist or has expired
+  async getPendingOrder(id) {
+    const result = await this.execute(
+      'SELECT * FROM pending_orders WHERE id = ? AND expires_at > ?',
+      [id, new Date().toISOString()]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    await this.execute(
+      'UPDATE pending_orders SET retrieved_at = COALESCE(retrieved_at, ?) WHERE id = ?',
+      [new Date().toISOString(), id]
+    );
+
+    return {
+      id: row.id,
+      quoteId: row.quote_id,
+      data: parseJSON(row.data, {}),
+      createdAt: row.created_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  async purgeExpiredPendingOrders() {
+    const result = await this.execute(
+      'DELETE FROM pending_orders WHERE expires_at <= ?',
+      [new Date().toISOString()]
+    );
+    return result.rowsAffected;
+  }
+
+  // ---------- Draft order links ----------
+
+  async linkDraftOrder({ draftOrderId, draftOrderName, pendingOrderId = null, quoteId = null, invoiceUrl = null, customerEmail = null }) {
+    const now = new Date().toISOString();
+    await this.execute(
+      `INSERT OR REPLACE INTO draft_order_links
+         (draft_order_id, draft_order_name, pending_order_id, quote_id, invoice_url, customer_email, status, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, 'open', ?, ?)`,
+      [String(draftOrderId), draftOrderName, pendingOrderId, quoteId, invoiceUrl, customerEmail, now, now]
+    );
+
+    if (quoteId) {
+      await this.updateQuoteStatus(quoteId, 'draft-order-created');
+    }
+  }
+
+  async getDraftOrderLink(draftOrderId) {
+    const result = await this.execute(
+      'SELECT * FROM draft_order_links WHERE draft_order_id = ?',
+      [String(draftOrderId)]
+    );
+    return result.rows[0] ? draftOrderLinkFromRow(result.rows[0]) : null;
+  }
+
+  // The draft order a paid Shopify order came from, by the order id or the quote id in its note
+  async findDraftOrderLink({ shopifyOrderId = null, quoteId = null } = {}) {
+    const result = await this.execute(
+      `SELECT * FROM draft_order_links
+       WHERE (? IS NOT NULL AND shopify_order_id = ?) OR (? IS NOT NULL AND quote_id = ?)
+       ORDER BY shopify_order_id IS NULL, created_at DESC LIMIT 1`,
+      [shopifyOrderId && String(shopifyOrderId), shopifyOrderId && String(shopifyOrderId), quoteId, quoteId]
+    );
+    return result.rows[0] ? draftOrderLinkFromRow(result.rows[0]) : null;
+  }
+
+  async updateDraftOrderLink(draftOrderId, { shopifyOrderId = null, status = null } = {}) {
+    await this.execute(
+      `UPDATE draft_order_links
+       SET shopify_order_id = COALESCE(?, shopify_order_id), status = COALESCE(?, status), updated_at = ?
+       WHERE draft_order_id = ?`,
+      [shopifyOrderId && String(shopifyOrderId), status, new Date().toISOString(), String(draftOrderId)]
+    );
+  }
+
+  // ---------- Shopify webhooks ----------
+
+  // Returns false when this delivery was already handled; Shopify retries until it gets a 200
+  async recordWebhook({ webhookId, topic, resourceId = null }) {
+    const result = await this.execute(
+      `INSERT OR IGNORE INTO shopify_webhooks (webhook_id, topic, resource_id, received_at)
+       VALUES (?, ?, ?, ?)`,
+      [webhookId, topic, resourceId && String(resourceId), new Date().toISOString()]
+    );
+    return result.rowsAffected > 0;
+  }
+
+  async forgetWebhook(webhookId) {
+    await this.execute('DELETE FROM shopify_webhooks WHERE webhook_id = ?', [webhookId]);
+  }
+
+  // ---------- Draft order requests (idempotency) ----------
+
+  // Claims the key for a new draft order. Returns null when the caller now holds it, or the existing
+  // request { status: 'in-progress' | 'completed', draftOrderId, response } when it was already used.
+  // An in-progress claim older than staleAfterMs is treated as abandoned (the server died mid-request).
+  async claimDraftOrderRequest(idempotencyKey, { staleAfterMs = 5 * 60 * 1000 } = {}) {
+    const now = new Date();
+    await this.execute(
+      "DELETE FROM draft_order_requests WHERE idempotency_key = ? AND status = 'in-progress' AND updated_at <= ?",
+      [idempotencyKey, new Date(now.getTime() - staleAfterMs).toISOString()]
+    );
+
+    const result = await this.execute(
+      `INSERT OR IGNORE INTO draft_order_requests (idempotency_key, status, created_at, updated_at)
+       VALUES (?, 'in-progress', ?, ?)`,
+      [idempotencyKey, now.toISOString(), now.toISOString()]
+    );
+    if (result.rowsAffected > 0) return null;
+
+    const existing = await this.execute('SELECT * FROM draft_order_requests WHERE idempotency_key = ?', [idempotencyKey]);
+    const row = existing.rows[0];
+    return row ? {
+      status: row.status,
+      draftOrderId: row.draft_order_id,
+      response: parseJSON(row.response, null),
+      createdAt: row.created_at
+    } : null;
+  }
+
+  async completeDraftOrderRequest(idempotencyKey, { draftOrderId, response }) {
+    await this.execute(
+      `UPDATE draft_order_requests SET status = 'completed', draft_order_id = ?, response = ?, updated_at = ?
+       WHERE idempotency_key = ?`,
+      [String(draftOrderId), JSON.stringify(response), new Date().toISOString(), idempotencyKey]
+    );
+  }
+
+  // A failed attempt gives the key back so the customer can retry
+  async releaseDraftOrderRequest(idempotencyKey) {
+    await this.execute(
+      "DELETE FROM draft_order_requests WHERE idempotency_key = ? AND status = 'in-progress'",
+      [idempotencyKey]
+    );
+  }
+}
+
+module.exports = Database;
@@ -0,0 +1,289 @@
+// backend/dimensionEstimator.js - Deterministic size estimates for products we could not measure
+// The same product name always gives the same dimensions, so re-quoting a URL never moves the freight.
+// All sizes are the assembled product in inches; boxEstimator adds packing on top.
+
+// How far either side of the estimate the real product may plausibly be
+const SUBTYPE_SPREAD = 0.15;
+const CATEGORY_SPREAD = 0.3;
+
+// Checked in order, so more specific sub-types must come before the general ones they overlap
+const SUBTYPES = [
+  // Lamps, bedding, covers and other accessories first: their names mention the furniture or appliance they
+  // go with ("Table Lamp", "Office Chair Mat", "TV Wall Mount", "Dog Bed") and must not be sized as it.
+  // Furniture that comes "with" one of them ("Desk with Lamp", "Sofa with Cushions") is still furniture.
+  { subType: 'floor-lamp', category: 'home-decor', pattern: /\bfloor lamp\b|\barc lamp\b|\btorchiere\b/, dimensions: { length: 14, width: 14, height: 62 } },
+  { subType: 'lamp', category: 'home-decor', pattern: /^(?!.*\bwith\b.*\blamp).*\blamps?\b(?! (table|stand)s?\b)/, dimensions: { length: 14, width: 14, height: 26 } },
+  { subType: 'mattress-topper', category: 'home-decor', pattern: /\bmattress (topper|pad|protector|cover|encasement)s?\b|\bfeather ?bed\b/, dimensions: { length: 40, width: 14, height: 14 } },
+  { subType: 'bedding', category: 'home-decor', pattern: /^(?!.*\bwith\b.*\b(sheet|duvet|comforter|quilt|blanket)).*\b(sheets?( set)?|duvet|comforter|quilt|bedspread|coverlet|blankets?|pillow ?(case|sham)s?|bed skirt)\b(?! (chest|ladder|rack|cabinet|bench)\b)/, dimensions: { length: 18, width: 14, height: 8 } },
+  { subType: 'pillow', category: 'home-decor', pattern: /^(?!.*\bwith\b.*\b(pillow|cushion)).*\b(pillows?|cushions?)\b(?! ?top)/, dimensions: { length: 26, width: 20, height: 8 } },
+  { subType: 'furniture-cover', category: 'home-decor', pattern: /\bslip ?covers?\b|\b(sofa|couch|chair|furniture|table|patio) covers?\b/, dimensions: { length: 16, width: 12, height: 6 } },
+  { subType: 'towels', category: 'home-decor', pattern: /^(?!.*\bwith\b.*\btowel).*\btowels?\b(?! (bars?|racks?|warmers?|ladders?|cabinets?)\b)/, dimensions: { length: 16, width: 12, height: 8 } },
+  { subType: 'pet-bed', category: 'home-decor', pattern: /\b(pet|dog|cat|puppy|kitten) (beds?|sofas?|couch|cushions?|mats?|steps|stairs|ramps?)\b/, dimensions: { length: 32, width: 24, height: 10 } },
+  { subType: 'mat', category: 'home-decor', pattern: /^(?!.*\bwith\b.*\bmat).*\bmats?\b/, dimensions: { length: 48, width: 8, height: 8 } },
+  { subType: 'mount', category: 'electronics', pattern: /^(?!.*\bwith\b.*\bmount).*\b(mounts?|mounting brackets?)\b/, dimensions: { length: 20, width: 12, height: 4 } },
+  { subType: 'organizer', category: 'home-decor', pattern: /^(?!.*\bwith\b.*\borgani[sz]er).*\borgani[sz]ers?\b/, dimensions: { length: 14, width: 10, height: 6 } },
+  { subType: 'small-stand', category: 'home-decor', pattern: /\b(monitor|laptop|phone|tablet|plant|speaker|headphone|music|microphone|mic) stands?\b/, dimensions: { length: 16, width: 12, height: 6 } },
+  { subType: 'range-hood', category: 'appliances', pattern: /\b(range|vent|cooker|exhaust|kitchen) hoods?\b/, dimensions: { length: 36, width: 22, height: 12 } },
+  { subType: 'bench-tool', category: 'tools', pattern: /\bbench (grinders?|vises?|vices?|sanders?)\b|\bbenchtop\b/, dimensions: { length: 18, width: 12, height: 12 } },
+  { subType: 'console-table', category: 'furniture', pattern: /\b(sofa|couch|console|entryway|hall) tables?\b/, dimensions: { length: 50, width: 14, height: 30 } },
+
+  // Furniture - seating
+  { subType: 'sectional', category: 'furniture', pattern: /\bsectionals?\b|\bl[- ]shaped sofa\b|\bmodular sofa\b/, dimensions: { length: 112, width: 86, height: 36 } },
+  { subType: 'sleeper-sofa', category: 'furniture', pattern: /\bsleeper\b|\bsofa bed\b|\bfuton\b/, dimensions: { length: 84, width: 38, height: 36 } },
+  { subType: 'loveseat', category: 'furniture', pattern: /\bloveseat\b|\blove seat\b/, dimensions: { length: 62, width: 36, height: 34 } },
+  { subType: 'sofa', category: 'furniture', pattern: /\bsofas?\b|\bcouch\b|\bsettee\b/, dimensions: { length: 84, width: 37, height: 34 } },
+  { subType: 'recliner', category: 'furniture', pattern: /\brecliner\b|\breclining chair\b/, dimensions: { length: 38, width: 38, height: 41 } },
+  { subType: 'office-chair', category: 'furniture', pattern: /\b(office|desk|gaming|task) chair\b/, dimensions: { length: 27, width: 27, height: 44 } },
+  { subType: 'dining-chair', category: 'furniture', pattern: /\bdining chairs?\b|\bside chairs?\b|\b(bar|counter) stools?\b/, dimensions: { length: 20, width: 22, height: 38 } },
+  { subType: 'accent-chair', category: 'furniture', pattern: /\baccent chair\b|\barm ?chair\b|\bclub chair\b|\blounge chair\b|\bchair\b/, dimensions: { length: 30, width: 32, height: 33 } },
+  { subType: 'ottoman', category: 'furniture', pattern: /\bottoman\b|\bpouf\b|\bbench\b|\b(storage|toy|blanket|hope) chest\b/, dimensions: { length: 36, width: 18, height: 18 } },
+
+  // Furniture - beds
+  {
+    subType: 'mattress',
+    category: 'furniture',
+    pattern: /\bmattress\b/,
+    sizes: {
+      king: { length: 80, width: 76, height: 12 },
+      queen: { length: 80, width: 60, height: 12 },
+      full: { length: 75, width: 54, height: 11 },
+      twin: { length: 75, width: 38, height: 10 }
+    },
+    defaultSize: 'queen'
+  },
+  {
+    subType: 'bed-frame',
+    category: 'furniture',
+    pattern: /\bbed ?frame\b|\bplatform bed\b|\bheadboard\b|\bbunk bed\b|\bbed\b/,
+    sizes: {
+      king: { length: 86, width: 80, height: 14 },
+      queen: { length: 86, width: 64, height: 14 },
+      full: { length: 80, width: 57, height: 14 },
+      twin: { length: 80, width: 41, height: 14 }
+    },
+    defaultSize: 'queen'
+  },
+
+  // Furniture - tables and storage
+  { subType: 'dining-table', category: 'furniture', pattern: /\bdining (table|set)\b|\bkitchen table\b/, dimensions: { length: 72, width: 38, height: 30 } },
+  { subType: 'coffee-table', category: 'furniture', pattern: /\bcoffee table\b|\bcocktail table\b/, dimensions: { length: 48, width: 24, height: 18 } },
+  { subType: 'side-table', category: 'furniture', pattern: /\b(side|end|accent) table\b|\bnightstand\b|\bbedside\b/, dimensions: { length: 22, width: 18, height: 24 } },
+  { subType: 'desk', category: 'furniture', pattern: /\bdesk\b|\bworkstation\b/, dimensions: { length: 55, width: 24, height: 30 } },
+  { subType: 'tv-stand', category: 'furniture', pattern: /\btv stand\b|\bmedia (console|cabinet)\b|\bsideboard\b|\bbuffet\b|\bcredenza\b/, dimensions: { length: 65, width: 18, height: 25 } },
+  { subType: 'dresser', category: 'furniture', pattern: /\bdresser\b|\bchest of drawers\b|\bdrawer chest\b/, dimensions: { length: 60, width: 19, height: 34 } },
+  { subType: 'wardrobe', category: 'furniture', pattern: /\bwardrobe\b|\barmoire\b/, dimensions: { length: 40, width: 22, height: 72 } },
+  { subType: 'bookcase', category: 'furniture', pattern: /\bbook ?(case|shelf)\b|\bshelving unit\b|\betagere\b/, dimensions: { length: 32, width: 12, height: 72 } },
+  { subType: 'cabinet', category: 'furniture', pattern: /\bcabinet\b|\bcupboard\b/, dimensions: { length: 32, width: 16, height: 36 } },
+  { subType: 'table', category: 'furniture', pattern: /\btable\b/, dimensions: { length: 48, width: 30, height: 30 } },
+
+  // Electronics - TVs scale with the advertised diagonal
+  { subType: 'tv', category: 'electronics', pattern: /\btv\b|\btelevision\b|\b(oled|qled|uhd|4k|8k) (smart )?(tv|display)\b/, scaleByDiagonal: true, defaultDiagonal: 55 },
+  { subType: 'monitor', category: 'electronics', pattern: /\bmonitor\b/, dimensions: { length: 24, width: 8, height: 18 } },
+  { subType: 'soundbar', category: 'electronics', pattern: /\bsound ?bar\b/, dimensions: { length: 38, width: 5, height: 4 } },
+  { subType: 'laptop', category: 'electronics', pattern: /\blaptop\b|\bnotebook\b|\bmacbook\b|\bchromebook\b/, dimensions: { length: 15, width: 10, height: 1 } },
+  { subType: 'console', category: 'electronics', pattern: /\bplaystation\b|\bxbox\b|\bnintendo\b|\bconsole\b/, dimensions: { length: 16, width: 12, height: 5 } },
+  { subType: 'speaker', category: 'electronics', pattern: /\bspeakers?\b/, dimensions: { length: 10, width: 10, height: 14 } },
+
+  // Appliances
+  { subType: 'refrigerator', category: 'appliances', pattern: /\brefrigerator\b|\bfridge\b/, dimensions: { length: 36, width: 30, height: 70 } },
+  { subType: 'freezer', category: 'appliances', pattern: /\bfreezer\b/, dimensions: { length: 42, width: 24, height: 34 } },
+  { subType: 'washer-dryer', category: 'appliances', pattern: /\bwasher\b|\bdryer\b|\bwashing machine\b/, dimensions: { length: 27, width: 30, height: 39 } },
+  { subType: 'dishwasher', category: 'appliances', pattern: /\bdishwasher\b/, dimensions: { length: 24, width: 24, height: 34 } },
+  { subType: 'range', category: 'appliances', pattern: /\brange\b|\bstove\b|\boven\b|\bcooktop\b/, dimensions: { length: 30, width: 28, height: 47 } },
+  { subType: 'microwave', category: 'appliances', pattern: /\bmicrowave\b/, dimensions: { length: 20, width: 16, height: 12 } },
+  { subType: 'air-conditioner', category: 'appliances', pattern: /\bair conditioner\b|\bac unit\b|\bdehumidifier\b/, dimensions: { length: 20, width: 16, height: 14 } },
+  { subType: 'vacuum', category: 'appliances', pattern: /\bvacuum\b/, dimensions: { length: 14, width: 12, height: 44 } },
+
+  // Home decor
+  { subType: 'large-rug', category: 'home-decor', pattern: /\b(8|9|10)\s*(x|×|')\s*(10|12|13|14)\b.*\brug\b|\brug\b.*\b(8|9|10)\s*(x|×|')\s*(10|12|13|14)\b/, dimensions: { length: 96, width: 12, height: 12 } },
+  { subType: 'rug', category: 'home-decor', pattern: /\brug\b|\brunner\b/, dimensions: { length: 60, width: 10, height: 10 } },
+  { subType: 'mirror', category: 'home-decor', pattern: /\bmirror\b/, dimensions: { length: 36, width: 2, height: 48 } },
+  { subType: 'wall-art', category: 'home-decor', pattern: /\bwall art\b|\bcanvas\b|\bprint\b|\bpainting\b/, dimensions: { length: 30, width: 2, height: 40 } },
+
+  // Garden and sports
+  { subType: 'patio-set', category: 'garden', pattern: /\bpatio (set|dining|furniture)\b|\bconversation set\b|\bbistro set\b/, dimensions: { length: 60, width: 40, height: 30 } },
+  { subType: 'grill', category: 'garden', pattern: /\bgrill\b|\bbbq\b|\bsmoker\b/, dimensions: { length: 48, width: 24, height: 45 } },
+  { subType: 'lawn-mower', category: 'garden', pattern: /\bmower\b/, dimensions: { length: 30, width: 22, height: 20 } },
+  { subType: 'treadmill', category: 'sports', pattern: /\btreadmill\b/, dimensions: { length: 72, width: 32, height: 14 } },
+  { subType: 'bicycle', category: 'sports', pattern: /\bbike\b|\bbicycle\b/, dimensions: { length: 54, width: 9, height: 30 } }
+];
+
+// Category fallbacks when no sub-type keyword matches
+const CATEGORY_BASELINES = {
+  'furniture': { length: 63, width: 40, height: 48 },
+  'electronics': { length: 25.5, width: 16, height: 11 },
+  'appliances': { length: 36, width: 36, height: 46 },
+  'clothing': { length: 15, width: 13, height: 3 },
+  'books': { length: 9.5, width: 6.5, height: 2 },
+  'toys': { length: 16, width: 14, height: 12 },
+  'sports': { length: 30, width: 23, height: 16 },
+  'home-decor': { length: 18, width: 15, height: 18 },
+  'tools': { length: 21, width: 15, height: 8 },
+  'garden': { length: 30, width: 24, height: 18 },
+  'general': { length: 18, width: 15, height: 13 }
+};
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function cubicFeetOf(dimensions) {
+  return Math.round((dimensions.length * dimensions.width * dimensions.height) / 1728 * 100) / 100;
+}
+
+function scale(dimensions, factor) {
+  return {
+    length: round1(dimensions.length * factor),
+    width: round1(dimensions.width * factor),
+    height: round1(dimensions.height * factor)
+  };
+}
+
+function rangeAround(dimensions, spread) {
+  const min = scale(dimensions, 1 - spread);
+  const max = scale(dimensions, 1 + spread);
+  return {
+    min,
+    max,
+    cubicFeet: { min: cubicFeetOf(min), max: cubicFeetOf(max) }
+  };
+}
+
+// "32 x 20 x 18" written in the product name
+function dimensionsFromName(text) {
+  const match = text.match(/(\d+\.?\d*)\s*(?:"|''|in\.?|inches)?\s*[x×]\s*(\d+\.?\d*)\s*(?:"|''|in\.?|inches)?\s*[x×]\s*(\d+\.?\d*)/);
+  if (!match) return null;
+
+  const dimensions = {
+    length: Math.max(1, parseFloat(match[1])),
+    width: Math.max(1, parseFloat(match[2])),
+    height: Math.max(1, parseFloat(match[3]))
+  };
+
+  if (dimensions.length > 120 || dimensions.width > 120 || dimensions.height > 120) return null;
+  return dimensions;
+}
+
+// 55", 65-inch, 75 in
+function diagonalFromName(text) {
+  const match = text.match(/\b(\d{2,3})\s*(?:"|''|-?\s*inch(?:es)?\b|\s*in\b|\s*class\b)/);
+  if (!match) return null;
+  const diagonal = parseInt(match[1], 10);
+  return diagonal >= 19 && diagonal <= 100 ? diagonal : null;
+}
+
+// 16:9 panel of the given diagonal, on its stand
+function tvDimensions(diagonal) {
+  return {
+    length: round1(diagonal * 0.872 + 2),
+    width: round1(4 + diagonal * 0.1),
+    height: round1(diagonal * 0.49 + 4)
+  };
+}
+
+function bedSize(text) {
+  if (/\bcal(ifornia)?\.? king\b|\bking\b/.test(text)) return 'king';
+  if (/\bqueen\b/.test(text)) return 'queen';
+  if (/\bfull\b|\bdouble\b/.test(text)) return 'full';
+  if (/\btwin\b|\bsingle\b/.test(text)) return 'twin';
+  return null;
+}
+
+function estimateFromSubType(entry, text) {
+  if (entry.scaleByDiagonal) {
+    const diagonal = diagonalFromName(text);
+    if (diagonal) {
+      return { dimensions: tvDimensions(diagonal), spread: 0.05, variant: `${diagonal}"` };
+    }
+    // Unknown screen size: anything from a 43" to a 75" set
+    const dimensions = tvDimensions(entry.defaultDiagonal);
+    const min = tvDimensions(43);
+    const max = tvDimensions(75);
+    return {
+      dimensions,
+      variant: `${entry.defaultDiagonal}" (assumed)`,
+      range: { min, max, cubicFeet: { min: cubicFeetOf(min), max: cubicFeetOf(max) } }
+    };
+  }
+
+  if (entry.sizes) {
+    const size = bedSize(text);
+    if (size) {
+      return { dimensions: entry.sizes[size], spread: 0.1, variant: size };
+    }
+    const sizes = Object.values(entry.sizes);
+    const volumes = sizes.map(cubicFeetOf);
+    return {
+      dimensions: entry.sizes[entry.defaultSize],
+      variant: `${entry.defaultSize} (assumed)`,
+      range: {
+        min: sizes[volumes.indexOf(Math.min(...volumes))],
+        max: sizes[volumes.indexOf(Math.max(...volumes))],
+        cubicFeet: { min: Math.min(...volumes), max: Math.max(...volumes) }
+      }
+    };
+  }
+
+  return { dimensions: entry.dimensions, spread: SUBTYPE_SPREAD, variant: null };
+}
+
+// Returns { dimensions, range, estimationSource, category, subType, variant }
+// estimationSource: 'name-dimensions' | 'subtype-keyword' | 'subtype-breadcrumb' | 'category-baseline'
+function estimateDimensions({ name = '', category = 'general', breadcrumbs = [] } = {}) {
+  const nameText = String(name || '').toLowerCase();
+  const crumbText = (Array.isArray(breadcrumbs) ? breadcrumbs : [breadcrumbs])
+    .map(crumb => (crumb && typeof crumb === 'object' ? crumb.name : crumb))
+    .filter(Boolean)
+    .join(' / ')
+    .toLowerCase();
+
+  const fromName = dimensionsFromName(nameText);
+  if (fromName) {
+    return {
+      dimensions: fromName,
+      range: rangeAround(fromName, 0),
+      estimationSource: 'name-dimensions',
+      category,
+      subType: null,
+      variant: null
+    };
+  }
+
+  // The product name is the most specific signal; breadcrumbs catch names like "The Harper" that say nothing
+  const lookups = [
+    { text: nameText, source: 'subtype-keyword' },
+    { text: crumbText, source: 'subtype-breadcrumb' }
+  ];
+
+  for (const lookup of lookups) {
+    if (!lookup.text) continue;
+    const entry = SUBTYPES.find(candidate => candidate.pattern.test(lookup.text));
+    if (!entry) continue;
+
+    const estimate = estimateFromSubType(entry, `${nameText} ${crumbText}`);
+    return {
+      dimensions: { ...estimate.dimensions },
+      range: estimate.range || rangeAround(estimate.dimensions, estimate.spread),
+      estimationSource: lookup.source,
+      category: entry.category,
+      subType: entry.subType,
+      variant: estimate.variant
+    };
+  }
+
+  const baseline = CATEGORY_BASELINES[category] || CATEGORY_BASELINES.general;
+  return {
+    dimensions: { ...baseline },
+    range: rangeAround(baseline, CATEGORY_SPREAD),
+    estimationSource: 'category-baseline',
+    category: CATEGORY_BASELINES[category] ? category : 'general',
+    subType: null,
+    variant: null
+  };
+}
+
+module.exports = {
+  SUBTYPES,
+  CATEGORY_BASELINES,
+  estimateDimensions
+};
@@ -0,0 +1,173 @@
+// backend/draftOrderBuilder.js - Shopify draft order payload from a server-calculated quote
+// The route re-prices the products with quoteEngine before building, so the draft order always
+// matches what the server charges rather than whatever totals the browser sent back.
+const { roundMoney } = require('./quoteEngine');
+const { formatMoney } = require('./currency');
+
+// Same shape the calculator pages send to /api/quote (see toQuoteItem in index.html). product is what the
+// page sent, scraped the server's stored scrape of it: the page only chooses the price, quantity and variant
+// (and says when it edited the price); everything that drives freight and duty comes from our own record.
+function quoteItemFromProduct(product, scraped, index) {
+  return {
+    id: product.id != null ? product.id : index,
+    name: scraped.name,
+    url: scraped.url,
+    scrapedProductId: scraped.id,
+    retailer: scraped.retailer || 'Unknown',
+    category: scraped.category,
+    hsCode: scraped.hsCode,
+    originalPrice: scraped.originalPrice,
+    originalCurrency: scraped.originalCurrency,
+    exchangeRate: scraped.exchangeRate,
+    variant: product.variant || scraped.variant,
+    image: scraped.image,
+    price: product.price,
+    quantity: product.quantity || 1,
+    dimensions: scraped.dimensions,
+    dimensionsSource: scraped.dimensionsSource,
+    boxes: scraped.boxes,
+    weight: scraped.weight,
+    weightSource: scraped.weightSource,
+    edits: product.edits
+  };
+}
+
+// Shopify keeps line item properties as short strings; empty ones are dropped
+function property(name, value) {
+  if (value == null || value === '') return null;
+  return { name, value: String(value).slice(0, 255) };
+}
+
+function describeFreight(item) {
+  const { freight } = item;
+  const basis = {
+    consolidated: 'share of consolidated shipment',
+    override: 'staff override',
+    weight: 'billed on weight',
+    volume: 'billed on volume',
+    price: 'no dimensions, priced on value'
+  }[freight.basis] || freight.basis;
+  return `$${freight.base.toFixed(2)} freight + $${freight.handling.toFixed(2)} handling (${basis})`;
+}
+
+function productLine(item) {
+  return {
+    title: item.name,
+    price: item.unitPrice.toFixed(2),
+    quantity: item.quantity,
+    properties: [
+      property('Variant', item.variant),
+      property('Image', item.image),
+      property('Source URL', item.url),
+      property('Retailer', item.retailer),
+      property('Category', item.category),
+      property('HS Code', item.hsCode),
+      item.originalPrice ? property(
+        'Original Price',
+        `${formatMoney(item.originalPrice.amount, item.originalPrice.currency)} ${item.originalPrice.currency} ` +
+        `(1 ${item.originalPrice.currency} = ${item.originalPrice.exchangeRate} USD)`
+      ) : null,
+      property('Freight', describeFreight(item)),
+      property('Screening', item.screening && item.screening.status !== 'allowed'
+        ? `${item.screening.status}: ${item.screening.reasons.map(match => match.reason).join('; ')}`
+        : null)
+    ].filter(Boolean)
+  };
+}
+
+function feeLine(title, amount, properties = []) {
+  return {
+    title,
+    price: roundMoney(amount).toFixed(2),
+    quantity: 1,
+    taxable: false,
+    properties: properties.filter(Boolean)
+  };
+}
+
+// quote: calculateQuote result; screenings: optional { [item.id]: screenProduct result }
+// Returns { payload: { draft_order }, total } where total is the sum of the line items
+// requestId goes in the note so support can find the server logs from the Shopify order
+function buildDraftOrder({ quote, customer, originalUrls = '', quoteId = null, requestId = null, screenings = {} }) {
+  const items = quote.items.map(item => ({ ...item, screening: screenings[item.id] || null }));
+  const lineItems = items.map(productLine);
+
+  // Duty rates vary per item, so the per-item amounts go in the duty line's properties
+  if (quote.totals.dutyAmount > 0) {
+    lineItems.push(feeLine('Bermuda Import Duty', quote.totals.dutyAmount, items
+      .filter(item => item.duty.amount > 0)
+      .slice(0, 20)
+      .map(item => property(item.name.slice(0, 100), `${(item.duty.rate * 100).toFixed(1)}% = $${item.duty.amount.toFixed(2)}`))));
+  }
+
+  if (quote.totals.wharfageAmount > 0) {
+    lineItems.push(feeLine(`Bermuda Wharfage (${(quote.rates.wharfageRate * 100).toFixed(1)}%)`, quote.totals.wharfageAmount));
+  }
+
+  // One line per oversize / special-handling surcharge rule that applied
+  quote.lines
+    .filter(line => line.code.startsWith('surcharge:') && line.amount > 0)
+    .forEach(line => lineItems.push(feeLine(line.label, line.amount)));
+
+  quote.deliveryFees.forEach(fee => {
+    lineItems.push(feeLine(`${fee.retailer} US Delivery Fee`, fee.amount));
+  });
+
+  // Freight, handling and margin per product, so staff can see what each item costs to land
+  items
+    .filter(item => item.shippingAndHandling > 0)
+    .forEach(item => {
+      lineItems.push(feeLine(`Shipping & Handling to Bermuda: ${item.name}`.slice(0, 255), item.shippingAndHandling, [
+        property('Quantity', item.quantity),
+        property('Cubic Feet', item.billableCubicFeet),
+        property('Freight', describeFreight(item))
+      ]));
+    });
+
+  const sumLines = () => roundMoney(lineItems.reduce((sum, line) => sum + parseFloat(line.price) * line.quantity, 0));
+
+  // The margin on US delivery fees is charged on the cart, not on any one product; it is taken as
+  // the remainder so the lines add up to the quoted total to the cent
+  if (quote.totals.totalDeliveryFees > 0) {
+    const deliveryMargin = roundMoney(quote.totals.grandTotal - sumLines());
+    if (deliveryMargin > 0) {
+      lineItems.push(feeLine('Handling on US Delivery Fees', deliveryMargin));
+    }
+  }
+
+  const total = sumLines();
+
+  const note = [
+    'Import Calculator Order',
+    quoteId ? `Quote: ${quoteId}${quote.rateCard ? ` (rate card v${quote.rateCard.version})` : ''}` : null,
+    quote.consolidation ? `Freight: consolidated ${quote.consolidation.method === 'pallet' ? `on ${quote.consolidation.pallets.length} pallet(s)` : 'LCL'}, ${quote.consolidation.billableCubicFeet} ft³ billable` : null,
+    quote.localCurrency ? `Total in Bermuda dollars: ${formatMoney(quote.localCurrency.grandTotal, 'BMD')}` : null,
+    requestId ? `Request ID: ${requestId}` : null,
+    `Original URLs:\n${originalUrls}`
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    total,
+    payload: {
+      draft_order: {
+        line_items: lineItems,
+        customer: {
+          email: customer.email,
+          first_name: customer.name.split(' ')[0],
+          last_name: customer.name.split(' ').slice(1).join(' ') || ''
+        },
+        email: customer.email,
+        note,
+        tags: `import-calculator, ocean-freight${quote.freightMode === 'consolidated' ? ', consolidated' : ''}`,
+        tax_exempt: true,
+        send_receipt: false,
+        send_fulfillment_receipt: false
+      }
+    }
+  };
+}
+
+module.exports = {
+  quoteItemFromProduct,
+  buildDraftOrder
+};
@@ -5,9 +5,33 @@ const axios = require('axios');
 const path = require('path');
 const { URL } = require('url');
 require('dotenv').config();
-// const OrderTracker = require('./orderTracking');
+const OrderTracker = require('./orderTracking');
+const ShopifyWebhooks = require('./shopifyWebhooks');
+const StaffAuth = require('./staffAuth');
+const Mailer = require('./mailer');
+const { buildQuoteConfirmationEmail } = require('./quoteEmail');
 const ZyteScraper = require('./zyteScraper');
-const { parseProduct: parseWithGPT } = require('./gptParser');
+const AdaptiveScraper = require('./adaptiveScraper');
+const { parseProduct: parseWithGPT, parseWithGPT: parseHtmlWithGPT, fetchViaAxios } = require('./gptParser');
+const { extractStructuredData } = require('./structuredData');
+const { calculateQuote, calculateShipping, DEFAULT_RATES } = require('./quoteEngine');
+const RateCards = require('./rateCard');
+const { describeSurchargeRules } = require('./surcharges');
+const { screenProduct } = require('./screening');
+const { quoteItemFromProduct, buildDraftOrder } = require('./draftOrderBuilder');
+const { auditQuote } = require('./priceAudit');
+const metrics = require('./metrics');
+const ProviderBudget = require('./providerBudget');
+const { ExchangeRates, currencyForUrl, formatMoney } = require('./currency');
+const Database = require('./database');
+const ScrapeCache = require('./scrapeCache');
+const ScrapeJobs = require('./scrapeJobs');
+const { detectRetailer, listRetailers } = require('./retailers');
+const { estimateBoxes, describePackaging } = require('./boxEstimator');
+const { estimateDimensions } = require('./dimensionEstimator');
+const { logger, requestIdMiddleware, REQUEST_ID_HEADER } = require('./logger');
+
+const log = logger.child({ component: 'server' });
 
 // Simple, working scraper approach
 const MAX_CONCURRENT = 1; // Process one at a time to avoid issues
@@ -18,43 +42,120 @@ const PORT = process.env.PORT || 3000;
 // Configuration
 const SHOPIFY_DOMAIN = process.env.SHOPIFY_DOMAIN || 'spencer-deals-ltd.myshopify.com';
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN || '';
+// Point this at a local stand-in to exercise draft orders without a real store
+const SHOPIFY_API_BASE_URL = process.env.SHOPIFY_API_BASE_URL || `https://${SHOPIFY_DOMAIN}/admin/api/2023-10`;
+// Have Shopify email the invoice (checkout link) when a draft order is created; the page can ask for it too
+const SHOPIFY_SEND_INVOICE = process.env.SHOPIFY_SEND_INVOICE === 'true';
+const SHOPIFY_INVOICE_MESSAGE = process.env.SHOPIFY_INVOICE_MESSAGE ||
+  'Thanks for ordering with SDL Instant Import! Pay this invoice and we will buy your items from the US retailers and ship them to Bermuda.';
 const SCRAPING_TIMEOUT = 30000;
 const MAX_CONCURRENT_SCRAPES = 2;
-const BERMUDA_DUTY_RATE = 0.265;
-const SHIPPING_RATE_PER_CUBIC_FOOT = 8;
+
+// Initialize persistent storage
+const database = new Database();
+
+database.initialize()
+  .then(() => database.purgeExpiredPendingOrders())
+  .catch(error => {
+    log.error('Failed to initialize database:', error);
+  });
+
+// Rolling daily/30-day spending caps and circuit breakers for the paid tiers; see backend/providerBudget.js
+const zyteBudget = ProviderBudget.fromEnv(database, 'zyte');
+const openaiBudget = ProviderBudget.fromEnv(database, 'openai');
 
 // Initialize scrapers
-const zyteScraper = new ZyteScraper();
+const zyteScraper = new ZyteScraper({ budget: zyteBudget });
 const USE_ZYTE = zyteScraper.enabled;
 const USE_GPT_FALLBACK = !!process.env.OPENAI_API_KEY;
+const adaptiveScraper = new AdaptiveScraper();
 
 // Confidence threshold for triggering GPT fallback
 const CONFIDENCE_THRESHOLD = 0.3; // If Zyte confidence < 30%, try GPT
 
-// Initialize order tracker - DISABLED
-// let orderTracker = null;
-// 
-// OrderTracker.create().then(tracker => {
-//   orderTracker = tracker;
-// }).catch(error => {
-//   console.error('Failed to initialize order tracker:', error);
-// });
-
-console.log('=== SERVER STARTUP ===');
-console.log(`Port: ${PORT}`);
-console.log('');
-console.log('🔍 SCRAPING CONFIGURATION:');
-console.log(`1. Primary: Zyte API - ${USE_ZYTE ? '✅ ENABLED' : '❌ DISABLED (Missing API Key)'}`);
-console.log(`2. Fallback: GPT Parser - ${USE_GPT_FALLBACK ? '✅ ENABLED' : '❌ DISABLED (Missing OpenAI Key)'}`);
-console.log('');
+const rateCards = new RateCards(database);
+const exchangeRates = new ExchangeRates(database);
+const scrapeCache = new ScrapeCache(database);
+const scrapeJobs = new ScrapeJobs((url, options) => scrapeProductCached(url, options), { concurrency: MAX_CONCURRENT });
+
+// Clear out expired pending orders, cached scrapes and old provider usage once an hour
+setInterval(() => {
+  database.purgeExpiredPendingOrders().catch(error => {
+    log.error('Failed to purge expired pending orders:', error.message);
+  });
+  scrapeCache.purgeExpired().catch(error => {
+    log.error('Failed to purge expired scrape cache:', error.message);
+  });
+  [zyteBudget, openaiBudget].forEach(budget => {
+    budget.purgeExpired().catch(error => {
+      log.error(`Failed to purge old ${budget.label} usage:`, error.message);
+    });
+  });
+  if (staffAuth) {
+    staffAuth.purgeExpiredSessions().catch(error => {
+      log.error('Failed to purge expired staff sessions:', error.message);
+    });
+  }
+}, 60 * 60 * 1000).unref();
+
+// Initialize order tracker
+let orderTracker = null;
+
+OrderTracker.create(database).then(tracker => {
+  orderTracker = tracker;
+}).catch(error => {
+  log.error('Failed to initialize order tracker:', error);
+});
+
+// Staff accounts and sessions for the admin pages
+let staffAuth = null;
+
+StaffAuth.create(database).then(auth => {
+  staffAuth = auth;
+}).catch(error => {
+  log.error('Failed to initialize staff accounts:', error);
+});
+
+// Quote confirmation emails; see backend/mailer.js for the MAIL_TRANSPORT settings
+let mailer;
+try {
+  mailer = Mailer.fromEnv();
+} catch (error) {
+  log.error(`Mail not configured (${error.message}), logging emails instead`);
+  mailer = new Mailer();
+}
+
+// Shopify webhooks (SHOPIFY_WEBHOOK_SECRET) move quotes along and start tracking once an order is paid
+const shopifyWebhooks = new ShopifyWebhooks(database, { getOrderTracker: () => orderTracker });
+
+log.info('🔍 Scraping configuration', {
+  port: PORT,
+  zyte: USE_ZYTE ? 'enabled' : 'disabled (missing ZYTE_API_KEY)',
+  gptFallback: USE_GPT_FALLBACK ? 'enabled' : 'disabled (missing OPENAI_API_KEY)',
+  zyteLimits: zyteBudget.limits,
+  openaiLimits: openaiBudget.limits
+});
 
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '5mb' }));
+// First, so every later line and error response carries the request ID
+app.use(requestIdMiddleware());
+app.use(cors({ exposedHeaders: [REQUEST_ID_HEADER] }));
+// Webhook signatures are over the exact bytes Shopify sent, so keep them for those routes
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf;
+  }
+}));
 
 // Fix for Railway X-Forwarded-For warning
 app.set('trust proxy', true);
 
+// The admin pages are only served through their protected routes below
+app.get(['/admin.html', '/admin-calculator.html'], (req, res) => {
+  res.redirect(req.path.replace('.html', ''));
+});
+
 // Serve frontend static files
 app.use(express.static(path.join(__dirname, '../frontend')));
 
@@ -69,35 +170,90 @@ app.get('/health', (req, res) => {
       fallback: process.env.OPENAI_API_KEY ? 'GPT Parser' : 'None',
       dimensions: 'Estimation'
     },
+    circuits: {
+      zyte: zyteBudget.circuit.state,
+      openai: openaiBudget.circuit.state
+    },
     shopifyConfigured: !!SHOPIFY_ACCESS_TOKEN
   });
 });
 
-// Admin authentication middleware
-function requireAdmin(req, res, next) {
-  const auth = req.headers.authorization;
-  if (!auth || !auth.startsWith('Basic ')) {
-    res.set('WWW-Authenticate', 'Basic realm="Admin Area"');
-    return res.status(401).send('Authentication required');
+// Prometheus scrape target; set METRICS_TOKEN when the server is reachable from the internet
+app.get('/metrics', async (req, res) => {
+  if (!metrics.canReadMetrics(req.get('Authorization'))) {
+    return res.status(401).json({ error: 'Metrics token required' });
   }
   
-  const credentials = Buffer.from(auth.slice(6), 'base64').toString();
-  const [username, password] = credentials.split(':');
-  
-  if (username === 'admin' && password === '1064') {
-    next();
-  } else {
-    res.set('WWW-Authenticate', 'Basic realm="Admin Area"');
-    res.status(401).send('Invalid credentials');
+  try {
+    const { contentType, body } = await metrics.renderMetrics();
+    res.set('Content-Type', contentType).send(body);
+  } catch (error) {
+    log.error('Metrics error:', error);
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
+// Staff authentication
+// The session token lives in an HttpOnly, SameSite=Lax cookie, so other sites cannot send it with a POST
+const STAFF_SESSION_COOKIE = 'sdl_staff_session';
+
+function readCookie(req, name) {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+// Staff member logged in on this request, or null for customers
+async function currentStaff(req) {
+  if (req.staff === undefined) {
+    const token = readCookie(req, STAFF_SESSION_COOKIE);
+    req.staff = token && staffAuth ? await staffAuth.authenticate(token) : null;
   }
+  return req.staff;
+}
+
+// Pages send people to the login form; APIs answer 401 when logged out and 403 when the role is too low
+function requireRole(role) {
+  return async (req, res, next) => {
+    const isPage = !req.path.startsWith('/api/');
+    
+    if (!staffAuth) {
+      return res.status(503).json({ success: false, error: 'Staff accounts are starting up, please retry shortly' });
+    }
+    
+    try {
+      const staff = await currentStaff(req);
+      
+      if (!staff) {
+        if (isPage) return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        return res.status(401).json({ success: false, error: 'Please log in' });
+      }
+      
+      if (!StaffAuth.hasRole(staff, role)) {
+        if (isPage) return res.status(403).send(`Your ${staff.role} account cannot open this page. <a href="/login?next=${encodeURIComponent(req.originalUrl)}">Log in as someone else</a>`);
+        return res.status(403).json({ success: false, error: `This needs the ${role} role; you are logged in as ${staff.role}` });
+      }
+      
+      next();
+    } catch (error) {
+      log.error('Staff authentication error:', error);
+      res.status(500).json({ success: false, error: 'Authentication failed' });
+    }
+  };
 }
 
 // Admin routes
-app.get('/admin', requireAdmin, (req, res) => {
+app.get('/login', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/login.html'));
+});
+
+app.get('/admin', requireRole('viewer'), (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/admin.html'));
 });
 
-app.get('/admin-calculator', requireAdmin, (req, res) => {
+app.get('/admin-calculator', requireRole('quoter'), (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/admin-calculator.html'));
 });
 
@@ -106,13 +262,18 @@ app.get('/', (req, res) => {
   const frontendPath = path.join(__dirname, '../frontend', 'index.html');
   res.sendFile(frontendPath, (err) => {
     if (err) {
-      console.error('Error serving frontend:', err);
+      log.error('Error serving frontend:', err);
       res.json({
         message: 'Frontend not found - API is running',
         endpoints: {
           health: '/health',
           scrape: 'POST /api/scrape',
-          createOrder: 'POST /apps/instant-import/create-draft-order'
+          scrapeJobs: 'POST /api/scrape-jobs',
+          quote: 'POST /api/quote',
+          rateCard: 'GET /api/rate-card',
+          exchangeRates: 'GET /api/exchange-rates',
+          createOrder: 'POST /apps/instant-import/create-draft-order',
+          shopifyWebhooks: 'POST /webhooks/shopify'
         }
       });
     }
@@ -124,52 +285,68 @@ app.get('/complete-order.html', (req, res) => {
   const completePath = path.join(__dirname, '../frontend', 'complete-order.html');
   res.sendFile(completePath, (err) => {
     if (err) {
-      console.error('Error serving complete-order page:', err);
+      log.error('Error serving complete-order page:', err);
       res.redirect('/');
     }
   });
 });
 
-// Rate limiter (after health check)
+// Rate limiters (after health check). Logged-in staff are not limited: one admin page load makes several calls
+async function isStaffRequest(req) {
+  return !!(await currentStaff(req).catch(() => null));
+}
+
+// The calculator re-prices the cart on every confirmed price change, so quotes get their own, larger allowance
+const quoteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 300,
+  trustProxy: 1,
+  keyGenerator: (req) => req.ip,
+  skip: isStaffRequest
+});
+app.use('/api/quote', quoteLimiter);
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 50,
   trustProxy: 1,
-  keyGenerator: (req) => req.ip
+  keyGenerator: (req) => req.ip,
+  skip: async (req) => req.path === '/quote' || isStaffRequest(req)
 });
 app.use('/api/', limiter);
 
+// Rates for the per-product shipping estimate; a database hiccup should not stop scraping
+async function activeRates() {
+  try {
+    return (await rateCards.getActive()).rates;
+  } catch (error) {
+    log.warn('⚠️ Could not load rate card, using default rates:', error.message);
+    return DEFAULT_RATES;
+  }
+}
+
+// Quotes are priced in USD: foreign prices are converted once at scrape time and the original kept for display
+async function convertToUsd(price, currency) {
+  const unconverted = { price, originalPrice: null, originalCurrency: null, exchangeRate: null };
+  if (!price) return unconverted;
+  
+  const conversion = await exchangeRates.toUsd(price, currency);
+  if (conversion.currency === 'USD') return unconverted;
+  
+  log.debug(`   💱 ${formatMoney(price, conversion.currency)} → $${conversion.usd.toFixed(2)} (1 ${conversion.currency} = ${conversion.rate} USD)`);
+  return {
+    price: conversion.usd,
+    originalPrice: price,
+    originalCurrency: conversion.currency,
+    exchangeRate: conversion.rate
+  };
+}
+
 // Utilities
 function generateProductId() {
   return Date.now() + Math.random().toString(36).substr(2, 9);
 }
 
-function detectRetailer(url) {
-  try {
-    const domain = new URL(url).hostname.toLowerCase();
-    if (domain.includes('amazon.com')) return 'Amazon';
-    if (domain.includes('wayfair.com')) return 'Wayfair';
-    if (domain.includes('target.com')) return 'Target';
-    if (domain.includes('bestbuy.com')) return 'Best Buy';
-    if (domain.includes('walmart.com')) return 'Walmart';
-    if (domain.includes('homedepot.com')) return 'Home Depot';
-    if (domain.includes('lowes.com')) return 'Lowes';
-    if (domain.includes('costco.com')) return 'Costco';
-    if (domain.includes('macys.com')) return 'Macys';
-    if (domain.includes('ikea.com')) return 'IKEA';
-    if (domain.includes('overstock.com')) return 'Overstock';
-    if (domain.includes('bedbathandbeyond.com')) return 'Bed Bath & Beyond';
-    if (domain.includes('cb2.com')) return 'CB2';
-    if (domain.includes('crateandbarrel.com')) return 'Crate & Barrel';
-    if (domain.includes('westelm.com')) return 'West Elm';
-    if (domain.includes('potterybarn.com')) return 'Pottery Barn';
-    if (domain.includes('lunafurn.com')) return 'Luna Furniture';
-    return 'Unknown Retailer';
-  } catch (e) {
-    return 'Unknown Retailer';
-  }
-}
-
 // SDL Domain blocking function
 function isSDLDomain(url) {
   try {
@@ -225,150 +402,31 @@ function estimateWeight(dimensions, category) {
   return Math.round(estimatedWeight * 10) / 10;
 }
 
-function estimateDimensions(category, name = '') {
-  const text = name.toLowerCase();
-  
-  // Check if dimensions are in the name
-  const dimMatch = text.match(/(\d+\.?\d*)\s*[x×]\s*(\d+\.?\d*)\s*[x×]\s*(\d+\.?\d*)/);
-  if (dimMatch) {
-    const dims = {
-      length: Math.max(1, parseFloat(dimMatch[1]) * 1.2),
-      width: Math.max(1, parseFloat(dimMatch[2]) * 1.2), 
-      height: Math.max(1, parseFloat(dimMatch[3]) * 1.2)
-    };
-    
-    if (dims.length <= 120 && dims.width <= 120 && dims.height <= 120) {
-      return dims;
+// OpenAI calls made from this file go through here so their tokens and cost show up in /metrics and they
+// count against the OpenAI budget (which throws ProviderBudget.BudgetError instead of calling when spent)
+async function createChatCompletion(client, purpose, params) {
+  try {
+    const response = await openaiBudget.run(() => client.chat.completions.create(params), {
+      cost: result => metrics.estimateGptCost(params.model, result.usage)
+    });
+    metrics.recordGptCall({ model: params.model, purpose, usage: response.usage });
+    return response;
+  } catch (error) {
+    if (!(error instanceof ProviderBudget.BudgetError)) {
+      metrics.recordGptCall({ model: params.model, purpose, outcome: 'error' });
     }
+    throw error;
   }
-  
-  // Enhanced category estimates with more realistic sizes
-  const baseEstimates = {
-    'furniture': { 
-      length: 48 + Math.random() * 30,
-      width: 30 + Math.random() * 20,  
-      height: 36 + Math.random() * 24
-    },
-    'electronics': { 
-      length: 18 + Math.random() * 15,
-      width: 12 + Math.random() * 8,
-      height: 8 + Math.random() * 6
-    },
-    'appliances': { 
-      length: 30 + Math.random() * 12,
-      width: 30 + Math.random() * 12,
-      height: 36 + Math.random() * 20
-    },
-    'clothing': { 
-      length: 12 + Math.random() * 6,
-      width: 10 + Math.random() * 6,
-      height: 2 + Math.random() * 2
-    },
-    'books': { 
-      length: 8 + Math.random() * 3,
-      width: 5 + Math.random() * 3,
-      height: 1 + Math.random() * 2
-    },
-    'toys': { 
-      length: 12 + Math.random() * 8,
-      width: 10 + Math.random() * 8,
-      height: 8 + Math.random() * 8
-    },
-    'sports': { 
-      length: 24 + Math.random() * 12,
-      width: 18 + Math.random() * 10,
-      height: 12 + Math.random() * 8
-    },
-    'home-decor': { 
-      length: 12 + Math.random() * 12,
-      width: 10 + Math.random() * 10,
-      height: 12 + Math.random() * 12
-    },
-    'tools': { 
-      length: 18 + Math.random() * 6,
-      width: 12 + Math.random() * 6,
-      height: 6 + Math.random() * 4
-    },
-    'garden': { 
-      length: 24 + Math.random() * 12,
-      width: 18 + Math.random() * 12,
-      height: 12 + Math.random() * 12
-    },
-    'general': { 
-      length: 14 + Math.random() * 8,
-      width: 12 + Math.random() * 6,
-      height: 10 + Math.random() * 6
-    }
-  };
-  
-  const estimate = baseEstimates[category] || baseEstimates['general'];
-  
-  return {
-    length: Math.round(estimate.length * 10) / 10,
-    width: Math.round(estimate.width * 10) / 10,
-    height: Math.round(estimate.height * 10) / 10
-  };
 }
 
-// Convert product dimensions to shipping box dimensions
-function estimateBoxDimensions(productDimensions, category) {
-  if (!productDimensions) return null;
-  
-  // Add padding based on category
-  const paddingFactors = {
-    'electronics': 1.3,  // More padding for fragile items
-    'appliances': 1.2,
-    'furniture': 1.1,   // Less padding for large items
-    'clothing': 1.4,     // More padding for soft goods
-    'books': 1.2,
-    'toys': 1.25,
-    'sports': 1.2,
-    'home-decor': 1.35,  // More padding for fragile decor
-    'tools': 1.15,
-    'garden': 1.2,
-    'general': 1.25
-  };
-  
-  const factor = paddingFactors[category] || 1.25;
-  
-  return {
-    length: Math.round(productDimensions.length * factor * 10) / 10,
-    width: Math.round(productDimensions.width * factor * 10) / 10,
-    height: Math.round(productDimensions.height * factor * 10) / 10
-  };
-}
+// A paid tier is skipped (and counted as such) while its provider's budget is spent or its circuit is open
+async function paidTierAvailable(budget, retailer, method) {
+  const blocked = await budget.check();
+  if (!blocked) return true;
 
-function calculateShippingCost(dimensions, weight, price) {
-  if (!dimensions) {
-    // No dimensions available, use a default based on price
-    return Math.max(25, price * 0.15);
-  }
-  
-  console.log(`   🧮 DETAILED Shipping calculation:`);
-  console.log(`   📦 Input dimensions: ${dimensions.length}" × ${dimensions.width}" × ${dimensions.height}"`);
-  
-  // Calculate volume in cubic feet
-  const cubicInches = dimensions.length * dimensions.width * dimensions.height;
-  const cubicFeet = cubicInches / 1728;
-  console.log(`   📊 VOLUME CALCULATION:`);
-  console.log(`   📊   ${dimensions.length} × ${dimensions.width} × ${dimensions.height} = ${cubicInches.toFixed(0)} cubic inches`);
-  console.log(`   📊   ${cubicInches.toFixed(0)} ÷ 1728 = ${cubicFeet.toFixed(3)} cubic feet`);
-  
-  // Base rate: $8 per cubic foot, minimum $15
-  const baseCost = Math.max(15, cubicFeet * SHIPPING_RATE_PER_CUBIC_FOOT);
-  console.log(`   💰 BASE COST CALCULATION:`);
-  console.log(`   💰   ${cubicFeet.toFixed(3)} × $${SHIPPING_RATE_PER_CUBIC_FOOT} = $${(cubicFeet * SHIPPING_RATE_PER_CUBIC_FOOT).toFixed(2)}`);
-  console.log(`   💰   Math.max(15, ${(cubicFeet * SHIPPING_RATE_PER_CUBIC_FOOT).toFixed(2)}) = $${baseCost.toFixed(2)}`);
-  
-  // Add handling fee
-  const handlingFee = 15;
-  console.log(`   📋 HANDLING FEE: $${handlingFee}`);
-  
-  // Total shipping cost
-  const totalShippingCost = baseCost + handlingFee;
-  console.log(`   💰 TOTAL SHIPPING: $${baseCost.toFixed(2)} + $${handlingFee} = $${totalShippingCost.toFixed(2)}`);
-  
-  return Math.round(totalShippingCost * 100) / 100;
+  metrics.timeScrapeTier(retailer, method)('skipped');
+  log.info(`   ⏸️ Skipping ${method}: ${blocked.message}`, { reason: blocked.reason, retryAt: blocked.retryAt });
+  return false;
 }
 
 // Enhanced GPT enhancement function
@@ -378,7 +436,7 @@ async function enhanceProductDataWithGPT(zyteData, url, retailer) {
   }
   
   try {
-    console.log('   🧠 Enhancing product data with GPT intelligence...');
+    log.debug('   🧠 Enhancing product data with GPT intelligence...');
     
     const OpenAI = require('openai');
     const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
@@ -411,7 +469,7 @@ Examples:
 - Standing Desk → allVariants: ["Color: Rustic Brown", "Size: 47.25W"], primaryVariant: "Rustic Brown 47.25W"
 - Office Chair → allVariants: ["Color: Black", "Style: Ergonomic"], primaryVariant: "Black Ergonomic"`;
 
-    const response = await client.chat.completions.create({
+    const response = await createChatCompletion(client, 'zyte-enhancement', {
       model: 'gpt-4o-mini',
       temperature: 0.1,
       max_tokens: 200,
@@ -430,31 +488,31 @@ Examples:
     // Check if GPT found a better (sale) price
     if (enhancement.salePrice && typeof enhancement.salePrice === 'number' && enhancement.salePrice > 0 && enhancement.salePrice < zyteData.price) {
       enhanced.price = enhancement.salePrice;
-      console.log(`   💰 Enhanced price: $${zyteData.price} → $${enhancement.salePrice} (sale price)`);
+      log.debug(`   💰 Enhanced price: $${zyteData.price} → $${enhancement.salePrice} (sale price)`);
     } else if (enhancement.salePrice && typeof enhancement.salePrice === 'number' && enhancement.salePrice > 0) {
       // Even if it's not lower, use it if it's a valid sale price and significantly different
       const priceDifference = Math.abs(enhancement.salePrice - zyteData.price);
       if (priceDifference > zyteData.price * 0.1) { // More than 10% difference
         enhanced.price = enhancement.salePrice;
-        console.log(`   💰 Enhanced price: $${zyteData.price} → $${enhancement.salePrice} (corrected price)`);
+        log.debug(`   💰 Enhanced price: $${zyteData.price} → $${enhancement.salePrice} (corrected price)`);
       }
     }
     
     // Enhance variants if GPT found better ones
     if (enhancement.allVariants && Array.isArray(enhancement.allVariants) && enhancement.allVariants.length > 0) {
       enhanced.allVariants = enhancement.allVariants;
-      console.log(`   🎨 Enhanced variants: ${enhancement.allVariants.join(', ')}`);
+      log.debug(`   🎨 Enhanced variants: ${enhancement.allVariants.join(', ')}`);
     }
     
     if (enhancement.primaryVariant && enhancement.primaryVariant !== 'none' && enhancement.primaryVariant.length > 3) {
       enhanced.variant = enhancement.primaryVariant;
-      console.log(`   🎨 Enhanced variant: "${zyteData.variant}" → "${enhancement.primaryVariant}"`);
+      log.debug(`   🎨 Enhanced variant: "${zyteData.variant}" → "${enhancement.primaryVariant}"`);
     }
     
     // Enhance main image if GPT found a better one
     if (enhancement.mainImage && enhancement.mainImage.startsWith('http')) {
       enhanced.image = enhancement.mainImage;
-      console.log(`   🖼️ Enhanced image URL`);
+      log.debug(`   🖼️ Enhanced image URL`);
     }
     
     // Enhance dimensions if GPT found better ones
@@ -470,82 +528,18 @@ Examples:
       // Use GPT dimensions if they're significantly larger (more realistic for furniture)
       if (gptVolume > currentVolume * 1.5) {
         enhanced.dimensions = enhancement.enhancedDimensions;
-        console.log(`   📦 Enhanced dimensions: ${Math.round(gptVolume/1728 * 100)/100} ft³ vs ${Math.round(currentVolume/1728 * 100)/100} ft³`);
+        log.debug(`   📦 Enhanced dimensions: ${Math.round(gptVolume/1728 * 100)/100} ft³ vs ${Math.round(currentVolume/1728 * 100)/100} ft³`);
       }
     }
     
     return enhanced;
     
   } catch (error) {
-    console.log('   ❌ GPT enhancement error:', error.message);
+    log.debug('   ❌ GPT enhancement error:', error.message);
     return zyteData; // Return original data if enhancement fails
   }
 }
 
-// Check if IKEA product needs component collection
-function checkIfIkeaNeedsComponents(productName, price) {
-  const name = productName.toLowerCase();
-  
-  // Bed frames - typically 2-4 components
-  if (/\b(bed|frame|headboard|footboard)\b/.test(name)) {
-    if (price > 400) {
-      return { count: 4, type: 'bed frame' }; // King/Queen beds
-    } else if (price > 200) {
-      return { count: 3, type: 'bed frame' }; // Full/Double beds
-    } else {
-      return { count: 2, type: 'bed frame' }; // Twin beds
-    }
-  }
-  
-  // Wardrobes/PAX - typically 3-6 components
-  if (/\b(wardrobe|armoire|closet|pax)\b/.test(name)) {
-    if (price > 500) {
-      return { count: 6, type: 'wardrobe system' }; // Large PAX systems
-    } else if (price > 300) {
-      return { count: 4, type: 'wardrobe' }; // Medium wardrobes
-    } else {
-      return { count: 3, type: 'wardrobe' }; // Small wardrobes
-    }
-  }
-  
-  // Kitchen systems - typically 4-8 components
-  if (/\b(kitchen|cabinet.*set|knoxhult|enhet)\b/.test(name)) {
-    if (price > 1000) {
-      return { count: 8, type: 'kitchen system' }; // Full kitchen
-    } else if (price > 500) {
-      return { count: 5, type: 'kitchen set' }; // Partial kitchen
-    } else {
-      return { count: 4, type: 'kitchen unit' }; // Small kitchen set
-    }
-  }
-  
-  // Sectional sofas - typically 2-4 components
-  if (/\b(sectional|sofa.*section|corner.*sofa)\b/.test(name)) {
-    if (price > 800) {
-      return { count: 4, type: 'sectional sofa' }; // Large sectionals
-    } else {
-      return { count: 3, type: 'sectional sofa' }; // Small sectionals
-    }
-  }
-  
-  // Dining sets - typically 2-3 components (table + chairs)
-  if (/\b(dining|table.*chair|chair.*table)\b/.test(name)) {
-    return { count: 3, type: 'dining set' };
-  }
-  
-  // Large storage/shelving - typically 2-3 components for tall units
-  if (/\b(bookshelf|shelf.*unit|billy|hemnes.*bookcase|kallax)\b/.test(name) && price > 200) {
-    return { count: 3, type: 'storage unit' };
-  }
-  
-  // Large desks - typically 2 components
-  if (/\b(desk|workstation|office.*table)\b/.test(name) && price > 300) {
-    return { count: 2, type: 'desk system' };
-  }
-  
-  return null; // Single component item
-}
-
 // Helper function to check if essential data is complete
 function isDataComplete(productData) {
   return productData && 
@@ -582,158 +576,6 @@ function dimensionsLookSuspicious(dimensions) {
   return false;
 }
 
-// IKEA Multi-Box Estimator - estimates total shipping volume for IKEA furniture
-function estimateIkeaMultiBoxShipping(singleBoxDimensions, productName, price) {
-  const name = productName.toLowerCase();
-  const volume = singleBoxDimensions.length * singleBoxDimensions.width * singleBoxDimensions.height;
-  
-  console.log(`   🛏️ IKEA Multi-Box Analysis for: "${productName.substring(0, 50)}..."`);
-  console.log(`   📦 Single box: ${singleBoxDimensions.length}" × ${singleBoxDimensions.width}" × ${singleBoxDimensions.height}" (${(volume/1728).toFixed(2)} ft³)`);
-  
-  let boxMultiplier = 1;
-  let confidence = 'low';
-  
-  // Bed frames - typically 2-4 boxes depending on size
-  if (/\b(bed|frame|headboard|footboard)\b/.test(name)) {
-    if (price > 400) {
-      boxMultiplier = 4; // King/Queen beds
-      confidence = 'high';
-    } else if (price > 200) {
-      boxMultiplier = 3; // Full/Double beds
-      confidence = 'medium';
-    } else {
-      boxMultiplier = 2; // Twin beds
-      confidence = 'medium';
-    }
-  }
-  // Wardrobes/Armoires - typically 3-6 boxes
-  else if (/\b(wardrobe|armoire|closet|pax)\b/.test(name)) {
-    if (price > 500) {
-      boxMultiplier = 6; // Large PAX systems
-      confidence = 'high';
-    } else if (price > 300) {
-      boxMultiplier = 4; // Medium wardrobes
-      confidence = 'medium';
-    } else {
-      boxMultiplier = 3; // Small wardrobes
-      confidence = 'medium';
-    }
-  }
-  // Dining sets - typically 2-3 boxes (table + chairs)
-  else if (/\b(dining|table.*chair|chair.*table)\b/.test(name)) {
-    boxMultiplier = 3;
-    confidence = 'medium';
-  }
-  // Sectional sofas - typically 2-4 boxes
-  else if (/\b(sectional|sofa.*section|corner.*sofa)\b/.test(name)) {
-    if (price > 800) {
-      boxMultiplier = 4; // Large sectionals
-      confidence = 'high';
-    } else {
-      boxMultiplier = 3; // Small sectionals
-      confidence = 'medium';
-    }
-  }
-  // Kitchen systems - typically 3-8 boxes
-  else if (/\b(kitchen|cabinet.*set|knoxhult|enhet)\b/.test(name)) {
-    if (price > 1000) {
-      boxMultiplier = 8; // Full kitchen
-      confidence = 'medium';
-    } else if (price > 500) {
-      boxMultiplier = 5; // Partial kitchen
-      confidence = 'medium';
-    } else {
-      boxMultiplier = 3; // Small kitchen set
-      confidence = 'low';
-    }
-  }
-  // Bookshelves/Storage - typically 2-3 boxes for tall units
-  else if (/\b(bookshelf|shelf.*unit|billy|hemnes.*bookcase|kallax)\b/.test(name)) {
-    if (price > 200) {
-      boxMultiplier = 3; // Tall/wide units
-      confidence = 'medium';
-    } else {
-      boxMultiplier = 2; // Standard units
-      confidence = 'medium';
-    }
-  }
-  // Desks - typically 2 boxes for larger desks
-  else if (/\b(desk|workstation|office.*table)\b/.test(name)) {
-    if (price > 300) {
-      boxMultiplier = 2; // Large desks
-      confidence = 'medium';
-    }
-  }
-  // Default for other furniture
-  else if (price > 300) {
-    boxMultiplier = 2; // Assume larger furniture ships in 2 boxes
-    confidence = 'low';
-  }
-  
-  // Calculate estimated total shipping dimensions
-  // Strategy: Stack boxes efficiently (2x2 for 4 boxes, 2x3 for 6 boxes, etc.)
-  let totalDimensions;
-  
-  if (boxMultiplier <= 2) {
-    // Side by side
-    totalDimensions = {
-      length: singleBoxDimensions.length * boxMultiplier,
-      width: singleBoxDimensions.width,
-      height: singleBoxDimensions.height
-    };
-  } else if (boxMultiplier <= 4) {
-    // 2x2 arrangement
-    totalDimensions = {
-      length: singleBoxDimensions.length * 2,
-      width: singleBoxDimensions.width * 2,
-      height: singleBoxDimensions.height
-    };
-  } else if (boxMultiplier <= 6) {
-    // 2x3 arrangement
-    totalDimensions = {
-      length: singleBoxDimensions.length * 2,
-      width: singleBoxDimensions.width * 3,
-      height: singleBoxDimensions.height
-    };
-  } else {
-    // 2x4 arrangement for 8 boxes
-    totalDimensions = {
-      length: singleBoxDimensions.length * 2,
-      width: singleBoxDimensions.width * 4,
-      height: singleBoxDimensions.height
-    };
-  }
-  
-  const totalVolume = totalDimensions.length * totalDimensions.width * totalDimensions.height;
-  
-  console.log(`   📊 IKEA Multi-Box Estimate:`);
-  console.log(`   📊   Product type: ${getIkeaProductType(name)}`);
-  console.log(`   📊   Estimated boxes: ${boxMultiplier} (confidence: ${confidence})`);
-  console.log(`   📊   Total dimensions: ${totalDimensions.length}" × ${totalDimensions.width}" × ${totalDimensions.height}"`);
-  console.log(`   📊   Total volume: ${(totalVolume/1728).toFixed(2)} ft³ (vs single box: ${(volume/1728).toFixed(2)} ft³)`);
-  console.log(`   ⚠️   This is an ESTIMATE - actual IKEA shipping may vary`);
-  
-  return {
-    dimensions: totalDimensions,
-    boxCount: boxMultiplier,
-    confidence: confidence,
-    singleBoxVolume: volume / 1728,
-    totalVolume: totalVolume / 1728,
-    estimationMethod: 'ikea-multibox'
-  };
-}
-
-function getIkeaProductType(name) {
-  if (/\b(bed|frame|headboard)\b/.test(name)) return 'Bed Frame';
-  if (/\b(wardrobe|armoire|pax)\b/.test(name)) return 'Wardrobe/Storage';
-  if (/\b(dining|table.*chair)\b/.test(name)) return 'Dining Set';
-  if (/\b(sectional|sofa.*section)\b/.test(name)) return 'Sectional Sofa';
-  if (/\b(kitchen|cabinet.*set)\b/.test(name)) return 'Kitchen System';
-  if (/\b(bookshelf|billy|kallax)\b/.test(name)) return 'Storage/Shelving';
-  if (/\b(desk|workstation)\b/.test(name)) return 'Desk/Office';
-  return 'Furniture';
-}
-
 // Merge product data from multiple sources
 function mergeProductData(primary, secondary) {
   if (!primary) return secondary;
@@ -753,32 +595,84 @@ function mergeProductData(primary, secondary) {
 }
 
 // Main product scraping function
-async function scrapeProduct(url) {
+// onProgress(status) is told which tier is running so scrape jobs can stream it
+async function scrapeProduct(url, { onProgress } = {}) {
+  const reportProgress = (status) => {
+    if (onProgress) onProgress(status);
+  };
   const productId = generateProductId();
   const retailer = detectRetailer(url);
   
   let productData = null;
   let scrapingMethod = 'none';
   let confidence = null;
+  let dimensionsSource = 'product'; // GPT reads package dimensions; Zyte reports the product itself
+  
+  log.info(`🔍 Scraping: ${url}`);
+  log.debug(`   🏪 Retailer: ${retailer}`);
+  
+  // STEP 1: Read schema.org / OpenGraph data from the page before paying for Zyte or GPT
+  let html = null;
+  let structuredData = null;
+  const endStructuredTier = metrics.timeScrapeTier(retailer, 'structured-data');
   
-  console.log(`\n🔍 Scraping: ${url}`);
-  console.log(`   🏪 Retailer: ${retailer}`);
+  try {
+    html = await fetchViaAxios(url);
+    structuredData = extractStructuredData(html, url);
+    endStructuredTier(structuredData && structuredData.complete ? 'success' : 'miss');
+  } catch (fetchError) {
+    endStructuredTier('error');
+    log.debug('   ❌ HTML fetch failed:', fetchError.message);
+  }
+  
+  if (structuredData && structuredData.complete) {
+    productData = {
+      name: structuredData.name,
+      price: structuredData.price,
+      image: structuredData.image,
+      dimensions: null,
+      weight: null,
+      currency: structuredData.currency,
+      brand: structuredData.brand,
+      sku: structuredData.sku,
+      category: structuredData.category,
+      availability: structuredData.availability,
+      inStock: structuredData.inStock,
+      variant: structuredData.variant,
+      allVariants: structuredData.allVariants,
+      offers: structuredData.offers,
+      breadcrumbs: structuredData.breadcrumbs
+    };
+    scrapingMethod = 'structured-data';
+    log.debug(`   ✅ Structured data (${structuredData.sources.join(', ')}) complete! Product: "${productData.name.substring(0, 50)}..." Price: $${productData.price}`);
+  } else if (structuredData) {
+    log.debug(`   ⚠️ Structured data (${structuredData.sources.join(', ')}) incomplete - continuing to paid tiers`);
+  }
   
-  // STEP 1: Try Zyte API first
-  if (USE_ZYTE) {
+  // STEP 2: Try Zyte API, unless its budget is spent or it keeps failing
+  if (USE_ZYTE && !productData && await paidTierAvailable(zyteBudget, retailer, 'zyte')) {
     try {
-      console.log('   🕷️ Trying Zyte API...');
-      const zyteResult = await zyteScraper.scrapeProduct(url);
+      reportProgress('zyte');
+      log.debug('   🕷️ Trying Zyte API...');
+      const endZyteTier = metrics.timeScrapeTier(retailer, 'zyte');
+      let zyteResult;
+      try {
+        zyteResult = await zyteScraper.scrapeProduct(url);
+      } catch (zyteError) {
+        endZyteTier(zyteError instanceof ProviderBudget.BudgetError ? 'skipped' : 'error');
+        throw zyteError;
+      }
+      endZyteTier(zyteResult && zyteResult.name && zyteResult.price ? 'success' : 'miss');
       
       if (zyteResult && zyteResult.name && zyteResult.price) {
         productData = zyteResult;
         scrapingMethod = 'zyte';
         confidence = zyteResult.confidence || null;
-        console.log(`   ✅ Zyte success! Product: "${zyteResult.name.substring(0, 50)}..." Price: $${zyteResult.price}`);
+        log.debug(`   ✅ Zyte success! Product: "${zyteResult.name.substring(0, 50)}..." Price: $${zyteResult.price}`);
         
         // Skip GPT enhancement if we already have good Zyte data
         if (productData.confidence && productData.confidence > 0.95 && productData.allVariants && productData.allVariants.length > 2) {
-          console.log('   ✅ Skipping GPT enhancement - Zyte data is excellent');
+          log.debug('   ✅ Skipping GPT enhancement - Zyte data is excellent');
         } else {
           const gptResult = await parseWithGPT({ 
             url: productData.url, 
@@ -790,90 +684,144 @@ async function scrapeProduct(url) {
           if (gptResult.allVariants && gptResult.allVariants.length > (productData.allVariants?.length || 0)) {
             productData.allVariants = gptResult.allVariants;
             productData.variant = gptResult.variant;
-            console.log('   🎨 Enhanced variants:', gptResult.allVariants);
+            log.debug('   🎨 Enhanced variants:', gptResult.allVariants);
           }
           
           if (gptResult.variant && gptResult.variant.length > (productData.variant?.length || 0)) {
             const cleanVariant = gptResult.variant.replace(/[|•]/g, ' ').replace(/\s+/g, ' ').trim();
             productData.variant = cleanVariant;
-            console.log(`   🎨 Enhanced variant: "${productData.variant}" → "${cleanVariant}"`);
+            log.debug(`   🎨 Enhanced variant: "${productData.variant}" → "${cleanVariant}"`);
           }
           
           if (gptResult.image && gptResult.image !== productData.image && gptResult.image.startsWith('http')) {
             productData.image = gptResult.image;
-            console.log('   🖼️ Enhanced image URL');
+            log.debug('   🖼️ Enhanced image URL');
           }
           
           // Only use GPT price if it's significantly different (>10% difference)
           if (gptResult.price && Math.abs(gptResult.price - productData.price) > (productData.price * 0.1)) {
-            console.log(`   💰 GPT found different price: $${gptResult.price} vs $${productData.price}`);
+            log.debug(`   💰 GPT found different price: $${gptResult.price} vs $${productData.price}`);
             productData.price = gptResult.price;
           }
           
           if (gptResult.dimensions && !productData.dimensions) {
             productData.dimensions = gptResult.dimensions;
-            console.log('   📦 Enhanced dimensions:', (gptResult.dimensions.length * gptResult.dimensions.width * gptResult.dimensions.height / 1728).toFixed(1), 'ft³ vs', (productData.dimensions?.length * productData.dimensions?.width * productData.dimensions?.height / 1728 || 0).toFixed(1), 'ft³');
+            log.debug('   📦 Enhanced dimensions:', (gptResult.dimensions.length * gptResult.dimensions.width * gptResult.dimensions.height / 1728).toFixed(1), 'ft³ vs', (productData.dimensions?.length * productData.dimensions?.width * productData.dimensions?.height / 1728 || 0).toFixed(1), 'ft³');
           }
         }
         
         try {
           productData = await enhanceProductDataWithGPT(productData, url, retailer);
-          console.log('   ✅ GPT enhancement successful');
+          log.debug('   ✅ GPT enhancement successful');
         } catch (gptError) {
-          console.log('   ⚠️ GPT enhancement failed, using original Zyte data:', gptError.message);
+          log.debug('   ⚠️ GPT enhancement failed, using original Zyte data:', gptError.message);
           // Continue with original Zyte data - no harm done!
         }
       }
     
     } catch (error) {
-      console.log('   ❌ Zyte API failed:', error.message);
+      log.debug('   ❌ Zyte API failed:', error.message);
+    }
+  }
+  
+  // STEP 3: Try the cheerio selectors on the fetched page before paying for GPT
+  if (!productData && html) {
+    try {
+      log.debug('   🧩 Trying adaptive selectors...');
+      const endSelectorTier = metrics.timeScrapeTier(retailer, 'adaptive-selectors');
+      const extraction = await adaptiveScraper.extractProduct(html, url, retailer)
+        .catch(error => {
+          endSelectorTier('error');
+          throw error;
+        });
+      endSelectorTier(extraction.success ? 'success' : 'miss');
+      await adaptiveScraper.recordScrapingAttempt(url, retailer, extraction.success, extraction.data, extraction.failureReasons);
       
-      // STEP 2: Try GPT parser as fallback
-      if (USE_GPT_FALLBACK) {
+      if (extraction.success) {
+        productData = {
+          name: extraction.data.name,
+          price: extraction.data.price,
+          currency: extraction.data.currency,
+          image: extraction.data.image,
+          dimensions: null,
+          weight: null,
+          brand: null,
+          category: null,
+          inStock: true,
+          variant: extraction.data.variant
+        };
+        scrapingMethod = 'adaptive-selectors';
+        log.debug(`   ✅ Adaptive selectors success! Product: "${productData.name.substring(0, 50)}..." Price: $${productData.price}`);
+      } else {
+        log.debug(`   ❌ Adaptive selectors missed: ${extraction.failureReasons.join(', ')}`);
+      }
+    } catch (selectorError) {
+      log.debug('   ❌ Adaptive selectors failed:', selectorError.message);
+      await adaptiveScraper.recordScrapingAttempt(url, retailer, false, null, ['extraction_error']).catch(() => {});
+    }
+  }
+  
+  // STEP 4: Try GPT parser as fallback, reusing the HTML we already fetched, unless the OpenAI budget is spent
+  if (!productData) {
+    if (USE_GPT_FALLBACK && await paidTierAvailable(openaiBudget, retailer, 'gpt-fallback')) {
+      try {
+        reportProgress('gpt');
+        log.debug('   🤖 Trying GPT parser fallback...');
+        const endGptTier = metrics.timeScrapeTier(retailer, 'gpt-fallback');
+        let gptData;
         try {
-          console.log('   🤖 Trying GPT parser fallback...');
-          const gptData = await parseWithGPT(url);
-          
-          // Check if GPT got essential data
-          const gptHasEssentialData = gptData && gptData.name && gptData.price;
-          
-          if (gptHasEssentialData) {
-            // Convert GPT parser format to our expected format
-            productData = {
-              name: gptData.name,
-              price: gptData.price,
-              image: gptData.image,
-              dimensions: gptData.dimensions || gptData.package_dimensions,
-              weight: gptData.weight || gptData.package_weight_lbs,
-              brand: gptData.brand,
-              category: gptData.category,
-              inStock: gptData.inStock,
-              variant: gptData.variant
-            };
-            scrapingMethod = 'gpt-fallback';
-            console.log('   ✅ GPT parser fallback success!');
-          } else {
-            console.log('   ❌ GPT parser also missing essential data');
-            throw new Error(`GPT parser failed: missing essential data (name: ${!!gptData?.name}, price: ${!!gptData?.price})`);
-          }
-        } catch (gptError) {
-          console.log('   ❌ GPT parser fallback failed:', gptError.message);
-          
-          // Both Zyte and GPT failed - require manual entry
-          console.log('   🚨 Both automated methods failed - requiring manual entry');
-          scrapingMethod = 'manual-required';
+          gptData = html
+            ? await parseHtmlWithGPT({ url, html, currencyFallback: currencyForUrl(url) || 'USD', budget: openaiBudget })
+            : await parseWithGPT(url, { budget: openaiBudget });
+        } catch (gptCallError) {
+          endGptTier(gptCallError instanceof ProviderBudget.BudgetError ? 'skipped' : 'error');
+          throw gptCallError;
         }
-      } else {
-        console.log('   ⚠️ No GPT fallback available (missing OpenAI API key)');
+        
+        // Check if GPT got essential data
+        const gptHasEssentialData = gptData && gptData.name && gptData.price;
+        endGptTier(gptHasEssentialData ? 'success' : 'miss');
+        
+        if (gptHasEssentialData) {
+          // Convert GPT parser format to our expected format
+          productData = {
+            name: gptData.name,
+            price: gptData.price,
+            currency: gptData.currency,
+            image: gptData.image,
+            dimensions: gptData.dimensions || gptData.package_dimensions,
+            weight: gptData.weight || gptData.package_weight_lbs,
+            brand: gptData.brand,
+            category: gptData.category,
+            inStock: gptData.inStock,
+            variant: gptData.variant,
+            breadcrumbs: gptData.breadcrumbs
+          };
+          scrapingMethod = 'gpt-fallback';
+          dimensionsSource = 'package';
+          log.debug('   ✅ GPT parser fallback success!');
+        } else {
+          log.debug('   ❌ GPT parser also missing essential data');
+          throw new Error(`GPT parser failed: missing essential data (name: ${!!gptData?.name}, price: ${!!gptData?.price})`);
+        }
+      } catch (gptError) {
+        log.debug('   ❌ GPT parser fallback failed:', gptError.message);
+        
+        // Every automated method failed - require manual entry
+        log.debug('   🚨 All automated methods failed - requiring manual entry');
         scrapingMethod = 'manual-required';
       }
+    } else {
+      log.debug(`   ⚠️ No GPT fallback available (${USE_GPT_FALLBACK ? 'OpenAI budget spent or paused' : 'missing OpenAI API key'})`);
+      scrapingMethod = 'manual-required';
     }
   }
   
   // Check if manual entry is required
   if (scrapingMethod === 'manual-required') {
-    console.log(`   ⚠️ ${retailer} requires manual entry - both automated methods failed`);
-    return {
+    log.debug(`   ⚠️ ${retailer} requires manual entry - all automated methods failed`);
+    metrics.recordScrapeResult(retailer, 'manual-required');
+    const manualProduct = {
       id: productId,
       url: url,
       name: null,
@@ -898,16 +846,28 @@ async function scrapeProduct(url) {
         hasVariant: false
       }
     };
+    // Stored too, so the item can still be ordered at the price the customer types in; with no scraped
+    // price to compare, the price audit flags it for staff
+    database.saveProduct(manualProduct).catch(error => {
+      log.error('⚠️ Failed to store manual-entry product:', error.message);
+    });
+    return manualProduct;
   }
   
-  // Check if IKEA component collection is needed
-  if (retailer === 'IKEA' && productData && productData.name && productData.price) {
-    const needsComponents = checkIfIkeaNeedsComponents(productData.name, productData.price);
-    if (needsComponents) {
-      console.log(`   🛏️ IKEA product likely has multiple components: ${productData.name}`);
+  // Counted before estimation and packaging add to the method name
+  metrics.recordScrapeResult(retailer, scrapingMethod);
+  
+  // Partial structured data still fills whatever the other tiers left empty
+  if (productData && structuredData && scrapingMethod !== 'structured-data') {
+    ['currency', 'image', 'brand', 'sku', 'availability', 'variant', 'breadcrumbs'].forEach(field => {
+      if (!productData[field] && structuredData[field]) {
+        productData[field] = structuredData[field];
+      }
+    });
+    if (!productData.allVariants?.length && structuredData.allVariants.length > 0) {
+      productData.allVariants = structuredData.allVariants;
+      productData.offers = structuredData.offers;
     }
-    // TEMPORARILY DISABLED FOR DEBUGGING - Let's see what Zyte actually returns
-    // if (scrapingMethod === 'manual-required') { ... }
   }
   
   // Ensure we always have valid productData for successful scrapes
@@ -925,6 +885,10 @@ async function scrapeProduct(url) {
     };
   }
   
+  // Pages that do not state a currency are priced in their storefront's currency
+  const pricing = await convertToUsd(productData.price, productData.currency || currencyForUrl(url));
+  productData.price = pricing.price;
+  
   // Fill in missing data with estimations
   const productName = (productData && productData.name) ? productData.name : `Product from ${retailer}`;
   
@@ -940,42 +904,23 @@ async function scrapeProduct(url) {
     category = categorizeProduct(productName, url);
   }
   
-  console.log(`   📂 Final category: "${category}"`);
-  
-  // STEP 3: IKEA Multi-Box Estimation
-  if (retailer === 'IKEA' && productData && productData.dimensions && productData.name && productData.price) {
-    const ikeaEstimate = estimateIkeaMultiBoxShipping(productData.dimensions, productData.name, productData.price);
-    
-    if (ikeaEstimate.boxCount > 1) {
-      productData.dimensions = ikeaEstimate.dimensions;
-      productData.ikeaMultiBox = {
-        estimatedBoxes: ikeaEstimate.boxCount,
-        confidence: ikeaEstimate.confidence,
-        singleBoxVolume: ikeaEstimate.singleBoxVolume,
-        totalVolume: ikeaEstimate.totalVolume,
-        estimationMethod: ikeaEstimate.estimationMethod
-      };
-      
-      scrapingMethod = scrapingMethod + '+ikea-multibox';
-      
-      console.log(`   🎯 Applied IKEA multi-box estimation (${ikeaEstimate.confidence} confidence)`);
-    }
-  }
+  log.debug(`   📂 Final category: "${category}"`);
   
-  // STEP 4: Ensure we have dimensions before proceeding
+  // STEP 5: Ensure we have dimensions before proceeding
+  let dimensionEstimate = null;
   if (!productData || !productData.dimensions) {
-    const estimatedDimensions = estimateDimensions(category, productName);
-    if (productData) {
-      productData.dimensions = estimatedDimensions;
-    } else {
-      productData = { dimensions: estimatedDimensions };
-    }
-    console.log('   📐 Estimated dimensions based on category:', category);
+    reportProgress('estimated');
+    dimensionEstimate = estimateDimensions({ name: productName, category, breadcrumbs: productData.breadcrumbs });
+    productData.dimensions = dimensionEstimate.dimensions;
+    // Sizes printed in the product name are real measurements, not guesses
+    dimensionsSource = dimensionEstimate.estimationSource === 'name-dimensions' ? 'product' : 'estimated';
+    log.debug(`   📐 Estimated dimensions (${dimensionEstimate.estimationSource}${dimensionEstimate.subType ? ': ' + dimensionEstimate.subType : ''}):`, dimensionEstimate.dimensions);
     if (scrapingMethod === 'none') {
       scrapingMethod = 'estimation';
     }
   }
   
+  let weightSource = 'product';
   if (!productData || !productData.weight) {
     const estimatedWeight = estimateWeight(productData.dimensions, category);
     if (productData) {
@@ -983,15 +928,32 @@ async function scrapeProduct(url) {
     } else {
       productData = { ...productData, weight: estimatedWeight };
     }
-    console.log('   ⚖️ Estimated weight based on dimensions');
+    weightSource = 'estimated';
+    log.debug('   ⚖️ Estimated weight based on dimensions');
+  }
+  
+  // STEP 6: Pack into shipping cartons (padding, multi-box retailers) and price the freight on those
+  const packaging = estimateBoxes({
+    dimensions: productData.dimensions,
+    category,
+    retailer,
+    name: productData.name,
+    price: productData.price,
+    source: dimensionsSource
+  });
+  log.debug(`   📦 Packaging: ${describePackaging(packaging)}`);
+  
+  if (packaging && packaging.cartonCount > 1) {
+    scrapingMethod = scrapingMethod + '+' + packaging.method;
   }
   
-  // Calculate shipping cost
-  const shippingCost = calculateShippingCost(
-    productData.dimensions,
+  const shipping = calculateShipping(
+    packaging ? packaging.cartons : productData.dimensions,
     productData.weight,
-    (productData && productData.price) ? productData.price : 100
+    (productData && productData.price) ? productData.price : 100,
+    await activeRates()
   );
+  const shippingCost = shipping.total;
   
   // Prepare final product object
   const product = {
@@ -999,15 +961,36 @@ async function scrapeProduct(url) {
     url: url,
     name: productName,
     price: (productData && productData.price) ? productData.price : null,
+    currency: 'USD',
+    originalPrice: pricing.originalPrice,
+    originalCurrency: pricing.originalCurrency,
+    exchangeRate: pricing.exchangeRate,
     image: (productData && productData.image) ? productData.image : 'https://placehold.co/400x400/7CB342/FFFFFF/png?text=SDL',
     category: category,
+    breadcrumbs: productData.breadcrumbs || [],
+    screening: screenProduct({ name: productName, breadcrumbs: productData.breadcrumbs, category }),
     retailer: retailer,
     dimensions: productData.dimensions,
+    dimensionsSource: dimensionsSource,
+    estimationSource: dimensionEstimate ? dimensionEstimate.estimationSource : null,
+    dimensionRange: dimensionEstimate ? dimensionEstimate.range : null,
+    estimatedSubType: dimensionEstimate ? dimensionEstimate.subType : null,
+    boxes: packaging ? packaging.cartons : [],
+    packaging: packaging,
     weight: productData.weight,
+    weightSource: weightSource,
     shippingCost: shippingCost,
+    shippingBreakdown: shipping,
     scrapingMethod: scrapingMethod,
     confidence: confidence,
     variant: (productData && productData.variant) ? productData.variant : null,
+    cached: false,
+    scrapedAt: new Date().toISOString(),
+    brand: productData.brand || null,
+    sku: productData.sku || null,
+    availability: productData.availability || null,
+    allVariants: productData.allVariants || [],
+    offers: productData.offers || [],
     dataCompleteness: {
       hasName: !!(productData && productData.name),
       hasImage: !!(productData && productData.image),
@@ -1018,24 +1001,49 @@ async function scrapeProduct(url) {
     }
   };
   
-  console.log(`   💰 Shipping cost: $${shippingCost}`);
-  console.log(`   📊 Data source: ${scrapingMethod}`);
+  log.debug(`   💰 Shipping cost: $${shippingCost}`);
+  if (product.screening.status !== 'allowed') {
+    log.debug(`   🚫 Screening: ${product.screening.status} (${product.screening.reasons.map(match => match.code).join(', ')})`);
+  }
+  log.debug(`   📊 Data source: ${scrapingMethod}`);
   if (confidence !== null) {
-    console.log(`   🎯 Confidence: ${(confidence * 100).toFixed(1)}%`);
+    log.debug(`   🎯 Confidence: ${(confidence * 100).toFixed(1)}%`);
   }
-  console.log(`   ✅ Product processed\n`);
+  log.debug(`   ✅ Product processed`);
 
+  database.saveProduct(product).catch(error => {
+    log.error('⚠️ Failed to store scraped product:', error.message);
+  });
+
+  return product;
+}
+
+// Serve a cached scrape when we have a fresh one; refresh skips the lookup but still updates the cache
+async function scrapeProductCached(url, { refresh = false, onProgress } = {}) {
+  if (!refresh) {
+    const cached = await scrapeCache.get(url);
+    metrics.recordCacheLookup(!!cached);
+    if (cached) {
+      log.info(`♻️ Cache hit: ${url} (scraped ${cached.scrapedAt})`);
+      // Keeps the id of the scrape record it was cached from, which is what the order routes price from.
+      // Screened again so changes to the rule list apply to cached products too
+      return { ...cached, screening: screenProduct(cached) };
+    }
+  }
+  
+  const product = await scrapeProduct(url, { onProgress });
+  await scrapeCache.set(url, product);
   return product;
 }
 
 // Batch processing with concurrency control
-async function processBatch(urls, batchSize = MAX_CONCURRENT) {
+async function processBatch(urls, { refresh = false, batchSize = MAX_CONCURRENT } = {}) {
   const results = [];
   for (let i = 0; i < urls.length; i += batchSize) {
     const batch = urls.slice(i, i + batchSize);
     const batchResults = await Promise.all(
-      batch.map(url => scrapeProduct(url).catch(error => {
-        console.error(`Failed to process ${url}:`, error);
+      batch.map(url => scrapeProductCached(url, { refresh }).catch(error => {
+        log.error(`Failed to process ${url}:`, error);
         return {
           id: generateProductId(),
           url: url,
@@ -1052,67 +1060,141 @@ async function processBatch(urls, batchSize = MAX_CONCURRENT) {
   return results;
 }
 
+// Returns an error message when the URL list cannot be scraped
+function validateScrapeUrls(urls) {
+  if (!urls || !Array.isArray(urls) || urls.length === 0) {
+    return 'No URLs provided';
+  }
+  
+  // Check for SDL domains
+  if (urls.some(url => isSDLDomain(url))) {
+    return 'SDL domain detected. This calculator is for importing products from other retailers.';
+  }
+  
+  return null;
+}
+
 // API endpoint for scraping
 app.post('/api/scrape', async (req, res) => {
   try {
-    const { urls } = req.body;
-    
-    if (!urls || !Array.isArray(urls) || urls.length === 0) {
-      return res.status(400).json({ error: 'No URLs provided' });
-    }
+    const { urls, refresh } = req.body;
     
-    // Check for SDL domains
-    const sdlUrls = urls.filter(url => isSDLDomain(url));
-    if (sdlUrls.length > 0) {
-      return res.status(400).json({ 
-        error: 'SDL domain detected. This calculator is for importing products from other retailers.' 
-      });
+    const validationError = validateScrapeUrls(urls);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
     
-    console.log(`\n🚀 Starting batch scrape for ${urls.length} products...`);
+    log.info(`🚀 Starting batch scrape for ${urls.length} products${refresh === true ? ' (refresh)' : ''}...`);
     
-    const products = await processBatch(urls);
-    console.log(`\n✅ Completed scraping ${products.length} products\n`);
+    const products = await processBatch(urls, { refresh: refresh === true });
+    log.info(`✅ Completed scraping ${products.length} products`);
     
     res.json({ 
       products
     });
     
   } catch (error) {
-    console.error('Scraping error:', error);
+    log.error('Scraping error:', error);
     res.status(500).json({ error: 'Failed to scrape products' });
   }
 });
 
-// API endpoint for manual webpage processing
-app.post('/api/process-manual-content', async (req, res) => {
-  try {
-    const { url, htmlContent } = req.body;
-    
-    if (!url || !htmlContent) {
-      return res.status(400).json({ error: 'URL and HTML content required' });
+// Start a background scrape; progress streams from /api/scrape-jobs/:jobId/events
+app.post('/api/scrape-jobs', (req, res) => {
+  const { urls, refresh } = req.body;
+  
+  const validationError = validateScrapeUrls(urls);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const job = scrapeJobs.create(urls, { refresh: refresh === true });
+  res.status(202).json({
+    jobId: job.id,
+    eventsUrl: `/api/scrape-jobs/${job.id}/events`,
+    job: scrapeJobs.summarize(job)
+  });
+});
+
+app.get('/api/scrape-jobs/:jobId', (req, res) => {
+  const job = scrapeJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Scrape job not found or expired' });
+  }
+  res.json(scrapeJobs.summarize(job));
+});
+
+// Server-Sent Events: a snapshot first, then one "item" event per status change and a final "complete"
+app.get('/api/scrape-jobs/:jobId/events', (req, res) => {
+  const job = scrapeJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Scrape job not found or expired' });
+  }
+  
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  send('snapshot', scrapeJobs.summarize(job));
+  if (job.status === 'done') {
+    send('complete', scrapeJobs.summarize(job));
+    return res.end();
+  }
+  
+  // Comment lines keep proxies from closing an idle stream during long Zyte calls
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = scrapeJobs.subscribe(job.id, (type, payload) => {
+    send(type, payload);
+    if (type === 'complete') {
+      cleanup();
+      res.end();
+    }
+  });
+  
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  
+  req.on('close', cleanup);
+});
+
+// API endpoint for manual webpage processing
+app.post('/api/process-manual-content', async (req, res) => {
+  try {
+    const { url, htmlContent } = req.body;
+    
+    if (!url || !htmlContent) {
+      return res.status(400).json({ error: 'URL and HTML content required' });
     }
     
-    console.log(`\n🤖 Processing manual content for: ${url}`);
-    console.log(`📄 Content length: ${htmlContent.length} characters`);
-    console.log(`📄 Content preview: ${htmlContent.substring(0, 200)}...`);
+    log.info(`🤖 Processing manual content for: ${url}`, { contentLength: htmlContent.length });
+    log.debug(`📄 Content preview: ${htmlContent.substring(0, 200)}...`);
     
     // Check if OpenAI API key is available
     if (!process.env.OPENAI_API_KEY) {
-      console.log('❌ OpenAI API key not found');
+      log.warn('❌ OpenAI API key not found');
       return res.status(500).json({ 
         error: 'GPT processing not available - missing OpenAI API key' 
       });
     }
     
-    console.log('✅ OpenAI API key found, proceeding with GPT parsing...');
+    log.debug('✅ OpenAI API key found, proceeding with GPT parsing...');
     
     // Use OpenAI directly to parse the content
     const OpenAI = require('openai');
     const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
     
     try {
-      console.log('🤖 Calling GPT parser...');
+      log.debug('🤖 Calling GPT parser...');
       
       const retailer = detectRetailer(url);
       
@@ -1122,6 +1204,7 @@ app.post('/api/process-manual-content', async (req, res) => {
       const prompt = `Extract product information from this ${retailer} webpage content and return ONLY valid JSON with these fields:
 - name (string)
 - price (number, no currency symbols)
+- currency (ISO code: USD, CAD, GBP, EUR or BMD)
 - dimensions (object with length, width, height in inches if found)
 - sku (string if found)
 - variant (string like color/size if found)
@@ -1130,7 +1213,7 @@ For Crate & Barrel: Extract dimensions from format like "23.8"H height 85.4"W wi
 
 Content: ${trimmedContent}`;
 
-      const response = await client.chat.completions.create({
+      const response = await createChatCompletion(client, 'manual-content', {
         model: 'gpt-4o-mini',
         temperature: 0.1,
         max_tokens: 500,
@@ -1142,7 +1225,7 @@ Content: ${trimmedContent}`;
       });
 
       const gptData = JSON.parse(response.choices[0].message.content || '{}');
-      console.log('📊 GPT parser result:', {
+      log.info('📊 GPT parser result:', {
         hasName: !!gptData?.name,
         hasPrice: !!gptData?.price,
         name: gptData?.name?.substring(0, 50),
@@ -1153,10 +1236,12 @@ Content: ${trimmedContent}`;
         const retailer = detectRetailer(url);
         const category = gptData.category || categorizeProduct(gptData.name, url);
         
+        const pricing = await convertToUsd(gptData.price, gptData.currency || currencyForUrl(url));
+        
         // Convert to our expected format
         const productData = {
           name: gptData.name,
-          price: gptData.price,
+          price: pricing.price,
           image: gptData.image,
           dimensions: gptData.dimensions || gptData.package_dimensions,
           weight: gptData.weight || gptData.package_weight_lbs,
@@ -1168,31 +1253,62 @@ Content: ${trimmedContent}`;
         };
         
         // Fill in missing data with estimations
+        let dimensionsSource = 'product';
+        let dimensionEstimate = null;
         if (!productData.dimensions) {
-          productData.dimensions = estimateDimensions(category, productData.name);
+          dimensionEstimate = estimateDimensions({ name: productData.name, category, breadcrumbs: gptData.breadcrumbs });
+          productData.dimensions = dimensionEstimate.dimensions;
+          dimensionsSource = dimensionEstimate.estimationSource === 'name-dimensions' ? 'product' : 'estimated';
         }
         
+        let weightSource = 'product';
         if (!productData.weight) {
           productData.weight = estimateWeight(productData.dimensions, category);
+          weightSource = 'estimated';
         }
         
-        const shippingCost = calculateShippingCost(
-          productData.dimensions,
+        const packaging = estimateBoxes({
+          dimensions: productData.dimensions,
+          category,
+          retailer,
+          name: productData.name,
+          price: productData.price,
+          source: dimensionsSource
+        });
+        
+        const shipping = calculateShipping(
+          packaging ? packaging.cartons : productData.dimensions,
           productData.weight,
-          productData.price
+          productData.price,
+          await activeRates()
         );
+        const shippingCost = shipping.total;
         
         const product = {
           id: generateProductId(),
           url: url,
           name: productData.name,
           price: productData.price,
+          currency: 'USD',
+          originalPrice: pricing.originalPrice,
+          originalCurrency: pricing.originalCurrency,
+          exchangeRate: pricing.exchangeRate,
           image: productData.image || 'https://placehold.co/400x400/7CB342/FFFFFF/png?text=SDL',
           category: category,
+          breadcrumbs: gptData.breadcrumbs || [],
+          screening: screenProduct({ name: productData.name, breadcrumbs: gptData.breadcrumbs, category }),
           retailer: retailer,
           dimensions: productData.dimensions,
+          dimensionsSource: dimensionsSource,
+          estimationSource: dimensionEstimate ? dimensionEstimate.estimationSource : null,
+          dimensionRange: dimensionEstimate ? dimensionEstimate.range : null,
+          estimatedSubType: dimensionEstimate ? dimensionEstimate.subType : null,
+          boxes: packaging ? packaging.cartons : [],
+          packaging: packaging,
           weight: productData.weight,
+          weightSource: weightSource,
           shippingCost: shippingCost,
+          shippingBreakdown: shipping,
           scrapingMethod: 'manual-gpt',
           confidence: null,
           variant: productData.variant,
@@ -1206,11 +1322,15 @@ Content: ${trimmedContent}`;
           }
         };
         
-        console.log('   ✅ Manual content processed successfully');
+        log.debug('   ✅ Manual content processed successfully');
+        // Stored like a scrape, so a draft order can price it from our record rather than the page's copy
+        database.saveProduct(product).catch(error => {
+          log.error('⚠️ Failed to store manually processed product:', error.message);
+        });
         res.json({ success: true, product });
         
       } else {
-        console.log('❌ GPT extraction failed - missing required data:', {
+        log.warn('❌ GPT extraction failed - missing required data:', {
           hasName: !!gptData?.name,
           hasPrice: !!gptData?.price,
           gptData: gptData
@@ -1219,72 +1339,531 @@ Content: ${trimmedContent}`;
       }
       
     } catch (error) {
-      console.log('❌ GPT parsing error details:', error.message);
-      console.log('📄 Content sample for debugging:', htmlContent.substring(0, 500));
-      console.log('   ❌ Manual content processing failed:', error.message);
+      // The OpenAI budget is spent or paused: the customer can still type the item in, so say so plainly
+      if (error instanceof ProviderBudget.BudgetError) {
+        log.info(`⏸️ Manual content not processed: ${error.message}`);
+        return res.status(503).json({
+          error: 'Automatic reading of pasted pages is paused right now. Please enter the price on the product card yourself, or try again later.',
+          reason: error.reason,
+          retryAt: error.retryAt
+        });
+      }
+      log.warn('❌ Manual content processing failed:', error.message);
+      log.debug('📄 Content sample for debugging:', htmlContent.substring(0, 500));
       res.status(400).json({ 
         error: `GPT parsing failed: ${error.message}. Please try copying the webpage content again, including product name and price.` 
       });
     }
     
   } catch (error) {
-    console.error('Manual content processing error:', error);
+    log.error('Manual content processing error:', error);
     res.status(500).json({ error: 'Failed to process manual content' });
   }
 });
 
-// Store pending orders temporarily (in memory for now, could use Redis later)
-const pendingOrders = new Map();
+// Retailer registry for the frontend
+app.get('/api/retailers', (req, res) => {
+  res.json({ retailers: listRetailers() });
+});
 
-// Endpoint to store pending order
-app.post('/api/store-pending-order', (req, res) => {
-  const orderId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-  pendingOrders.set(orderId, {
-    data: req.body,
-    timestamp: Date.now()
+// API endpoint for landed cost quotes - the single source of truth for every total shown
+// Freight and duty overrides are a staff tool; from anyone else they are dropped before pricing
+function withoutOverrides(items) {
+  return items.map(item => {
+    const { overrides, ...rest } = item || {};
+    return rest;
   });
-  
-  // Clean up old orders after 1 hour
-  setTimeout(() => pendingOrders.delete(orderId), 3600000);
-  
-  console.log(`📦 Stored pending order ${orderId}`);
-  res.json({ orderId, success: true });
+}
+
+app.post('/api/quote', async (req, res) => {
+  try {
+    const { items, deliveryFees, freightMode, rates, rateCardVersion } = req.body;
+    
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'No items provided' });
+    }
+    
+    // Rate and per-item overrides, and re-pricing with an older rate card, are only honoured for staff
+    const isAdmin = StaffAuth.hasRole(await currentStaff(req), 'quoter');
+    const rateCard = rateCardVersion && isAdmin
+      ? await rateCards.getVersion(rateCardVersion)
+      : await rateCards.getActive();
+    
+    const quote = calculateQuote(
+      { items: isAdmin ? items : withoutOverrides(items), deliveryFees, freightMode },
+      { rateCard, rates: rates && isAdmin ? rates : undefined, bmdPerUsd: await exchangeRates.bmdPerUsd() }
+    );
+    metrics.recordQuote('calculated');
+    
+    res.json({ success: true, quote });
+    
+  } catch (error) {
+    if (error instanceof RateCards.RateCardError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    log.error('Quote calculation error:', error);
+    res.status(500).json({ error: 'Failed to calculate quote' });
+  }
+});
+
+// Scraped vs final values for a stored quote; a failure is logged and never blocks the order
+async function recordPriceAudit(quoteId, quote, editor) {
+  try {
+    const scrapedProducts = await database.getScrapedProducts(quote.items.map(item => item.scrapedProductId));
+    const rows = auditQuote({ quote, scrapedProducts, editor });
+    await database.saveQuotePriceAudit(quoteId, rows);
+    
+    const lowered = rows.filter(row => row.field === 'price' && row.changePercent < 0);
+    if (lowered.length > 0) {
+      log.debug(`   📉 Quote ${quoteId}: ${editor} lowered ${lowered.map(row => `${row.name} ${row.changePercent}%`).join(', ')}`);
+    }
+    const flagged = rows.filter(row => row.flag);
+    if (flagged.length > 0) {
+      log.debug(`   🚩 Quote ${quoteId}: no scraped price to check ${flagged.map(row => row.name).join(', ')} against`);
+    }
+  } catch (error) {
+    log.error(`⚠️ Failed to record price audit for quote ${quoteId}:`, error.message);
+  }
+}
+
+// Who changed the values on a customer-facing request: the staff member if one is logged in
+async function editorFor(req) {
+  const staff = await currentStaff(req).catch(() => null);
+  return staff ? staff.username : 'customer';
+}
+
+// Store a staff quote from the admin calculator, overrides included: same body as /api/quote
+app.post('/api/quotes', requireRole('quoter'), async (req, res) => {
+  try {
+    const { items, deliveryFees, freightMode, rates } = req.body;
+    
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'No items provided' });
+    }
+    
+    // The admin calculator's item ids are scrape ids; one is only trusted when its record is for the same page
+    const scrapes = await database.getScrapedProducts(items.map(item => item && item.id));
+    const auditedItems = items.map(item => {
+      const scraped = item && item.id != null ? scrapes[String(item.id)] : null;
+      return { ...item, scrapedProductId: scraped && scraped.url === item.url ? scraped.id : null };
+    });
+    
+    const quote = calculateQuote(
+      { items: auditedItems, deliveryFees, freightMode },
+      { rateCard: await rateCards.getActive(), rates, bmdPerUsd: await exchangeRates.bmdPerUsd() }
+    );
+    if (quote.items.length === 0) {
+      return res.status(400).json({ error: 'No priced items to save' });
+    }
+    
+    const stored = await database.saveQuote(quote);
+    await recordPriceAudit(stored.id, quote, req.staff.username);
+    metrics.recordQuote('staff');
+    
+    log.info(`💾 ${req.staff.username} saved quote ${stored.id} ($${quote.totals.grandTotal.toFixed(2)})`);
+    res.status(201).json({ success: true, quote: stored });
+  } catch (error) {
+    if (error instanceof RateCards.RateCardError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    log.error('Quote save error:', error);
+    res.status(500).json({ error: 'Failed to save quote' });
+  }
+});
+
+// Quotes where a price was lowered by more than ?minPercent (default 10) in the last ?days (default 30)
+app.get('/api/quotes/price-reductions', requireRole('admin'), async (req, res) => {
+  try {
+    const minPercent = parseFloat(req.query.minPercent);
+    const days = parseFloat(req.query.days);
+    const since = new Date(Date.now() - (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000).toISOString();
+    
+    const quotes = await database.listPriceReductions({
+      minPercent: Number.isFinite(minPercent) && minPercent >= 0 ? minPercent : 10,
+      since,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+    res.json({ success: true, since, quotes });
+  } catch (error) {
+    log.error('Price reduction report error:', error);
+    res.status(500).json({ error: 'Failed to load price reductions' });
+  }
+});
+
+app.get('/api/quotes/:quoteId/price-audit', requireRole('admin'), async (req, res) => {
+  try {
+    const quote = await database.getQuote(req.params.quoteId);
+    if (!quote) {
+      return res.status(404).json({ error: 'Quote not found' });
+    }
+    res.json({ success: true, quoteId: quote.id, status: quote.status, changes: await database.getQuotePriceAudit(quote.id) });
+  } catch (error) {
+    log.error('Price audit error:', error);
+    res.status(500).json({ error: 'Failed to load price audit' });
+  }
+});
+
+// ---------- Provider budgets ----------
+
+// Spend against the Zyte and OpenAI budgets over the last 24 hours and 30 days, and each circuit breaker
+app.get('/api/provider-budgets', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, providers: await Promise.all([zyteBudget.status(), openaiBudget.status()]) });
+  } catch (error) {
+    log.error('Provider budget error:', error);
+    res.status(500).json({ error: 'Failed to load provider budgets' });
+  }
+});
+
+// ---------- Exchange rates ----------
+
+app.get('/api/exchange-rates', async (req, res) => {
+  try {
+    res.json({ base: 'USD', rates: await exchangeRates.getRates() });
+  } catch (error) {
+    log.error('Exchange rate error:', error);
+    res.status(500).json({ error: 'Failed to load exchange rates' });
+  }
+});
+
+// Update rates in USD per unit: { rates: { CAD: 0.74, GBP: 1.26 } }
+app.post('/api/exchange-rates', requireRole('admin'), async (req, res) => {
+  try {
+    const rates = await exchangeRates.update(req.body.rates, { updatedBy: req.staff.username });
+    res.json({ success: true, base: 'USD', rates });
+  } catch (error) {
+    if (error instanceof ExchangeRates.ExchangeRateError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    log.error('Exchange rate update error:', error);
+    res.status(500).json({ error: 'Failed to update exchange rates' });
+  }
+});
+
+// ---------- Rate card ----------
+
+function sendRateCardError(res, error) {
+  if (error instanceof RateCards.RateCardError) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  log.error('Rate card error:', error);
+  res.status(500).json({ error: 'Rate card request failed' });
+}
+
+// The card in force now, or at ?at=<ISO date>, with the surcharge rules its switches refer to
+app.get('/api/rate-card', async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (Number.isNaN(at.getTime())) {
+      return res.status(400).json({ error: 'Invalid date in "at"' });
+    }
+    res.json({ rateCard: await rateCards.getActive(at), surchargeRules: describeSurchargeRules() });
+  } catch (error) {
+    sendRateCardError(res, error);
+  }
+});
+
+app.get('/api/rate-card/versions', requireRole('quoter'), async (req, res) => {
+  try {
+    res.json({ rateCards: await rateCards.list() });
+  } catch (error) {
+    sendRateCardError(res, error);
+  }
+});
+
+app.get('/api/rate-card/versions/:version', requireRole('quoter'), async (req, res) => {
+  try {
+    res.json({ rateCard: await rateCards.getVersion(req.params.version) });
+  } catch (error) {
+    sendRateCardError(res, error);
+  }
+});
+
+// Publish a new version: { rates: { dutyRate: 0.25, ... }, effectiveFrom, note }
+app.post('/api/rate-card', requireRole('admin'), async (req, res) => {
+  try {
+    const { rates, effectiveFrom, note } = req.body;
+    const rateCard = await rateCards.publish({ rates, effectiveFrom, note, createdBy: req.staff.username });
+    res.status(201).json({ success: true, rateCard });
+  } catch (error) {
+    sendRateCardError(res, error);
+  }
+});
+
+// Endpoint to store pending order
+// The stored quote is priced here from our scrape records; the quote and totals the page sends are replaced
+app.post('/api/store-pending-order', async (req, res) => {
+  try {
+    const { products, deliveryFees, quote: clientQuote } = req.body;
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.status(400).json({ error: 'No products provided' });
+    }
+    
+    const { matched, unknown } = await quoteItemsFromScrapes(products);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `We could not find our lookup of: ${unknown.map(product => product.name || product.url || 'unnamed product').join(', ')}. Please paste the link again.`
+      });
+    }
+    const quote = await priceCustomerCart(matched.map(entry => entry.item), deliveryFees, clientQuote);
+    
+    const { id: orderId, quoteId } = await database.savePendingOrder({ ...req.body, quote, totals: quote.totals });
+    if (quoteId) {
+      await recordPriceAudit(quoteId, quote, await editorFor(req));
+      metrics.recordQuote('pending-order');
+    }
+    
+    log.info(`📦 Stored pending order ${orderId}`);
+    res.json({ orderId, quoteId, success: true });
+    
+  } catch (error) {
+    log.error('Failed to store pending order:', error);
+    res.status(500).json({ error: 'Failed to store order data' });
+  }
 });
 
 // Endpoint to retrieve pending order
-app.get('/api/get-pending-order/:orderId', (req, res) => {
-  const order = pendingOrders.get(req.params.orderId);
-  if (order) {
-    console.log(`✅ Retrieved pending order ${req.params.orderId}`);
-    res.json(order.data);
-    pendingOrders.delete(req.params.orderId); // Delete after retrieval
-  } else {
-    console.log(`❌ Order ${req.params.orderId} not found`);
-    res.status(404).json({ error: 'Order not found or expired' });
+app.get('/api/get-pending-order/:orderId', async (req, res) => {
+  try {
+    const order = await database.getPendingOrder(req.params.orderId);
+    if (order) {
+      log.info(`✅ Retrieved pending order ${req.params.orderId}`);
+      res.json({ ...order.data, pendingOrderId: order.id, quoteId: order.quoteId });
+    } else {
+      log.debug(`❌ Order ${req.params.orderId} not found`);
+      res.status(404).json({ error: 'Order not found or expired' });
+    }
+    
+  } catch (error) {
+    log.error('Failed to retrieve pending order:', error);
+    res.status(500).json({ error: 'Failed to retrieve order data' });
+  }
+});
+
+// ---------- Staff login and accounts ----------
+
+function sendAuthError(res, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) {
+    log.error('Staff account error:', error);
+  }
+  res.status(statusCode).json({ success: false, error: statusCode >= 500 ? 'Staff account request failed' : error.message });
+}
+
+// { username, password } → sets the session cookie
+app.post('/api/auth/login', async (req, res) => {
+  if (!staffAuth) {
+    return res.status(503).json({ success: false, error: 'Staff accounts are starting up, please retry shortly' });
+  }
+  
+  try {
+    const { token, user, expiresAt } = await staffAuth.login({
+      username: req.body.username,
+      password: req.body.password,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.cookie(STAFF_SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: '/',
+      expires: new Date(expiresAt)
+    });
+    res.json({ success: true, user, expiresAt });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const token = readCookie(req, STAFF_SESSION_COOKIE);
+    if (token && staffAuth) {
+      await staffAuth.logout(token, { ip: req.ip, userAgent: req.get('User-Agent') });
+    }
+    res.clearCookie(STAFF_SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+app.get('/api/auth/me', requireRole('viewer'), (req, res) => {
+  res.json({ success: true, user: req.staff, roles: StaffAuth.STAFF_ROLES });
+});
+
+app.get('/api/staff', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, users: await staffAuth.listUsers(), roles: StaffAuth.STAFF_ROLES });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// { username, password, role, displayName }
+app.post('/api/staff', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role, displayName } = req.body;
+    const user = await staffAuth.createUser({ username, password, role, displayName });
+    log.info(`👤 ${req.staff.username} created staff account ${user.username} (${user.role})`);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+// Any of { role, displayName, password, disabled }
+app.post('/api/staff/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const { role, displayName, password, disabled } = req.body;
+    const user = await staffAuth.updateUser(req.params.id, {
+      role,
+      displayName,
+      password,
+      disabled: typeof disabled === 'boolean' ? disabled : undefined
+    });
+    res.json({ success: true, user });
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+});
+
+app.get('/api/staff/login-audit', requireRole('admin'), async (req, res) => {
+  try {
+    res.json({ success: true, events: await staffAuth.listLoginAudit({ limit: req.query.limit, username: req.query.username }) });
+  } catch (error) {
+    sendAuthError(res, error);
   }
 });
 
 // Order tracking endpoints
-app.post('/api/orders/:orderId/start-tracking', async (req, res) => {
-  // Order tracking disabled - missing orderTracking.js file
-  return res.status(500).json({ error: 'Order tracking not available' });
+function sendTrackingError(res, error) {
+  const statusCode = error.statusCode || 500;
+  if (statusCode >= 500) {
+    log.error('Order tracking error:', error);
+  }
+  res.status(statusCode).json({ success: false, error: statusCode >= 500 ? 'Order tracking failed' : error.message });
+}
+
+function requireOrderTracker(req, res, next) {
+  if (!orderTracker) {
+    return res.status(503).json({ success: false, error: 'Order tracking is starting up, please retry shortly' });
+  }
+  next();
+}
+
+app.get('/api/orders/tracking-statuses', requireRole('viewer'), (req, res) => {
+  res.json({ statuses: OrderTracker.TRACKING_STATUSES });
 });
 
-app.get('/api/orders/:orderId/tracking-status', async (req, res) => {
-  // Order tracking disabled - missing orderTracking.js file
-  return res.status(500).json({ error: 'Order tracking not available' });
+app.post('/api/orders/bulk-tracking-status', requireRole('viewer'), requireOrderTracker, async (req, res) => {
+  try {
+    const { orderIds } = req.body;
+    
+    if (!orderIds || !Array.isArray(orderIds) || orderIds.length === 0) {
+      return res.status(400).json({ success: false, error: 'No order IDs provided' });
+    }
+    
+    const results = await orderTracker.getBulkTrackingStatus(orderIds.slice(0, 100));
+    res.json({ success: true, results });
+    
+  } catch (error) {
+    sendTrackingError(res, error);
+  }
+});
+
+app.post('/api/orders/:orderId/start-tracking', requireRole('quoter'), requireOrderTracker, async (req, res) => {
+  try {
+    const tracking = await orderTracker.startTracking(req.params.orderId, req.body.retailerOrders);
+    res.json({ success: true, ...tracking });
+  } catch (error) {
+    sendTrackingError(res, error);
+  }
+});
+
+app.get('/api/orders/:orderId/tracking-status', requireRole('viewer'), requireOrderTracker, async (req, res) => {
+  try {
+    const tracking = await orderTracker.getTrackingStatus(req.params.orderId);
+    res.json({ success: true, ...tracking });
+  } catch (error) {
+    sendTrackingError(res, error);
+  }
+});
+
+app.post('/api/orders/:orderId/retailer-orders/:retailerOrderRef/status', requireRole('quoter'), requireOrderTracker, async (req, res) => {
+  try {
+    const tracking = await orderTracker.updateRetailerOrderStatus(req.params.orderId, req.params.retailerOrderRef, req.body);
+    res.json({ success: true, ...tracking });
+  } catch (error) {
+    sendTrackingError(res, error);
+  }
 });
 
-app.post('/api/orders/:orderId/stop-tracking', async (req, res) => {
-  // Order tracking disabled - missing orderTracking.js file
-  return res.status(500).json({ error: 'Order tracking not available' });
+app.post('/api/orders/:orderId/stop-tracking', requireRole('quoter'), requireOrderTracker, async (req, res) => {
+  try {
+    await orderTracker.stopTracking(req.params.orderId);
+    res.json({ success: true });
+  } catch (error) {
+    sendTrackingError(res, error);
+  }
 });
 
+// Shopify emails the customer the draft order invoice with its checkout link
+async function sendDraftOrderInvoice(draftOrder, customer) {
+  await axios.post(
+    `${SHOPIFY_API_BASE_URL}/draft_orders/${draftOrder.id}/send_invoice.json`,
+    {
+      draft_order_invoice: {
+        to: customer.email,
+        subject: `Invoice ${draftOrder.name} - SDL Instant Import`,
+        custom_message: SHOPIFY_INVOICE_MESSAGE
+      }
+    },
+    {
+      headers: {
+        'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
+        'Content-Type': 'application/json'
+      }
+    }
+  );
+}
+
+// The page's products matched to the server's scrape records: [{ product, scraped, item }] for the ones we
+// scraped, plus the ones we never saw (a made-up ID or an expired record) in unknown
+async function quoteItemsFromScrapes(products) {
+  const scrapes = await database.getScrapedProducts(products.map(product => product && product.id));
+  const matched = [];
+  const unknown = [];
+  products.forEach((product, index) => {
+    const scraped = product && product.id != null ? scrapes[String(product.id)] : null;
+    if (scraped) {
+      matched.push({ product, scraped, item: quoteItemFromProduct(product, scraped, index) });
+    } else {
+      unknown.push(product || {});
+    }
+  });
+  return { matched, unknown };
+}
+
+// A customer's cart at the active rate card; the page only picks per-item or consolidated freight
+async function priceCustomerCart(items, deliveryFees, clientQuote) {
+  return calculateQuote(
+    { items, deliveryFees, freightMode: clientQuote && clientQuote.freightMode === 'per-item' ? 'per-item' : 'consolidated' },
+    { rateCard: await rateCards.getActive(), bmdPerUsd: await exchangeRates.bmdPerUsd() }
+  );
+}
+
 // Shopify Draft Order Creation
+// Draft orders are priced again here from our own scrape records, never from the totals or packaging the page sends.
+// Send an Idempotency-Key header (the complete-order page uses the pending order id) so a double
+// click or a retried request returns the draft order already created instead of making another.
 app.post('/apps/instant-import/create-draft-order', async (req, res) => {
+  const { products, deliveryFees, totals, quote: clientQuote, customer, originalUrls, pendingOrderId, sendInvoice } = req.body;
+  const idempotencyKey = req.get('Idempotency-Key') || (pendingOrderId ? `pending-order:${pendingOrderId}` : null);
+  let claimed = false;
+  
   try {
-    const { products, deliveryFees, totals, customer, originalUrls } = req.body;
-    
     if (!SHOPIFY_ACCESS_TOKEN) {
       return res.status(500).json({ error: 'Shopify not configured. Please check API credentials.' });
     }
@@ -1293,81 +1872,95 @@ app.post('/apps/instant-import/create-draft-order', async (req, res) => {
       return res.status(400).json({ error: 'Customer information required' });
     }
     
-    // Create line items for the draft order
-    const lineItems = [];
-    
-    // Add each product as a line item
-    products.forEach(product => {
-      if (product.price && product.price > 0) {
-        lineItems.push({
-          title: product.name,
-          price: product.price.toFixed(2),
-          quantity: 1,
-          properties: [
-            { name: 'Source URL', value: product.url },
-            { name: 'Retailer', value: product.retailer },
-            { name: 'Category', value: product.category }
-          ]
-        });
-      }
-    });
+    if (!Array.isArray(products) || products.length === 0) {
+      return res.status(400).json({ error: 'No products provided' });
+    }
     
-    // Add duty as a line item
-    if (totals.dutyAmount > 0) {
-      lineItems.push({
-        title: 'Bermuda Duty + Wharfage (26.5%)',
-        price: totals.dutyAmount.toFixed(2),
-        quantity: 1,
-        taxable: false
+    const { matched, unknown } = await quoteItemsFromScrapes(products);
+    if (unknown.length > 0) {
+      metrics.recordDraftOrder('rejected');
+      return res.status(400).json({
+        error: `We could not find our lookup of: ${unknown.map(product => product.name || product.url || 'unnamed product').join(', ')}. Please paste the link again.`
       });
     }
     
-    // Add delivery fees as line items
-    Object.entries(deliveryFees).forEach(([vendor, fee]) => {
-      if (fee > 0) {
-        lineItems.push({
-          title: `${vendor} US Delivery Fee`,
-          price: fee.toFixed(2),
-          quantity: 1,
-          taxable: false
-        });
-      }
-    });
-    
-    // Add shipping cost as a line item
-    if (totals.totalShippingCost > 0) {
-      lineItems.push({
-        title: 'Shipping & Handling to Bermuda',
-        price: (totals.shippingCost || totals.totalShippingCost || 0).toFixed(2),
-        quantity: 1,
-        taxable: false
+    // Screened again here, on our own record, rather than trusting the flags the page sent back
+    const screened = matched.map(({ scraped }) => ({ product: scraped, screening: screenProduct(scraped) }));
+    const prohibited = screened.filter(entry => entry.screening.status === 'prohibited');
+    if (prohibited.length > 0) {
+      metrics.recordDraftOrder('rejected');
+      return res.status(422).json({
+        error: `Cannot create an order with prohibited items: ${prohibited.map(entry => entry.product.name).join(', ')}`,
+        prohibited: prohibited.map(({ product, screening }) => ({
+          name: product.name,
+          url: product.url,
+          reasons: screening.reasons.filter(match => match.status === 'prohibited').map(match => match.reason)
+        }))
       });
     }
     
-    // Create the draft order
-    const draftOrderData = {
-      draft_order: {
-        line_items: lineItems,
-        customer: {
-          email: customer.email,
-          first_name: customer.name.split(' ')[0],
-          last_name: customer.name.split(' ').slice(1).join(' ') || ''
-        },
-        email: customer.email,
-        note: `Import Calculator Order\n\nOriginal URLs:\n${originalUrls}`,
-        tags: 'import-calculator, ocean-freight',
-        tax_exempt: true,
-        send_receipt: false,
-        send_fulfillment_receipt: false
+    if (idempotencyKey) {
+      const existing = await database.claimDraftOrderRequest(idempotencyKey);
+      if (existing && existing.status === 'completed' && existing.response) {
+        log.info(`♻️ Draft order for ${idempotencyKey} already created (${existing.draftOrderId}), returning it`);
+        metrics.recordDraftOrder('duplicate');
+        return res.json({ ...existing.response, replayed: true });
       }
-    };
+      if (existing) {
+        metrics.recordDraftOrder('duplicate');
+        return res.status(409).json({ error: 'This order is already being created. Please wait a moment.' });
+      }
+      claimed = true;
+    }
     
-    console.log(`📝 Creating draft order for ${customer.email}...`);
+    const items = matched.map(entry => entry.item);
+    const quote = await priceCustomerCart(items, deliveryFees, clientQuote);
+    
+    if (quote.items.length === 0) {
+      if (claimed) {
+        await database.releaseDraftOrderRequest(idempotencyKey);
+        claimed = false;
+      }
+      return res.status(400).json({ error: 'No priced products to order' });
+    }
+    
+    const clientTotal = totals && Number(totals.grandTotal);
+    if (Number.isFinite(clientTotal) && Math.abs(clientTotal - quote.totals.grandTotal) >= 0.01) {
+      log.warn(`⚠️ Page total $${clientTotal.toFixed(2)} differs from server total $${quote.totals.grandTotal.toFixed(2)}; using the server total`);
+    }
+    
+    // The page's quote ID is never trusted: only the still-pending quote stored with this pending order is
+    // updated in place, anything else gets a new quote
+    const pendingOrder = pendingOrderId ? await database.getPendingOrder(String(pendingOrderId)) : null;
+    const pendingQuote = pendingOrder && pendingOrder.quoteId ? await database.getQuote(pendingOrder.quoteId) : null;
+    const storedQuote = await database.saveQuote(
+      pendingQuote && pendingQuote.status === 'pending' ? { ...quote, id: pendingQuote.id } : quote,
+      { pendingOrderId: pendingOrder ? pendingOrder.id : null }
+    );
+    await recordPriceAudit(storedQuote.id, quote, await editorFor(req));
+    metrics.recordQuote('draft-order');
+    
+    const screenings = {};
+    items.forEach((item, index) => {
+      screenings[String(item.id)] = screened[index].screening;
+    });
+    const { payload, total } = buildDraftOrder({
+      quote,
+      customer,
+      originalUrls,
+      quoteId: storedQuote.id,
+      requestId: req.id,
+      screenings
+    });
+    if (Math.abs(total - quote.totals.grandTotal) >= 0.01) {
+      log.warn(`⚠️ Draft order lines add up to $${total.toFixed(2)}, quote total is $${quote.totals.grandTotal.toFixed(2)}`);
+    }
+    
+    log.info(`📝 Creating draft order for ${customer.email} (${payload.draft_order.line_items.length} lines, $${total.toFixed(2)})...`);
     
-    // Make request to Shopify
     const shopifyResponse = await axios.post(
-      `https://${SHOPIFY_DOMAIN}/admin/api/2023-10/draft_orders.json`,
-      draftOrderData,
+      `${SHOPIFY_API_BASE_URL}/draft_orders.json`,
+      payload,
       {
         headers: {
           'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
@@ -1377,20 +1970,85 @@ app.post('/apps/instant-import/create-draft-order', async (req, res) => {
     );
     
     const draftOrder = shopifyResponse.data.draft_order;
-    console.log(`✅ Draft order ${draftOrder.name} created successfully`);
+    log.info(`✅ Draft order ${draftOrder.name} created successfully`);
+    metrics.recordDraftOrder('created');
+    
+    try {
+      await database.linkDraftOrder({
+        draftOrderId: draftOrder.id,
+        draftOrderName: draftOrder.name,
+        pendingOrderId: pendingOrder ? pendingOrder.id : null,
+        quoteId: storedQuote.id,
+        invoiceUrl: draftOrder.invoice_url,
+        customerEmail: customer.email
+      });
+    } catch (linkError) {
+      log.error('⚠️ Failed to store draft order link:', linkError.message);
+    }
     
-    // Don't send invoice automatically - let customer complete checkout
-    res.json({
+    // Emails go out after the draft order exists; a failure here is logged, not a failed order
+    let invoiceSent = false;
+    if (typeof sendInvoice === 'boolean' ? sendInvoice : SHOPIFY_SEND_INVOICE) {
+      try {
+        await sendDraftOrderInvoice(draftOrder, customer);
+        invoiceSent = true;
+        log.info(`📨 Shopify invoice for ${draftOrder.name} sent to ${customer.email}`);
+        await database.updateDraftOrderLink(draftOrder.id, { status: 'invoice_sent' });
+        await database.updateQuoteStatus(storedQuote.id, 'invoice-sent');
+      } catch (invoiceError) {
+        log.error(`⚠️ Failed to send Shopify invoice for ${draftOrder.name}:`, invoiceError.response?.data || invoiceError.message);
+      }
+    }
+    
+    let confirmationEmailSent = false;
+    try {
+      await mailer.send({
+        to: customer.email,
+        ...buildQuoteConfirmationEmail({
+          quote,
+          customer,
+          quoteId: storedQuote.id,
+          draftOrder: { name: draftOrder.name, invoiceUrl: draftOrder.invoice_url }
+        })
+      });
+      confirmationEmailSent = true;
+    } catch (mailError) {
+      log.error('⚠️ Failed to send quote confirmation email:', mailError.message);
+    }
+    
+    const response = {
       success: true,
       draftOrderId: draftOrder.id,
       draftOrderNumber: draftOrder.name,
       invoiceUrl: draftOrder.invoice_url,
       checkoutUrl: `https://${SHOPIFY_DOMAIN}/admin/draft_orders/${draftOrder.id}`,
-      totalAmount: totals.grandTotal
-    });
+      quoteId: storedQuote.id,
+      totalAmount: quote.totals.grandTotal,
+      invoiceSent,
+      confirmationEmailSent
+    };
+    
+    if (claimed) {
+      await database.completeDraftOrderRequest(idempotencyKey, { draftOrderId: draftOrder.id, response })
+        .catch(error => log.error('⚠️ Failed to record draft order request:', error.message));
+    }
+    
+    res.json(response);
     
   } catch (error) {
-    console.error('Draft order creation error:', error.response?.data || error);
+    if (claimed) {
+      await database.releaseDraftOrderRequest(idempotencyKey)
+        .catch(releaseError => log.error('⚠️ Failed to release draft order request:', releaseError.message));
+    }
+    metrics.recordDraftOrder('failed');
+    // Shopify's own request ID lets their support trace a failed call from our logs
+    log.error('Draft order creation error:', error, {
+      pendingOrderId: pendingOrderId || null,
+      idempotencyKey,
+      shopifyStatus: error.response?.status,
+      shopifyRequestId: error.response?.headers?.['x-request-id'],
+      shopifyErrors: error.response?.data?.errors
+    });
     res.status(500).json({ 
       error: 'Failed to create draft order. Please try again or contact support.',
       details: error.response?.data?.errors || error.message
@@ -1398,10 +2056,43 @@ app.post('/apps/instant-import/create-draft-order', async (req, res) => {
   }
 });
 
+// Shopify webhooks: draft_orders/update, orders/paid and orders/cancelled
+// Register them in the Shopify admin (Settings → Notifications → Webhooks) pointing here, JSON format.
+// Anything other than a 2xx makes Shopify retry, so only failures on our side return an error.
+app.post('/webhooks/shopify', async (req, res) => {
+  const topic = req.get('X-Shopify-Topic');
+  
+  if (!shopifyWebhooks.enabled) {
+    return res.status(500).json({ error: 'Shopify webhooks not configured. Set SHOPIFY_WEBHOOK_SECRET.' });
+  }
+  
+  if (!shopifyWebhooks.verify(req.rawBody, req.get('X-Shopify-Hmac-Sha256'))) {
+    log.warn(`⚠️ Rejected Shopify webhook ${topic || '(no topic)'}: bad signature`);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+  
+  try {
+    const result = await shopifyWebhooks.receive({
+      topic,
+      webhookId: req.get('X-Shopify-Webhook-Id'),
+      payload: req.body
+    });
+    if (!result.handled) {
+      log.info(`🪝 Shopify webhook ${topic} ignored: ${result.reason}`);
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    log.error(`Shopify webhook ${topic} error:`, error);
+    res.status(statusCode).json({ success: false, error: statusCode >= 500 ? 'Webhook processing failed' : error.message });
+  }
+});
+
 // Start server
 app.listen(PORT, () => {
-  console.log(`\n🚀 Server running on port ${PORT}`);
-  console.log(`📍 Frontend: http://localhost:${PORT}`);
-  console.log(`📍 API Health: http://localhost:${PORT}/health`);
-  console.log(`📍 Admin Panel: http://localhost:${PORT}/admin (admin:1064)`);
+  log.info(`🚀 Server running on port ${PORT}`, {
+    frontend: `http://localhost:${PORT}`,
+    health: `http://localhost:${PORT}/health`,
+    admin: `http://localhost:${PORT}/admin`
+  });
 });
@@ -2,15 +2,19 @@
 const axios = require('axios');
 const cheerio = require('cheerio');
 const OpenAI = require('openai');
+const { getRetailerForUrl } = require('./retailers');
+const { SUPPORTED_CURRENCIES } = require('./currency');
+const { logger } = require('./logger');
+const { recordGptCall, estimateGptCost } = require('./metrics');
+const { BudgetError } = require('./providerBudget');
+
+const log = logger.child({ component: 'gpt-parser' });
 
 const MODEL = process.env.GPT_PARSER_MODEL || 'gpt-4o-mini';
 const TIMEOUT_MS = 30000;
 const MAX_AXIOS_RETRIES = 1;
 const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
-const ALLOWED_CURRENCIES = ['USD','BMD','CAD','GBP','EUR'];
-const MAX_GPT_CALLS_PER_RUN = parseInt(process.env.MAX_GPT_CALLS_PER_RUN || '100', 10);
-
-let gptCallsUsed = 0;
+const ALLOWED_CURRENCIES = SUPPORTED_CURRENCIES;
 
 function sleep(ms){ return new Promise(r => setTimeout(r, ms)); }
 function rnd(min,max){ return Math.floor(Math.random()*(max-min+1))+min; }
@@ -28,22 +32,6 @@ function coerceNumber(n){
   }
   return null;
 }
-function detectRetailer(url){
-  try{
-    const host = new URL(url).hostname.toLowerCase();
-    if (host.includes('wayfair')) return 'Wayfair';
-    if (host.includes('amazon')) return 'Amazon';
-    if (host.includes('walmart')) return 'Walmart';
-    if (host.includes('target')) return 'Target';
-    if (host.includes('bestbuy')) return 'BestBuy';
-    if (host.includes('homedepot')) return 'HomeDepot';
-    if (host.includes('crateandbarrel')) return 'CrateAndBarrel';
-    if (host.includes('ikea')) return 'IKEA';
-    if (host.includes('lunafurn')) return 'LunaFurniture';
-    return 'Generic';
-  }catch{ return 'Generic'; }
-}
-
 async function fetchViaAxios(url){
   let lastErr = null;
   for (let i=0;i<MAX_AXIOS_RETRIES;i++){
@@ -73,21 +61,21 @@ async function fetchViaAxios(url){
       }
       if (res.status === 429){
         waitMs = 5000*(i+1) + rnd(2000,5000); // Much longer delays for 429
-        console.warn(`[Axios] 429. Retry ${i + 1}/3 after ${waitMs}ms`);
+        log.warn(`[Axios] 429. Retry ${i + 1}/3 after ${waitMs}ms`);
         await sleep(waitMs); continue;
       }
       if (res.status === 403){
         waitMs = 8000*(i+1) + rnd(3000,5000); // Much longer for 403
-        console.warn(`[Axios] 403. Retry ${i + 1}/3 after ${waitMs}ms`);
+        log.warn(`[Axios] 403. Retry ${i + 1}/3 after ${waitMs}ms`);
         await sleep(waitMs); continue;
       }
       waitMs = 1000*(i+1) + rnd(500,1500);
-      console.warn(`[Axios] ${res.status}. Retry ${i + 1}/3 after ${waitMs}ms`);
+      log.warn(`[Axios] ${res.status}. Retry ${i + 1}/3 after ${waitMs}ms`);
       await sleep(waitMs);
     } catch (err) {
       lastErr = err;
       waitMs = 1000*(i+1) + rnd(500,1500);
-      console.warn(`[Axios] Error. Retry ${i + 1}/3 after ${waitMs}ms: ${err.message}`);
+      log.warn(`[Axios] Error. Retry ${i + 1}/3 after ${waitMs}ms: ${err.message}`);
       await sleep(waitMs);
     }
   }
@@ -95,18 +83,18 @@ async function fetchViaAxios(url){
 }
 
 async function smartFetchHtml(url) {
-  console.log('[GPT Parser] Starting smart HTML fetch...');
+  log.debug('[GPT Parser] Starting smart HTML fetch...');
   let html = null;
   
   // Try Apify first (if available)
   try {
     // html = await fetchViaApify(url);
   } catch (err) {
-    console.warn('[GPT Parser] Apify failed:', err.message);
+    log.warn('[GPT Parser] Apify failed:', err.message);
   }
   
   if (html) {
-    console.log('[GPT Parser] Got HTML via Apify');
+    log.debug('[GPT Parser] Got HTML via Apify');
     return html;
   }
   
@@ -114,51 +102,26 @@ async function smartFetchHtml(url) {
   try {
     html = await fetchViaAxios(url);
   } catch (err) {
-    console.warn('[GPT Parser] Axios failed:', err.message);
+    log.warn('[GPT Parser] Axios failed:', err.message);
   }
   
   if (html) {
-    console.log('[GPT Parser] Got HTML via Axios');
+    log.debug('[GPT Parser] Got HTML via Axios');
   } else {
-    console.log('[GPT Parser] All fetch methods failed');
+    log.warn('[GPT Parser] All fetch methods failed');
   }
   
   return html;
 }
 
-// -------- Fetchers (Apify → Axios) --------
-function vendorPromptHints(vendor){
-  switch (vendor) {
-    case 'Wayfair':
-      return `For Wayfair: CRITICAL - ONLY use SALE/CURRENT prices. Look for prices in red text, highlighted boxes, or marked as "sale", "current", "now". IGNORE regular prices, "was" prices, and financing options. The sale price is usually larger and more prominent near "Add to Cart".`;
-    case 'Amazon':
-      return `For Amazon: CRITICAL - ONLY use SALE/DEAL prices. Look for prices in red, marked as "deal", "sale", or "current price". IGNORE struck-through list prices and subscription pricing.`;
-    case 'Walmart':
-      return `For Walmart: CRITICAL - ONLY use CURRENT/NOW prices. Look for highlighted prices marked as "now", "current", or "sale". IGNORE "was" prices and financing options.`;
-    case 'Target':
-      return `For Target: CRITICAL - ONLY use SALE/CURRENT prices. Look for red prices, "sale" prices, or "current" prices. IGNORE "reg" and "was" prices.`;
-    case 'BestBuy':
-      return `For Best Buy: CRITICAL - ONLY use SALE/CURRENT prices. Look for highlighted sale prices. IGNORE regular prices and membership pricing.`;
-    case 'HomeDepot':
-      return `For Home Depot: CRITICAL - ONLY use SALE/SPECIAL prices. Look for highlighted special prices. IGNORE regular prices and bulk pricing.`;
-    case 'CrateAndBarrel':
-      return `For Crate & Barrel: CRITICAL - ONLY use SALE/CURRENT prices. Look for highlighted sale prices. IGNORE regular prices and financing. Extract dimensions from format like "23.8"H height 85.4"W width 37"D depth".`;
-    case 'IKEA':
-      return `For IKEA: CRITICAL - ONLY use MEMBER/SALE prices. Look for member prices or sale prices. IGNORE regular prices and service costs.`;
-    case 'LunaFurniture':
-      return `For Luna Furniture: CRITICAL - ONLY use SALE/CURRENT prices. Look for sale prices. IGNORE "compare at" and "was" prices.`;
-    default:
-      return `CRITICAL - ONLY use SALE/CURRENT prices. Look for prices marked as "sale", "now", "current", or highlighted in red/bold. COMPLETELY IGNORE regular/list/was prices and financing options.`;
-  }
-}
-
-async function parseWithGPT({ url, html, currencyFallback = DEFAULT_CURRENCY }){
+// budget: the server's OpenAI ProviderBudget; the call throws its BudgetError when spending is capped
+async function parseWithGPT({ url, html, currencyFallback = DEFAULT_CURRENCY, budget = null }){
   const apiKey = process.env.OPENAI_API_KEY;
   if (!apiKey) throw new Error('OPENAI_API_KEY is missing for gptParser.');
-  if (gptCallsUsed >= MAX_GPT_CALLS_PER_RUN) throw new Error('GPT budget limit reached for this run.');
 
   const client = new OpenAI({ apiKey });
-  const vendor = detectRetailer(url);
+  const retailer = getRetailerForUrl(url);
+  const vendor = retailer.name;
 
   // Trim context to control tokens
   const visibleText = htmlToVisibleText(html).slice(0, 20000);
@@ -182,7 +145,7 @@ Return STRICT JSON format with fields:
 - allVariants (array of strings, optional - all available variants like ["Color: Navy", "Size: King"])
 
 Rules:
-- ${vendorPromptHints(vendor)}
+- ${retailer.promptHints}
 - If currency is unclear, use "${currencyFallback}".
 - CRITICAL: "price" field MUST ONLY contain the SALE/CURRENT price that customers actually pay.
 - Look ONLY for prices that are highlighted, in red, bold, or explicitly marked as "sale", "now", "current", "special".
@@ -200,10 +163,9 @@ Rules:
 
   const user = `URL: ${url}\nExtract product data from the provided HTML and visible text.\nReturn ONLY JSON, no explanations.`;
 
-  console.log(`[GPT Parser] Making GPT call ${gptCallsUsed}/${MAX_GPT_CALLS_PER_RUN} for ${vendor}`);
+  log.info(`[GPT Parser] Making GPT call for ${vendor}`);
   
-  gptCallsUsed += 1;
-  const response = await client.chat.completions.create({
+  const request = () => client.chat.completions.create({
     model: MODEL,
     temperature: 0,
     response_format: { type: 'json_object' },
@@ -214,6 +176,27 @@ Rules:
       { role: 'user', content: `HTML:\n${htmlSlice}` },
     ],
   });
+  let response;
+  try {
+    response = budget
+      ? await budget.run(request, { cost: result => estimateGptCost(MODEL, result.usage) })
+      : await request();
+  } catch (error) {
+    // A call the budget held back was never made
+    if (!(error instanceof BudgetError)) recordGptCall({ model: MODEL, purpose: 'product-parse', outcome: 'error' });
+    throw error;
+  }
+
+  // Recorded before the reply is checked: a reply we reject still cost tokens.
+  // OpenAI's own request ID ties this call to their usage records and support
+  const costUsd = recordGptCall({ model: MODEL, purpose: 'product-parse', usage: response.usage });
+  log.info('[GPT usage]', {
+    model: MODEL,
+    promptTokens: response.usage ? response.usage.prompt_tokens : null,
+    completionTokens: response.usage ? response.usage.completion_tokens : null,
+    costUsd,
+    openaiRequestId: response._request_id || null
+  });
 
   let data = {};
   try { data = JSON.parse(response.choices[0].message.content || '{}'); }
@@ -253,12 +236,6 @@ Rules:
     ? data.breadcrumbs.map(s => (typeof s === 'string' ? s.trim() : '')).filter(Boolean).slice(0, 10)
     : [];
 
-  if (response.usage) {
-    console.log(`[GPT usage] prompt_tokens=${response.usage.prompt_tokens} completion_tokens=${response.usage.completion_tokens}`);
-  } else {
-    console.log(`[GPT Parser] Usage: ${response.usage.prompt_tokens} prompt + ${response.usage.completion_tokens} completion tokens`);
-  }
-
   return {
     url, name, price, currency, image, brand, sku, availability, breadcrumbs, variant, allVariants,
     package_dimensions: pkgDims,
@@ -267,17 +244,17 @@ Rules:
     weight: pkgWeight, // Map to expected field name
     category: breadcrumbs[breadcrumbs.length - 1] || null,
     inStock: availability === 'in_stock',
-    _meta: { vendor, model: MODEL, gptCallsUsed },
+    _meta: { vendor, model: MODEL },
   };
 }
 
 async function parseProduct(url, opts = {}){
-  const { currencyFallback = DEFAULT_CURRENCY } = opts;
+  const { currencyFallback = DEFAULT_CURRENCY, budget = null } = opts;
   await sleep(rnd(200, 600));
-  console.log(`[GPT Parser] Starting product parsing for: ${url}`);
+  log.info(`[GPT Parser] Starting product parsing for: ${url}`);
   const html = await smartFetchHtml(url);
   if (!html) throw new Error('All HTML fetch methods failed (Apify/Axios).');
-  return parseWithGPT({ url, html, currencyFallback });
+  return parseWithGPT({ url, html, currencyFallback, budget });
 }
 
-module.exports = { parseProduct };
\ No newline at end of file
+module.exports = { parseProduct, parseWithGPT, smartFetchHtml, fetchViaAxios };
\ No newline at end of file
@@ -0,0 +1,147 @@
+// backend/logger.js - Structured JSON logging with levels and per-request IDs
+// One JSON object per line ({ time, level, msg, requestId, component, ... }). LOG_LEVEL (debug, info, warn,
+// error, silent) sets how much is written; LOG_FORMAT=pretty prints readable lines for local runs.
+// The request ID follows the async call chain (AsyncLocalStorage), so ZyteScraper, parseWithGPT and scrape
+// jobs started by a request tag their lines with it without being handed the ID.
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const util = require('util');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// IDs from the proxy in front of us are kept when they look like IDs, so both logs line up
+const INCOMING_REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+function currentRequestId() {
+  const context = requestContext.getStore();
+  return context ? context.requestId : null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    status: error.response ? error.response.status : error.statusCode,
+    stack: error.stack
+  };
+}
+
+function safeStringify(entry) {
+  try {
+    return JSON.stringify(entry, (key, value) => {
+      if (typeof value === 'bigint') return value.toString();
+      if (value instanceof Error) return serializeError(value);
+      return value;
+    });
+  } catch (error) {
+    // Circular structures (axios responses and the like) fall back to an inspected copy
+    return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, requestId: entry.requestId, detail: util.inspect(entry, { depth: 3 }) });
+  }
+}
+
+class Logger {
+  constructor({ level = 'info', format = 'json', fields = {}, stream = process.stdout } = {}) {
+    if (!(level in LEVELS)) {
+      throw new Error(`Unknown log level "${level}". Expected ${Object.keys(LEVELS).join(', ')}`);
+    }
+    this.level = level;
+    this.format = format;
+    this.fields = fields;
+    this.stream = stream;
+  }
+
+  static fromEnv(env = process.env) {
+    const level = (env.LOG_LEVEL || 'info').toLowerCase();
+    return new Logger({
+      level: level in LEVELS ? level : 'info',
+      format: env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json'
+    });
+  }
+
+  // A logger that adds fields to every line, e.g. logger.child({ component: 'zyte' })
+  child(fields) {
+    return new Logger({ level: this.level, format: this.format, fields: { ...this.fields, ...fields }, stream: this.stream });
+  }
+
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(...args) { this.write('debug', args); }
+  info(...args) { this.write('info', args); }
+  warn(...args) { this.write('warn', args); }
+  error(...args) { this.write('error', args); }
+
+  // Called like console.log: a trailing plain object becomes fields, an Error becomes the "error" field
+  // (its message is appended) and everything else is formatted into the message
+  write(level, args) {
+    if (!this.isEnabled(level)) return;
+
+    const parts = [...args];
+    const fields = parts.length > 1 && isPlainObject(parts[parts.length - 1]) ? parts.pop() : {};
+    const errorIndex = parts.findIndex(part => part instanceof Error);
+    const error = errorIndex >= 0 ? parts.splice(errorIndex, 1)[0] : null;
+    const msg = [util.format(...parts).trim(), error ? error.message : null].filter(Boolean).join(' ');
+
+    const core = { time: new Date().toISOString(), level, msg, requestId: currentRequestId() || fields.requestId || undefined };
+    // Core keys come first and cannot be overwritten by the caller's fields
+    const entry = Object.assign({ ...core }, this.fields, fields, error ? { error: serializeError(error) } : {}, core);
+
+    this.stream.write(`${this.format === 'pretty' ? this.pretty(entry) : safeStringify(entry)}\n`);
+  }
+
+  pretty(entry) {
+    const { time, level, msg, requestId, ...rest } = entry;
+    const extra = Object.keys(rest).length > 0 ? ` ${safeStringify(rest)}` : '';
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)}${requestId ? ` [${requestId}]` : ''} ${msg}${extra}`;
+  }
+}
+
+const logger = Logger.fromEnv();
+
+// Gives every request an ID: sent back in the X-Request-Id header, added to JSON error bodies and
+// attached to every log line written while handling it
+function requestIdMiddleware(log = logger) {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = incoming && INCOMING_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    const json = res.json.bind(res);
+    res.json = body => json(
+      res.statusCode >= 400 && isPlainObject(body) && body.requestId === undefined ? { ...body, requestId } : body
+    );
+
+    res.on('finish', () => {
+      const isApi = /^\/(api|apps|webhooks)\//.test(req.path);
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 && isApi ? 'warn' : isApi ? 'info' : 'debug';
+      log[level](`${req.method} ${req.path} ${res.statusCode}`, {
+        requestId,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10
+      });
+    });
+
+    requestContext.run({ requestId }, next);
+  };
+}
+
+module.exports = {
+  logger,
+  Logger,
+  LEVELS,
+  REQUEST_ID_HEADER,
+  currentRequestId,
+  requestIdMiddleware
+};
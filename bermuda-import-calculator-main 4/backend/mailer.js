@@ -0,0 +1,133 @@
+// backend/mailer.js - Outgoing email behind a pluggable transport
+// MAIL_TRANSPORT picks how mail leaves: "smtp" (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS), "file" (writes
+// .eml files to MAIL_OUTBOX_DIR so local runs can open what would have been sent) or "log" (console only).
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'mailer' });
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../data/outbox');
+
+class MailError extends Error {
+  constructor(message, statusCode = 502) {
+    super(message);
+    this.name = 'MailError';
+    this.statusCode = statusCode;
+  }
+}
+
+class SmtpTransport {
+  constructor({ host, port = 587, secure = port === 465, user, pass }) {
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+// Renders the full MIME message (as SMTP would send it) into one .eml file per email
+class FileTransport {
+  constructor({ directory = DEFAULT_OUTBOX_DIR } = {}) {
+    this.name = 'file';
+    this.directory = directory;
+    this.renderer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+  }
+
+  async send(message) {
+    const info = await this.renderer.sendMail(message);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const file = path.join(this.directory, `${Date.now()}-${String(message.to).replace(/[^a-z0-9@.]+/gi, '_')}.eml`);
+    await fs.promises.writeFile(file, info.message);
+    log.debug(`   📁 Email written to ${file}`);
+    return { messageId: info.messageId, file };
+  }
+}
+
+class LogTransport {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send(message) {
+    log.info(`📧 [mail] To: ${message.to} | Subject: ${message.subject}`, { text: message.text });
+    return { messageId: null };
+  }
+}
+
+function createTransport(env = process.env) {
+  const kind = (env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'log')).toLowerCase();
+
+  if (kind === 'smtp') {
+    if (!env.SMTP_HOST) {
+      throw new MailError('MAIL_TRANSPORT=smtp needs SMTP_HOST', 500);
+    }
+    return new SmtpTransport({
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT, 10) || 587,
+      secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : undefined,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    });
+  }
+  if (kind === 'file') return new FileTransport({ directory: env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR });
+  if (kind === 'log') return new LogTransport();
+
+  throw new MailError(`Unknown MAIL_TRANSPORT "${kind}". Expected smtp, file or log`, 500);
+}
+
+class Mailer {
+  // transport: anything with async send({ from, to, replyTo, subject, text, html })
+  constructor({ transport = new LogTransport(), from = 'SDL Instant Import <no-reply@localhost>', replyTo = null } = {}) {
+    this.transport = transport;
+    this.from = from;
+    this.replyTo = replyTo;
+  }
+
+  static fromEnv(env = process.env) {
+    return new Mailer({
+      transport: createTransport(env),
+      // SMTP servers usually only accept mail from the account that logs in
+      from: env.MAIL_FROM || (env.SMTP_USER && env.SMTP_USER.includes('@') ? `SDL Instant Import <${env.SMTP_USER}>` : undefined),
+      replyTo: env.MAIL_REPLY_TO || null
+    });
+  }
+
+  async send({ to, subject, text, html }) {
+    if (!to) {
+      throw new MailError('Email has no recipient', 400);
+    }
+
+    try {
+      const result = await this.transport.send({
+        from: this.from,
+        to,
+        replyTo: this.replyTo || undefined,
+        subject,
+        text,
+        html
+      });
+      log.info(`📧 Sent "${subject}" to ${to} via ${this.transport.name}`);
+      return result;
+    } catch (error) {
+      throw new MailError(`Failed to send email to ${to}: ${error.message}`);
+    }
+  }
+}
+
+Mailer.MailError = MailError;
+Mailer.SmtpTransport = SmtpTransport;
+Mailer.FileTransport = FileTransport;
+Mailer.LogTransport = LogTransport;
+Mailer.createTransport = createTransport;
+
+module.exports = Mailer;
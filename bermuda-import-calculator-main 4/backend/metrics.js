@@ -0,0 +1,212 @@
+// backend/metrics.js - Prometheus metrics served at /metrics
+// How scrapes fall through the tiers (structured data → Zyte → selectors → GPT → manual entry), how long
+// each tier takes, which Zyte strategy answered, what GPT costs in tokens and dollars, which paid calls the
+// provider budgets held back, and how many quotes and draft orders are made. Counters reset when the process
+// restarts; Prometheus handles that.
+const crypto = require('crypto');
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+// USD per million tokens, from OpenAI's price list. GPT_PRICE_INPUT_PER_MTOK and GPT_PRICE_OUTPUT_PER_MTOK
+// override them, e.g. for a model not listed here.
+const GPT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1': { input: 2.00, output: 8.00 }
+};
+
+const scrapeAttempts = new client.Counter({
+  name: 'sdl_scrape_attempts_total',
+  help: 'Scrape tier attempts by retailer, method and outcome (success, miss, error or skipped)',
+  labelNames: ['retailer', 'method', 'outcome'],
+  registers: [registry]
+});
+
+const scrapeResults = new client.Counter({
+  name: 'sdl_scrape_results_total',
+  help: 'Finished scrapes by retailer and the method that produced the product; manual-required when none did',
+  labelNames: ['retailer', 'method'],
+  registers: [registry]
+});
+
+const scrapeTierDuration = new client.Histogram({
+  name: 'sdl_scrape_tier_duration_seconds',
+  help: 'Time spent in each scrape tier',
+  labelNames: ['method', 'outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 90],
+  registers: [registry]
+});
+
+const scrapeCacheLookups = new client.Counter({
+  name: 'sdl_scrape_cache_lookups_total',
+  help: 'Scrape cache lookups by result (hit or miss)',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const zyteRequests = new client.Counter({
+  name: 'sdl_zyte_requests_total',
+  help: 'Zyte API requests by extraction strategy and outcome (high, medium or low confidence, error or skipped)',
+  labelNames: ['strategy', 'outcome'],
+  registers: [registry]
+});
+
+const zyteResults = new client.Counter({
+  name: 'sdl_zyte_results_total',
+  help: 'Zyte scrapes by the strategy whose result was used',
+  labelNames: ['strategy'],
+  registers: [registry]
+});
+
+const gptRequests = new client.Counter({
+  name: 'sdl_gpt_requests_total',
+  help: 'OpenAI chat completions by model, purpose and outcome',
+  labelNames: ['model', 'purpose', 'outcome'],
+  registers: [registry]
+});
+
+const gptTokens = new client.Counter({
+  name: 'sdl_gpt_tokens_total',
+  help: 'OpenAI tokens used by model, purpose and type (prompt or completion)',
+  labelNames: ['model', 'purpose', 'type'],
+  registers: [registry]
+});
+
+const gptCost = new client.Counter({
+  name: 'sdl_gpt_cost_usd_total',
+  help: 'Estimated OpenAI spend in USD by model and purpose',
+  labelNames: ['model', 'purpose'],
+  registers: [registry]
+});
+
+const providerSkips = new client.Counter({
+  name: 'sdl_provider_calls_skipped_total',
+  help: 'Paid API calls not made because the provider budget was used up or its circuit was open, by reason',
+  labelNames: ['provider', 'reason'],
+  registers: [registry]
+});
+
+const providerCircuit = new client.Gauge({
+  name: 'sdl_provider_circuit_state',
+  help: 'Circuit breaker state per paid provider: 0 closed, 1 half-open, 2 open',
+  labelNames: ['provider'],
+  registers: [registry]
+});
+
+const quotes = new client.Counter({
+  name: 'sdl_quotes_total',
+  help: 'Quotes by source: calculated (priced for the page), pending-order, staff or draft-order (stored)',
+  labelNames: ['source'],
+  registers: [registry]
+});
+
+const draftOrders = new client.Counter({
+  name: 'sdl_draft_orders_total',
+  help: 'Draft order requests by outcome: created, duplicate, rejected or failed',
+  labelNames: ['outcome'],
+  registers: [registry]
+});
+
+// Starts timing one scrape tier; call the returned function with 'success', 'miss', 'error' or 'skipped'
+function timeScrapeTier(retailer, method) {
+  const end = scrapeTierDuration.startTimer({ method });
+  return outcome => {
+    end({ outcome });
+    scrapeAttempts.inc({ retailer, method, outcome });
+  };
+}
+
+function recordScrapeResult(retailer, method) {
+  scrapeResults.inc({ retailer, method });
+}
+
+function recordCacheLookup(hit) {
+  scrapeCacheLookups.inc({ result: hit ? 'hit' : 'miss' });
+}
+
+function recordZyteRequest(strategy, outcome) {
+  zyteRequests.inc({ strategy, outcome });
+}
+
+function recordZyteResult(strategy) {
+  zyteResults.inc({ strategy });
+}
+
+function gptPrice(model, env = process.env) {
+  const listed = GPT_PRICES[model] || GPT_PRICES[Object.keys(GPT_PRICES).find(name => model.startsWith(`${name}-`))] || null;
+  const input = parseFloat(env.GPT_PRICE_INPUT_PER_MTOK);
+  const output = parseFloat(env.GPT_PRICE_OUTPUT_PER_MTOK);
+  return {
+    input: Number.isFinite(input) ? input : listed ? listed.input : 0,
+    output: Number.isFinite(output) ? output : listed ? listed.output : 0
+  };
+}
+
+// usage: the OpenAI response's usage block; returns the estimated cost in USD
+function estimateGptCost(model, usage) {
+  if (!usage) return 0;
+  const price = gptPrice(model);
+  return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1e6;
+}
+
+// One OpenAI call: pass the response's usage block, or outcome 'error' when the call failed
+function recordGptCall({ model, purpose, usage = null, outcome = 'success' }) {
+  gptRequests.inc({ model, purpose, outcome });
+  if (!usage) return 0;
+
+  gptTokens.inc({ model, purpose, type: 'prompt' }, usage.prompt_tokens || 0);
+  gptTokens.inc({ model, purpose, type: 'completion' }, usage.completion_tokens || 0);
+  const cost = estimateGptCost(model, usage);
+  gptCost.inc({ model, purpose }, cost);
+  return cost;
+}
+
+function recordProviderSkip(provider, reason) {
+  providerSkips.inc({ provider, reason });
+}
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+function setProviderCircuit(provider, state) {
+  providerCircuit.set({ provider }, CIRCUIT_STATES[state]);
+}
+
+function recordQuote(source) {
+  quotes.inc({ source });
+}
+
+function recordDraftOrder(outcome) {
+  draftOrders.inc({ outcome });
+}
+
+// With METRICS_TOKEN set, scrapers must send "Authorization: Bearer <token>"; hashed so the compare is constant-time
+function canReadMetrics(authorization, token = process.env.METRICS_TOKEN) {
+  if (!token) return true;
+  const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+  return crypto.timingSafeEqual(digest(authorization), digest(`Bearer ${token}`));
+}
+
+// Returns { contentType, body } in the Prometheus text format
+async function renderMetrics() {
+  return { contentType: registry.contentType, body: await registry.metrics() };
+}
+
+module.exports = {
+  GPT_PRICES,
+  timeScrapeTier,
+  recordScrapeResult,
+  recordCacheLookup,
+  recordZyteRequest,
+  recordZyteResult,
+  estimateGptCost,
+  recordGptCall,
+  recordProviderSkip,
+  setProviderCircuit,
+  recordQuote,
+  recordDraftOrder,
+  canReadMetrics,
+  renderMetrics
+};
@@ -0,0 +1,259 @@
+// backend/migrations.js - Ordered schema migrations for the libSQL database
+// Append new migrations to the end; never edit one that has already shipped.
+
+module.exports = [
+  {
+    version: 1,
+    name: 'initial-schema',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS scraped_products (
+        id TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        retailer TEXT,
+        name TEXT,
+        price REAL,
+        scraping_method TEXT,
+        data TEXT NOT NULL,
+        scraped_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_scraped_products_url ON scraped_products (url)`,
+      `CREATE TABLE IF NOT EXISTS quotes (
+        id TEXT PRIMARY KEY,
+        pending_order_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        currency TEXT NOT NULL DEFAULT 'USD',
+        grand_total REAL,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_quotes_pending_order ON quotes (pending_order_id)`,
+      `CREATE TABLE IF NOT EXISTS pending_orders (
+        id TEXT PRIMARY KEY,
+        quote_id TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        retrieved_at TEXT
+      )`,
+      `CREATE TABLE IF NOT EXISTS draft_order_links (
+        draft_order_id TEXT PRIMARY KEY,
+        draft_order_name TEXT,
+        pending_order_id TEXT,
+        quote_id TEXT,
+        invoice_url TEXT,
+        customer_email TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_draft_order_links_quote ON draft_order_links (quote_id)`
+    ]
+  },
+  {
+    version: 2,
+    name: 'order-tracking',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS tracked_orders (
+        shopify_order_id TEXT PRIMARY KEY,
+        is_tracking INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        stopped_at TEXT
+      )`,
+      `CREATE TABLE IF NOT EXISTS retailer_orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        shopify_order_id TEXT NOT NULL,
+        retailer TEXT NOT NULL,
+        retailer_order_id TEXT NOT NULL,
+        items TEXT NOT NULL DEFAULT '[]',
+        status TEXT NOT NULL,
+        tracking_number TEXT,
+        estimated_delivery TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        UNIQUE (shopify_order_id, retailer, retailer_order_id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS tracking_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        shopify_order_id TEXT NOT NULL,
+        retailer_order_ref INTEGER,
+        status TEXT NOT NULL,
+        note TEXT,
+        occurred_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_tracking_events_order ON tracking_events (shopify_order_id, occurred_at)`
+    ]
+  },
+  {
+    version: 3,
+    name: 'scrape-cache',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS scrape_cache (
+        cache_key TEXT PRIMARY KEY,
+        url TEXT NOT NULL,
+        data TEXT NOT NULL,
+        scraped_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_scrape_cache_expires ON scrape_cache (expires_at)`
+    ]
+  },
+  {
+    version: 4,
+    name: 'rate-cards',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS rate_cards (
+        version INTEGER PRIMARY KEY AUTOINCREMENT,
+        rates TEXT NOT NULL,
+        effective_from TEXT NOT NULL,
+        note TEXT,
+        created_by TEXT,
+        created_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_rate_cards_effective ON rate_cards (effective_from)`,
+      `ALTER TABLE quotes ADD COLUMN rate_card_version INTEGER`
+    ]
+  },
+  {
+    version: 5,
+    name: 'split-wharfage-rate',
+    // Cards published before wharfage was its own rate carried a combined duty + wharfage rate;
+    // supersede each with a copy (same effective date) that splits the 1.5% wharfage out
+    statements: [
+      `INSERT INTO rate_cards (rates, effective_from, note, created_by, created_at)
+       SELECT json_set(rates,
+                '$.dutyRate', round(max(json_extract(rates, '$.dutyRate') - 0.015, 0), 4),
+                '$.wharfageRate', 0.015),
+              effective_from,
+              'Wharfage split out of v' || version || ' duty rate',
+              'system',
+              strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+       FROM rate_cards
+       WHERE json_extract(rates, '$.wharfageRate') IS NULL
+       ORDER BY version`
+    ]
+  },
+  {
+    version: 6,
+    name: 'exchange-rates',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS exchange_rates (
+        currency TEXT PRIMARY KEY,
+        usd_rate REAL NOT NULL,
+        updated_at TEXT NOT NULL,
+        updated_by TEXT
+      )`
+    ]
+  },
+  {
+    version: 7,
+    name: 'draft-order-requests',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS draft_order_requests (
+        idempotency_key TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        draft_order_id TEXT,
+        response TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 8,
+    name: 'shopify-webhooks',
+    statements: [
+      `ALTER TABLE draft_order_links ADD COLUMN shopify_order_id TEXT`,
+      `ALTER TABLE draft_order_links ADD COLUMN status TEXT`,
+      `ALTER TABLE draft_order_links ADD COLUMN updated_at TEXT`,
+      `CREATE INDEX IF NOT EXISTS idx_draft_order_links_order ON draft_order_links (shopify_order_id)`,
+      `CREATE TABLE IF NOT EXISTS shopify_webhooks (
+        webhook_id TEXT PRIMARY KEY,
+        topic TEXT NOT NULL,
+        resource_id TEXT,
+        received_at TEXT NOT NULL
+      )`
+    ]
+  },
+  {
+    version: 9,
+    name: 'staff-accounts',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS staff_users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        display_name TEXT,
+        role TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        disabled_at TEXT,
+        last_login_at TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS staff_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL,
+        last_seen_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_staff_sessions_user ON staff_sessions (user_id)`,
+      `CREATE TABLE IF NOT EXISTS staff_login_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL,
+        user_id INTEGER,
+        event TEXT NOT NULL,
+        reason TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        occurred_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_staff_login_audit_username ON staff_login_audit (username, occurred_at)`
+    ]
+  },
+  {
+    version: 10,
+    name: 'quote-price-audit',
+    statements: [
+      `CREATE TABLE IF NOT EXISTS quote_price_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        quote_id TEXT NOT NULL,
+        item_id TEXT,
+        product_name TEXT,
+        product_url TEXT,
+        field TEXT NOT NULL,
+        scraped_value REAL,
+        final_value REAL,
+        change_percent REAL,
+        changed_by TEXT,
+        changed_at TEXT,
+        recorded_at TEXT NOT NULL
+      )`,
+      `CREATE INDEX IF NOT EXISTS idx_quote_price_audit_quote ON quote_price_audit (quote_id)`,
+      `CREATE INDEX IF NOT EXISTS idx_quote_price_audit_change ON quote_price_audit (field, change_percent)`
+    ]
+  },
+  {
+    version: 11,
+    name: 'provider-usage',
+    statements: [
+      // Calls and estimated spend per paid provider (zyte, openai), bucketed by UTC hour ("2026-10-18T14")
+      `CREATE TABLE IF NOT EXISTS provider_usage (
+        provider TEXT NOT NULL,
+        hour TEXT NOT NULL,
+        calls INTEGER NOT NULL DEFAULT 0,
+        cost_usd REAL NOT NULL DEFAULT 0,
+        PRIMARY KEY (provider, hour)
+      )`
+    ]
+  },
+  {
+    version: 12,
+    name: 'quote-price-audit-flag',
+    statements: [
+      // no-scrape-record / no-scraped-price: the price row had nothing to be compared with
+      `ALTER TABLE quote_price_audit ADD COLUMN flag TEXT`
+    ]
+  }
+];
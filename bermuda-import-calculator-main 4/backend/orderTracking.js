@@ -0,0 +1,321 @@
+// backend/orderTracking.js - Tracks Shopify orders through retailer purchase, freight and delivery
+
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'order-tracking' });
+
+// Ordered journey of every retailer order; an order can only move forward along this list.
+// Paid orders arrive from the Shopify webhook as 'awaiting-purchase' until staff buy from the retailer.
+const TRACKING_STATUSES = [
+  { key: 'awaiting-purchase', label: 'Awaiting purchase from retailer' },
+  { key: 'ordered', label: 'Ordered from retailer' },
+  { key: 'shipped-to-warehouse', label: 'Shipped to US warehouse' },
+  { key: 'received-in-miami', label: 'Received in Miami' },
+  { key: 'on-vessel', label: 'On vessel to Bermuda' },
+  { key: 'cleared-customs', label: 'Cleared Bermuda customs' },
+  { key: 'delivered', label: 'Delivered' }
+];
+
+const STATUS_KEYS = TRACKING_STATUSES.map(status => status.key);
+
+// retailer_order_id of a retailer order that has not been purchased yet
+const UNPURCHASED_ORDER_ID = '';
+
+class TrackingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TrackingError';
+    this.statusCode = statusCode;
+  }
+}
+
+function statusIndex(status) {
+  return STATUS_KEYS.indexOf(status);
+}
+
+function statusLabel(status) {
+  const match = TRACKING_STATUSES.find(entry => entry.key === status);
+  return match ? match.label : status;
+}
+
+function parseItems(text) {
+  try {
+    const items = JSON.parse(text || '[]');
+    return Array.isArray(items) ? items : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+class OrderTracker {
+  constructor(database) {
+    this.database = database;
+  }
+
+  static async create(database) {
+    const tracker = new OrderTracker(database);
+    await database.initialize();
+    return tracker;
+  }
+
+  // retailerOrders: [{ retailer, orderId, items: [string] }]
+  async startTracking(shopifyOrderId, retailerOrders = []) {
+    if (!shopifyOrderId) {
+      throw new TrackingError('Shopify order ID is required');
+    }
+
+    if (!Array.isArray(retailerOrders)) {
+      throw new TrackingError('retailerOrders must be a list of { retailer, orderId, items }');
+    }
+
+    const validOrders = retailerOrders.filter(order => order && order.retailer && order.orderId);
+    if (validOrders.length === 0) {
+      throw new TrackingError('At least one retailer order with a retailer and order ID is required');
+    }
+
+    const now = new Date().toISOString();
+
+    await this.database.execute(
+      `INSERT INTO tracked_orders (shopify_order_id, is_tracking, created_at, updated_at)
+       VALUES (?, 1, ?, ?)
+       ON CONFLICT (shopify_order_id) DO UPDATE SET is_tracking = 1, stopped_at = NULL, updated_at = excluded.updated_at`,
+      [String(shopifyOrderId), now, now]
+    );
+
+    for (const order of validOrders) {
+      const items = Array.isArray(order.items) ? order.items.filter(Boolean) : [];
+
+      // A retailer purchase created from the paid Shopify order gets its order number now
+      const unpurchased = await this.database.execute(
+        `SELECT id FROM retailer_orders WHERE shopify_order_id = ? AND retailer = ? AND retailer_order_id = ?`,
+        [String(shopifyOrderId), order.retailer, UNPURCHASED_ORDER_ID]
+      );
+      if (unpurchased.rows[0]) {
+        await this.database.execute(
+          `UPDATE retailer_orders SET retailer_order_id = ?, items = ?, status = 'ordered', updated_at = ? WHERE id = ?`,
+          [String(order.orderId), JSON.stringify(items), now, unpurchased.rows[0].id]
+        );
+        await this.recordEvent(shopifyOrderId, Number(unpurchased.rows[0].id), 'ordered', `${order.retailer} order ${order.orderId} placed`, now);
+        continue;
+      }
+
+      const existing = await this.database.execute(
+        `SELECT id FROM retailer_orders WHERE shopify_order_id = ? AND retailer = ? AND retailer_order_id = ?`,
+        [String(shopifyOrderId), order.retailer, String(order.orderId)]
+      );
+
+      if (existing.rows[0]) {
+        await this.database.execute(
+          'UPDATE retailer_orders SET items = ?, updated_at = ? WHERE id = ?',
+          [JSON.stringify(items), now, existing.rows[0].id]
+        );
+        continue;
+      }
+
+      const inserted = await this.database.execute(
+        `INSERT INTO retailer_orders (shopify_order_id, retailer, retailer_order_id, items, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 'ordered', ?, ?)`,
+        [String(shopifyOrderId), order.retailer, String(order.orderId), JSON.stringify(items), now, now]
+      );
+
+      await this.recordEvent(shopifyOrderId, Number(inserted.lastInsertRowid), 'ordered', `${order.retailer} order ${order.orderId} placed`, now);
+    }
+
+    log.info(`📦 Tracking started for order ${shopifyOrderId} (${validOrders.length} retailer orders)`);
+    return this.getTrackingStatus(shopifyOrderId);
+  }
+
+  // Called when Shopify reports the order paid: one retailer order per retailer to buy from,
+  // waiting for staff to purchase it. Safe to call again for the same order (webhooks are retried).
+  // purchases: [{ retailer, items: [string] }]
+  async trackPaidOrder(shopifyOrderId, purchases = []) {
+    if (!shopifyOrderId) {
+      throw new TrackingError('Shopify order ID is required');
+    }
+
+    const now = new Date().toISOString();
+    await this.database.execute(
+      `INSERT INTO tracked_orders (shopify_order_id, is_tracking, created_at, updated_at)
+       VALUES (?, 1, ?, ?)
+       ON CONFLICT (shopify_order_id) DO NOTHING`,
+      [String(shopifyOrderId), now, now]
+    );
+
+    for (const purchase of purchases.filter(entry => entry && entry.retailer)) {
+      const existing = await this.database.execute(
+        'SELECT id FROM retailer_orders WHERE shopify_order_id = ? AND retailer = ?',
+        [String(shopifyOrderId), purchase.retailer]
+      );
+      if (existing.rows[0]) continue;
+
+      const items = Array.isArray(purchase.items) ? purchase.items.filter(Boolean) : [];
+      const inserted = await this.database.execute(
+        `INSERT INTO retailer_orders (shopify_order_id, retailer, retailer_order_id, items, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, 'awaiting-purchase', ?, ?)`,
+        [String(shopifyOrderId), purchase.retailer, UNPURCHASED_ORDER_ID, JSON.stringify(items), now, now]
+      );
+
+      await this.recordEvent(shopifyOrderId, Number(inserted.lastInsertRowid), 'awaiting-purchase', `Paid; ${items.length} item(s) to buy from ${purchase.retailer}`, now);
+    }
+
+    log.info(`📦 Tracking created for paid order ${shopifyOrderId} (${purchases.length} retailer purchases)`);
+    return this.getTrackingStatus(shopifyOrderId);
+  }
+
+  async stopTracking(shopifyOrderId) {
+    const now = new Date().toISOString();
+    const result = await this.database.execute(
+      'UPDATE tracked_orders SET is_tracking = 0, stopped_at = ?, updated_at = ? WHERE shopify_order_id = ?',
+      [now, now, String(shopifyOrderId)]
+    );
+
+    if (result.rowsAffected === 0) {
+      throw new TrackingError(`Order ${shopifyOrderId} is not being tracked`, 404);
+    }
+
+    log.info(`⏹️ Tracking stopped for order ${shopifyOrderId}`);
+  }
+
+  // Move one retailer order to a new status; skipping ahead is allowed, going backwards is not
+  // orderId fills in the retailer's order number on a purchase created from the Shopify webhook
+  async updateRetailerOrderStatus(shopifyOrderId, retailerOrderRef, { status, orderId, trackingNumber, estimatedDelivery, note } = {}) {
+    if (!STATUS_KEYS.includes(status)) {
+      throw new TrackingError(`Unknown status "${status}". Expected one of: ${STATUS_KEYS.join(', ')}`);
+    }
+
+    const result = await this.database.execute(
+      'SELECT * FROM retailer_orders WHERE id = ? AND shopify_order_id = ?',
+      [Number(retailerOrderRef), String(shopifyOrderId)]
+    );
+    const retailerOrder = result.rows[0];
+    if (!retailerOrder) {
+      throw new TrackingError(`Retailer order ${retailerOrderRef} not found on order ${shopifyOrderId}`, 404);
+    }
+
+    if (statusIndex(status) < statusIndex(retailerOrder.status)) {
+      throw new TrackingError(`Cannot move ${retailerOrder.retailer} order from "${statusLabel(retailerOrder.status)}" back to "${statusLabel(status)}"`);
+    }
+
+    const now = new Date().toISOString();
+    await this.database.execute(
+      `UPDATE retailer_orders
+       SET status = ?, retailer_order_id = COALESCE(?, retailer_order_id), tracking_number = COALESCE(?, tracking_number),
+           estimated_delivery = COALESCE(?, estimated_delivery), updated_at = ?
+       WHERE id = ?`,
+      [status, orderId ? String(orderId) : null, trackingNumber || null, estimatedDelivery || null, now, retailerOrder.id]
+    );
+
+    if (status !== retailerOrder.status) {
+      await this.recordEvent(shopifyOrderId, retailerOrder.id, status, note || null, now);
+    }
+
+    await this.database.execute(
+      'UPDATE tracked_orders SET updated_at = ? WHERE shopify_order_id = ?',
+      [now, String(shopifyOrderId)]
+    );
+
+    log.info(`🚚 ${retailerOrder.retailer} order ${orderId || retailerOrder.retailer_order_id || '(not purchased)'}: ${retailerOrder.status} → ${status}`);
+    return this.getTrackingStatus(shopifyOrderId);
+  }
+
+  async recordEvent(shopifyOrderId, retailerOrderRef, status, note, occurredAt) {
+    await this.database.execute(
+      `INSERT INTO tracking_events (shopify_order_id, retailer_order_ref, status, note, occurred_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [String(shopifyOrderId), retailerOrderRef, status, note, occurredAt]
+    );
+  }
+
+  async getTrackingStatus(shopifyOrderId) {
+    const orderResult = await this.database.execute(
+      'SELECT * FROM tracked_orders WHERE shopify_order_id = ?',
+      [String(shopifyOrderId)]
+    );
+    const order = orderResult.rows[0];
+    if (!order) {
+      throw new TrackingError(`Order ${shopifyOrderId} is not being tracked`, 404);
+    }
+
+    const retailerResult = await this.database.execute(
+      'SELECT * FROM retailer_orders WHERE shopify_order_id = ? ORDER BY id',
+      [String(shopifyOrderId)]
+    );
+    const eventResult = await this.database.execute(
+      'SELECT * FROM tracking_events WHERE shopify_order_id = ? ORDER BY occurred_at, id',
+      [String(shopifyOrderId)]
+    );
+
+    const retailerOrders = retailerResult.rows.map(row => ({
+      id: Number(row.id),
+      retailer: row.retailer,
+      orderId: row.retailer_order_id,
+      items: parseItems(row.items),
+      status: row.status,
+      statusLabel: statusLabel(row.status),
+      trackingNumber: row.tracking_number,
+      estimatedDelivery: row.estimated_delivery,
+      updatedAt: row.updated_at
+    }));
+
+    const retailerById = new Map(retailerOrders.map(retailerOrder => [retailerOrder.id, retailerOrder]));
+    const timeline = eventResult.rows.map(row => {
+      const retailerOrder = retailerById.get(Number(row.retailer_order_ref));
+      return {
+        status: row.status,
+        statusLabel: statusLabel(row.status),
+        retailer: retailerOrder ? retailerOrder.retailer : null,
+        retailerOrderId: retailerOrder ? retailerOrder.orderId : null,
+        note: row.note,
+        occurredAt: row.occurred_at
+      };
+    });
+
+    // The order as a whole is only as far along as its slowest retailer order
+    const overallStatus = retailerOrders.length > 0
+      ? retailerOrders.reduce((slowest, retailerOrder) =>
+          statusIndex(retailerOrder.status) < statusIndex(slowest) ? retailerOrder.status : slowest,
+        STATUS_KEYS[STATUS_KEYS.length - 1])
+      : null;
+
+    const retailerStatuses = {};
+    retailerOrders.forEach(retailerOrder => {
+      retailerStatuses[retailerOrder.orderId ? `${retailerOrder.retailer} #${retailerOrder.orderId}` : `${retailerOrder.retailer} (to purchase)`] = {
+        status: retailerOrder.status,
+        statusLabel: retailerOrder.statusLabel,
+        trackingNumber: retailerOrder.trackingNumber,
+        estimatedDelivery: retailerOrder.estimatedDelivery
+      };
+    });
+
+    return {
+      orderId: order.shopify_order_id,
+      isTracking: !!Number(order.is_tracking),
+      status: overallStatus,
+      statusLabel: overallStatus ? statusLabel(overallStatus) : null,
+      lastUpdate: order.updated_at,
+      startedAt: order.created_at,
+      stoppedAt: order.stopped_at,
+      retailerOrders,
+      retailerStatuses,
+      timeline
+    };
+  }
+
+  // Status for many orders at once; unknown orders are reported rather than failing the batch
+  async getBulkTrackingStatus(shopifyOrderIds = []) {
+    const results = [];
+    for (const shopifyOrderId of shopifyOrderIds) {
+      try {
+        results.push(await this.getTrackingStatus(shopifyOrderId));
+      } catch (error) {
+        results.push({ orderId: String(shopifyOrderId), error: error.message, isTracking: false });
+      }
+    }
+    return results;
+  }
+}
+
+OrderTracker.TRACKING_STATUSES = TRACKING_STATUSES;
+OrderTracker.TrackingError = TrackingError;
+
+module.exports = OrderTracker;
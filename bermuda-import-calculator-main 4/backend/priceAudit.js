@@ -0,0 +1,76 @@
+// backend/priceAudit.js - What the scraper found versus what a stored quote was priced at
+// Every item of a stored quote gets a price row (scraped value from the server's own scrape record, never
+// the page's copy), plus freight and duty rows when staff overrode them. Scrape records are found by the
+// scrapedProductId the server put on the item; an item without one is flagged rather than passed as unchanged.
+const { roundMoney } = require('./quoteEngine');
+
+// Page clocks are not trusted further than this into the future
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function percentChange(from, to) {
+  if (from == null || !(from > 0)) return null;
+  return Math.round(((to - from) / from) * 10000) / 100;
+}
+
+// Edit times come from the page; anything unparseable or in the future is replaced by the quote time
+function editTime(value, fallback) {
+  const time = Date.parse(value);
+  if (!Number.isFinite(time) || time > Date.now() + CLOCK_SKEW_MS) return fallback;
+  return new Date(time).toISOString();
+}
+
+// flag: no-scrape-record (nothing to compare the price with) or no-scraped-price (the record has none)
+function auditRow(item, field, scrapedValue, finalValue, { editor, editedAt, flag = null }) {
+  const changed = scrapedValue != null && Math.abs(finalValue - scrapedValue) >= 0.00005;
+  return {
+    itemId: item.id,
+    name: item.name,
+    url: item.url || null,
+    field,
+    scrapedValue,
+    finalValue,
+    changePercent: changed ? percentChange(scrapedValue, finalValue) : (scrapedValue != null ? 0 : null),
+    changedBy: changed || flag ? editor : null,
+    changedAt: changed || flag ? editedAt : null,
+    flag
+  };
+}
+
+// quote: calculateQuote result (items carry the page's edit times in item.edits)
+// scrapedProducts: database.getScrapedProducts result for the items' scrapedProductIds
+// editor: 'customer' or the staff username. Returns rows for database.saveQuotePriceAudit
+function auditQuote({ quote, scrapedProducts = {}, editor = 'customer', recordedAt = new Date().toISOString() }) {
+  const rows = [];
+
+  quote.items.forEach(item => {
+    const edits = item.edits || {};
+    const scraped = item.scrapedProductId != null ? scrapedProducts[item.scrapedProductId] : null;
+    const scrapedPrice = scraped && scraped.price > 0 ? roundMoney(scraped.price) : null;
+
+    rows.push(auditRow(item, 'price', scrapedPrice, item.unitPrice, {
+      editor,
+      editedAt: editTime(edits.price, recordedAt),
+      flag: !scraped ? 'no-scrape-record' : (scrapedPrice == null ? 'no-scraped-price' : null)
+    }));
+
+    if (item.freight.basis === 'override') {
+      rows.push(auditRow(item, 'freight', item.freight.calculatedTotal, item.freight.total, {
+        editor,
+        editedAt: editTime(edits.freight, recordedAt)
+      }));
+    }
+
+    if (item.duty.source === 'override') {
+      rows.push(auditRow(item, 'dutyRate', item.duty.tariffRate, item.duty.rate, {
+        editor,
+        editedAt: editTime(edits.dutyRate, recordedAt)
+      }));
+    }
+  });
+
+  return rows;
+}
+
+module.exports = {
+  auditQuote
+};
@@ -0,0 +1,276 @@
+// backend/providerBudget.js - Spending caps and circuit breakers for the paid providers (Zyte and OpenAI)
+// Calls and estimated dollars are counted per hour in the database, so the rolling 24-hour and 30-day budgets
+// survive restarts and are shared between instances. A provider that keeps answering 5xx/429 is left alone for a
+// cooldown. Either way scrapes fall through to structured data, the cheerio selectors or manual entry.
+const { logger } = require('./logger');
+const { recordProviderSkip, setProviderCircuit } = require('./metrics');
+
+const log = logger.child({ component: 'provider-budget' });
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const MONTH_MS = 30 * DAY_MS;
+
+// Dollar budgets apply unless set to 0 (no limit); call limits only when set.
+// <PROVIDER>_DAILY_BUDGET_USD, <PROVIDER>_MONTHLY_BUDGET_USD, <PROVIDER>_DAILY_CALL_LIMIT, <PROVIDER>_MONTHLY_CALL_LIMIT
+const PROVIDERS = {
+  zyte: { label: 'Zyte', envPrefix: 'ZYTE', dailyUsd: 10, monthlyUsd: 200 },
+  openai: { label: 'OpenAI', envPrefix: 'OPENAI', dailyUsd: 5, monthlyUsd: 100 }
+};
+
+// Zyte bills per successful response and does not report the charge, so each one is counted at this estimate
+const ZYTE_COST_PER_REQUEST = 0.01;
+
+const CIRCUIT_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN_SECONDS = 120;
+
+class BudgetError extends Error {
+  // reason: daily-budget, monthly-budget, daily-calls, monthly-calls or circuit-open
+  constructor(provider, reason, message, retryAt = null) {
+    super(message);
+    this.name = 'BudgetError';
+    this.provider = provider;
+    this.reason = reason;
+    this.retryAt = retryAt;
+  }
+}
+
+function hourKey(time) {
+  return new Date(time).toISOString().slice(0, 13);
+}
+
+// Unset or blank means "use the default"; 0 means no limit
+function envLimit(value, fallback = null) {
+  if (value === undefined || value === '') return fallback;
+  const number = parseFloat(value);
+  if (!Number.isFinite(number) || number < 0) return fallback;
+  return number > 0 ? number : null;
+}
+
+// Server errors and rate limits mean the provider is struggling; a 400 or 401 is our own problem
+function failureStatus(error) {
+  const status = error && (error.response ? error.response.status : error.status);
+  return status === 429 || status >= 500 ? status : null;
+}
+
+function retryAfterMs(error) {
+  const headers = error && (error.response ? error.response.headers : error.headers);
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : 0;
+}
+
+function money(value) {
+  return `$${value.toFixed(2)}`;
+}
+
+class ProviderBudget {
+  constructor(database, provider, options = {}) {
+    if (!PROVIDERS[provider]) {
+      throw new Error(`Unknown provider "${provider}". Expected ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    this.database = database;
+    this.provider = provider;
+    this.label = PROVIDERS[provider].label;
+    this.limits = {
+      dailyUsd: null,
+      monthlyUsd: null,
+      dailyCalls: null,
+      monthlyCalls: null,
+      ...options.limits
+    };
+    // Charged for each successful call that does not report its own cost
+    this.costPerCall = options.costPerCall || 0;
+    this.circuitThreshold = options.circuitThreshold || CIRCUIT_THRESHOLD;
+    this.circuitCooldownMs = options.circuitCooldownMs || CIRCUIT_COOLDOWN_SECONDS * 1000;
+    this.now = options.now || (() => Date.now());
+
+    // closed: calls go through; open: none until openUntil; half-open: one trial call decides
+    this.circuit = { state: 'closed', failures: 0, openUntil: null, trialInFlight: false, lastFailure: null };
+    setProviderCircuit(provider, 'closed');
+  }
+
+  static fromEnv(database, provider, env = process.env) {
+    const defaults = PROVIDERS[provider];
+    if (!defaults) {
+      throw new Error(`Unknown provider "${provider}". Expected ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    const prefix = defaults.envPrefix;
+    const limits = {
+      dailyUsd: envLimit(env[`${prefix}_DAILY_BUDGET_USD`], defaults.dailyUsd),
+      monthlyUsd: envLimit(env[`${prefix}_MONTHLY_BUDGET_USD`], defaults.monthlyUsd),
+      dailyCalls: envLimit(env[`${prefix}_DAILY_CALL_LIMIT`]),
+      monthlyCalls: envLimit(env[`${prefix}_MONTHLY_CALL_LIMIT`])
+    };
+    // MAX_GPT_CALLS_PER_RUN used to cap GPT calls until the next restart; it now caps them per day
+    if (provider === 'openai' && limits.dailyCalls === null) {
+      limits.dailyCalls = envLimit(env.MAX_GPT_CALLS_PER_RUN);
+    }
+
+    return new ProviderBudget(database, provider, {
+      limits,
+      costPerCall: provider === 'zyte' ? envLimit(env.ZYTE_COST_PER_REQUEST, ZYTE_COST_PER_REQUEST) || 0 : 0,
+      circuitThreshold: envLimit(env.PROVIDER_CIRCUIT_THRESHOLD, CIRCUIT_THRESHOLD),
+      circuitCooldownMs: envLimit(env.PROVIDER_CIRCUIT_COOLDOWN_SECONDS, CIRCUIT_COOLDOWN_SECONDS) * 1000
+    });
+  }
+
+  windows() {
+    const now = this.now();
+    return { dayFrom: hourKey(now - DAY_MS + HOUR_MS), monthFrom: hourKey(now - MONTH_MS + HOUR_MS) };
+  }
+
+  // Spend so far; a database problem counts as nothing spent, so a hiccup there does not stop scraping
+  async usage() {
+    try {
+      return await this.database.getProviderUsage(this.provider, this.windows());
+    } catch (error) {
+      log.warn(`⚠️ Could not read ${this.label} usage:`, error.message);
+      return { day: { calls: 0, costUsd: 0 }, month: { calls: 0, costUsd: 0 } };
+    }
+  }
+
+  // Returns null when a call may go ahead, otherwise a BudgetError saying why (not thrown)
+  async check() {
+    const blocked = this.circuitBlock();
+    if (blocked) return blocked;
+
+    const { day, month } = await this.usage();
+    const { dailyUsd, monthlyUsd, dailyCalls, monthlyCalls } = this.limits;
+    // Hour buckets leave the window an hour at a time, so that is when to look again
+    const nextHour = new Date((Math.floor(this.now() / HOUR_MS) + 1) * HOUR_MS).toISOString();
+
+    if (dailyUsd !== null && day.costUsd >= dailyUsd) {
+      return new BudgetError(this.provider, 'daily-budget', `${this.label} daily budget of ${money(dailyUsd)} is used up`, nextHour);
+    }
+    if (monthlyUsd !== null && month.costUsd >= monthlyUsd) {
+      return new BudgetError(this.provider, 'monthly-budget', `${this.label} 30-day budget of ${money(monthlyUsd)} is used up`, nextHour);
+    }
+    if (dailyCalls !== null && day.calls >= dailyCalls) {
+      return new BudgetError(this.provider, 'daily-calls', `${this.label} daily limit of ${dailyCalls} calls is used up`, nextHour);
+    }
+    if (monthlyCalls !== null && month.calls >= monthlyCalls) {
+      return new BudgetError(this.provider, 'monthly-calls', `${this.label} 30-day limit of ${monthlyCalls} calls is used up`, nextHour);
+    }
+    return null;
+  }
+
+  circuitBlock() {
+    const circuit = this.circuit;
+    if (circuit.state === 'open' && this.now() >= circuit.openUntil) {
+      this.setCircuit('half-open');
+    }
+    if (circuit.state === 'open' || (circuit.state === 'half-open' && circuit.trialInFlight)) {
+      const retryAt = circuit.state === 'open' ? new Date(circuit.openUntil).toISOString() : null;
+      return new BudgetError(this.provider, 'circuit-open', `${this.label} is paused after repeated errors (${circuit.lastFailure})`, retryAt);
+    }
+    return null;
+  }
+
+  // Runs one paid call. Throws BudgetError without calling when the budget is spent or the circuit is open.
+  // cost: USD for the call, or a function of its result (OpenAI reports tokens); defaults to costPerCall.
+  // Checks and calls are not atomic, so concurrent scrapes can overshoot a limit by a call or two.
+  async run(call, { cost = this.costPerCall } = {}) {
+    const blocked = await this.check();
+    if (blocked) {
+      recordProviderSkip(this.provider, blocked.reason);
+      throw blocked;
+    }
+
+    const trial = this.circuit.state === 'half-open';
+    if (trial) this.circuit.trialInFlight = true;
+
+    let result;
+    try {
+      result = await call();
+    } catch (error) {
+      this.recordOutcome(error, trial);
+      await this.record(0);
+      throw error;
+    }
+
+    this.recordOutcome(null, trial);
+    await this.record(typeof cost === 'function' ? cost(result) : cost);
+    return result;
+  }
+
+  // Failed calls count towards the call limits but not the dollars; providers do not bill them
+  async record(costUsd) {
+    try {
+      await this.database.recordProviderUsage(this.provider, { hour: hourKey(this.now()), calls: 1, costUsd: costUsd || 0 });
+    } catch (error) {
+      log.warn(`⚠️ Could not record ${this.label} usage:`, error.message);
+    }
+  }
+
+  recordOutcome(error, trial) {
+    const circuit = this.circuit;
+    if (trial) circuit.trialInFlight = false;
+
+    const status = failureStatus(error);
+    // Timeouts and our own 4xx mistakes say nothing either way about the provider's health
+    if (error && !status) return;
+    if (!status) {
+      circuit.failures = 0;
+      if (circuit.state !== 'closed') {
+        log.info(`✅ ${this.label} is answering again, circuit closed`);
+        this.setCircuit('closed');
+      }
+      return;
+    }
+
+    circuit.failures += 1;
+    circuit.lastFailure = `HTTP ${status}`;
+    if (trial || circuit.failures >= this.circuitThreshold) {
+      const cooldownMs = Math.max(this.circuitCooldownMs, retryAfterMs(error));
+      circuit.openUntil = this.now() + cooldownMs;
+      this.setCircuit('open');
+      log.warn(`🔌 ${this.label} circuit open for ${Math.round(cooldownMs / 1000)}s after ${circuit.failures} failures in a row`, {
+        provider: this.provider,
+        lastStatus: status
+      });
+    }
+  }
+
+  setCircuit(state) {
+    this.circuit.state = state;
+    if (state === 'closed') this.circuit.openUntil = null;
+    setProviderCircuit(this.provider, state);
+  }
+
+  // For the admin page: limits, spend in both windows and the circuit state
+  async status() {
+    const blocked = await this.check();
+    const { day, month } = await this.usage();
+    return {
+      provider: this.provider,
+      label: this.label,
+      available: !blocked,
+      blockedReason: blocked ? blocked.reason : null,
+      blockedMessage: blocked ? blocked.message : null,
+      retryAt: blocked ? blocked.retryAt : null,
+      limits: this.limits,
+      costPerCall: this.costPerCall || null,
+      usage: {
+        day: { calls: day.calls, costUsd: Math.round(day.costUsd * 10000) / 10000 },
+        month: { calls: month.calls, costUsd: Math.round(month.costUsd * 10000) / 10000 }
+      },
+      circuit: {
+        state: this.circuit.state,
+        failures: this.circuit.failures,
+        lastFailure: this.circuit.lastFailure,
+        openUntil: this.circuit.openUntil ? new Date(this.circuit.openUntil).toISOString() : null
+      }
+    };
+  }
+
+  // Hour buckets older than the 30-day window are no longer read
+  async purgeExpired() {
+    return this.database.purgeProviderUsage(this.provider, hourKey(this.now() - MONTH_MS - DAY_MS));
+  }
+}
+
+ProviderBudget.BudgetError = BudgetError;
+ProviderBudget.PROVIDERS = PROVIDERS;
+
+module.exports = ProviderBudget;
@@ -0,0 +1,110 @@
+// backend/quoteEmail.js - Quote confirmation email sent when a draft order is created
+// Itemised the same way as the draft order and the complete-order page (item, duty, wharfage, surcharges,
+// shipping & handling), so what the customer reads adds up to what Shopify asks them to pay.
+const { formatMoney } = require('./currency');
+
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function usd(amount) {
+  return formatMoney(amount, 'USD');
+}
+
+// Cost rows for one quoted item: [{ label, amount }]
+function itemRows(item) {
+  return [
+    { label: `${item.quantity} × ${usd(item.unitPrice)}`, amount: item.itemCost },
+    { label: `Import duty (${(item.duty.rate * 100).toFixed(1)}%)`, amount: item.duty.amount },
+    { label: `Wharfage (${(item.wharfage.rate * 100).toFixed(1)}%)`, amount: item.wharfage.amount },
+    ...item.surcharges.map(surcharge => ({ label: surcharge.label, amount: surcharge.amount })),
+    { label: 'Shipping & handling to Bermuda', amount: item.shippingAndHandling }
+  ].filter(row => row.amount > 0);
+}
+
+function totalRows(quote) {
+  const { totals } = quote;
+  return [
+    { label: 'Items', amount: totals.totalItemCost },
+    { label: 'Bermuda import duty', amount: totals.dutyAmount },
+    { label: 'Wharfage', amount: totals.wharfageAmount },
+    { label: 'US delivery fees', amount: totals.totalDeliveryFees },
+    { label: 'Special handling', amount: totals.surchargeAmount },
+    { label: 'Shipping & handling', amount: totals.shippingHandlingAndMargin }
+  ].filter(row => row.amount > 0);
+}
+
+// quote: calculateQuote result; draftOrder: { name, invoiceUrl }
+// Returns { subject, text, html }
+function buildQuoteConfirmationEmail({ quote, customer, quoteId = null, draftOrder = {} }) {
+  const firstName = (customer.name || '').split(' ')[0] || 'there';
+  const reference = draftOrder.name || quoteId || 'your order';
+  const bmdTotal = quote.localCurrency ? formatMoney(quote.localCurrency.grandTotal, 'BMD') : null;
+  const subject = `Your Bermuda import quote ${reference} - ${usd(quote.totals.grandTotal)}`;
+
+  const text = [
+    `Hi ${firstName},`,
+    '',
+    `Thanks for using the SDL Instant Import calculator. Here is the landed cost for ${reference}, delivered to Bermuda.`,
+    '',
+    ...quote.items.flatMap(item => [
+      `${item.name}${item.variant ? ` (${item.variant})` : ''}`,
+      `  ${item.retailer}${item.url ? `: ${item.url}` : ''}`,
+      ...itemRows(item).map(row => `  ${row.label}: ${usd(row.amount)}`),
+      `  Item total: ${usd(item.total)}`,
+      ''
+    ]),
+    ...quote.deliveryFees.map(fee => `${fee.retailer} US delivery fee: ${usd(fee.amount)}`),
+    quote.deliveryFees.length > 0 ? '' : null,
+    ...totalRows(quote).map(row => `${row.label}: ${usd(row.amount)}`),
+    `Total: ${usd(quote.totals.grandTotal)} USD${bmdTotal ? ` (${bmdTotal})` : ''}`,
+    '',
+    draftOrder.invoiceUrl ? `Pay securely here: ${draftOrder.invoiceUrl}` : 'We will email your invoice shortly.',
+    '',
+    quoteId ? `Quote reference: ${quoteId}` : null,
+    'Reply to this email if anything looks wrong and we will sort it out before we buy.',
+    '',
+    'SDL Instant Import'
+  ].filter(line => line !== null).join('\n');
+
+  const moneyCell = amount => `<td style="text-align:right;padding:2px 0;">${escapeHtml(usd(amount))}</td>`;
+  const row = (label, amount, style = '') => `<tr style="${style}"><td style="padding:2px 12px 2px 0;">${escapeHtml(label)}</td>${moneyCell(amount)}</tr>`;
+
+  const html = `
+<div style="font-family:Arial,sans-serif;color:#1f2937;max-width:600px;">
+  <p>Hi ${escapeHtml(firstName)},</p>
+  <p>Thanks for using the SDL Instant Import calculator. Here is the landed cost for <strong>${escapeHtml(reference)}</strong>, delivered to Bermuda.</p>
+  ${quote.items.map(item => `
+  <div style="border:1px solid #e5e7eb;border-radius:6px;padding:12px;margin-bottom:12px;">
+    <div style="font-weight:bold;">${escapeHtml(item.name)}</div>
+    ${item.variant ? `<div style="color:#4b5563;font-size:14px;">${escapeHtml(item.variant)}</div>` : ''}
+    <div style="font-size:13px;">${escapeHtml(item.retailer)}${item.url ? ` &middot; <a href="${escapeHtml(item.url)}">view product</a>` : ''}</div>
+    <table style="width:100%;font-size:14px;margin-top:8px;border-collapse:collapse;">
+      ${itemRows(item).map(entry => row(entry.label, entry.amount)).join('')}
+      ${row('Item total', item.total, 'font-weight:bold;border-top:1px solid #e5e7eb;')}
+    </table>
+  </div>`).join('')}
+  <table style="width:100%;font-size:14px;border-collapse:collapse;">
+    ${quote.deliveryFees.map(fee => row(`${fee.retailer} US delivery fee`, fee.amount, 'color:#4b5563;')).join('')}
+    ${totalRows(quote).map(entry => row(entry.label, entry.amount)).join('')}
+    ${row('Total (USD)', quote.totals.grandTotal, 'font-weight:bold;font-size:16px;border-top:2px solid #1f2937;')}
+    ${bmdTotal ? `<tr><td style="color:#4b5563;">In Bermuda dollars</td><td style="text-align:right;color:#4b5563;">${escapeHtml(bmdTotal)}</td></tr>` : ''}
+  </table>
+  ${draftOrder.invoiceUrl
+    ? `<p style="margin:20px 0;"><a href="${escapeHtml(draftOrder.invoiceUrl)}" style="background:#16a34a;color:#fff;padding:10px 20px;border-radius:6px;text-decoration:none;font-weight:bold;">Pay your invoice</a></p>`
+    : '<p>We will email your invoice shortly.</p>'}
+  ${quoteId ? `<p style="font-size:12px;color:#6b7280;">Quote reference: ${escapeHtml(quoteId)}</p>` : ''}
+  <p style="font-size:13px;">Reply to this email if anything looks wrong and we will sort it out before we buy.</p>
+  <p>SDL Instant Import</p>
+</div>`;
+
+  return { subject, text, html };
+}
+
+module.exports = {
+  buildQuoteConfirmationEmail
+};
@@ -0,0 +1,401 @@
+// backend/quoteEngine.js - Server-authoritative landed cost calculation
+// Every page (customer calculator, admin calculator, draft orders) prices a cart through here
+// so a customer and a staff member always see the same totals.
+const { estimateBoxes, hasValidDimensions, cubicFeetOf } = require('./boxEstimator');
+const { resolveTariff } = require('./tariffs');
+const { consolidateFreight } = require('./consolidation');
+const { SURCHARGE_DEFAULTS, resolveSurchargeToggles, evaluateSurcharges } = require('./surcharges');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'quote-engine' });
+
+const DEFAULT_RATES = {
+  dutyRate: 0.25,                  // Standard Bermuda duty on item cost (see tariffs.js for other rates)
+  wharfageRate: 0.015,             // Wharfage on item cost, charged on every import
+  freightRatePerCubicFoot: 8,      // Ocean freight per cubic foot
+  minimumFreight: 15,              // Minimum freight charge per box
+  dimWeightDivisor: 166,           // Cubic inches per lb of dimensional weight
+  palletThresholdCubicFeet: 40,    // Consolidated carts with more carton volume than this ship on pallets
+  handlingFee: 15,                 // Handling fee per unit
+  marginRate: 0.20,                // SDL margin on the landed subtotal
+  noDimensionsFreightRate: 0.15,   // Freight as a share of price when we have no dimensions
+  minimumNoDimensionsFreight: 25,
+  surcharges: SURCHARGE_DEFAULTS    // Surcharge rules switched on, by code (see surcharges.js)
+};
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+function toNumber(value, fallback = 0) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+function resolveRates(overrides = {}) {
+  const rates = { ...DEFAULT_RATES };
+  Object.keys(DEFAULT_RATES).forEach(key => {
+    if (key === 'surcharges') return;
+    const value = parseFloat(overrides[key]);
+    if (Number.isFinite(value) && value >= 0) {
+      rates[key] = value;
+    }
+  });
+  rates.surcharges = resolveSurchargeToggles(overrides.surcharges);
+  return rates;
+}
+
+// Freight for a single unit, with one handling fee. Ocean freight is priced per cubic foot, but a unit
+// heavier than its dimensional weight (carton volume ÷ divisor) is billed as if its cartons were big enough
+// to carry that weight, so dense goods pay their share.
+// weight is the actual (or estimated) weight of one unit in lbs.
+function calculateFreight(boxes, { price = 0, weight = null } = {}, rates = DEFAULT_RATES) {
+  const validBoxes = (boxes || []).filter(hasValidDimensions);
+
+  if (validBoxes.length === 0) {
+    // No dimensions available, use a default based on price
+    const base = Math.max(rates.minimumNoDimensionsFreight, toNumber(price) * rates.noDimensionsFreightRate);
+    return {
+      cubicFeet: 0,
+      billableCubicFeet: 0,
+      weight: null,
+      base: roundMoney(base),
+      handling: 0,
+      total: roundMoney(base),
+      basis: 'price'
+    };
+  }
+
+  const cubicFeet = validBoxes.reduce((total, box) => total + cubicFeetOf(box), 0);
+  const divisor = rates.dimWeightDivisor;
+  const actualWeight = toNumber(weight, 0);
+  const dimensionalWeight = divisor > 0 ? (cubicFeet * 1728) / divisor : 0;
+  const billedOnWeight = divisor > 0 && actualWeight > dimensionalWeight;
+
+  let base;
+  let billableCubicFeet;
+  if (billedOnWeight) {
+    billableCubicFeet = (actualWeight * divisor) / 1728;
+    base = Math.max(rates.minimumFreight * validBoxes.length, billableCubicFeet * rates.freightRatePerCubicFoot);
+  } else {
+    billableCubicFeet = cubicFeet;
+    base = validBoxes.reduce((total, box) => {
+      return total + Math.max(rates.minimumFreight, cubicFeetOf(box) * rates.freightRatePerCubicFoot);
+    }, 0);
+  }
+
+  return {
+    cubicFeet: Math.round(cubicFeet * 1000) / 1000,
+    billableCubicFeet: Math.round(billableCubicFeet * 1000) / 1000,
+    weight: {
+      actual: actualWeight > 0 ? Math.round(actualWeight * 10) / 10 : null,
+      dimensional: Math.round(dimensionalWeight * 10) / 10,
+      billable: Math.round(Math.max(actualWeight, dimensionalWeight) * 10) / 10,
+      divisor,
+      basis: billedOnWeight ? 'actual' : 'dimensional'
+    },
+    base: roundMoney(base),
+    handling: roundMoney(rates.handlingFee),
+    total: roundMoney(base + rates.handlingFee),
+    basis: billedOnWeight ? 'weight' : 'volume'
+  };
+}
+
+// Per-unit shipping breakdown shown on scraped products; takes the cartons from boxEstimator (or a single box)
+function calculateShipping(boxes, weight, price, rates = DEFAULT_RATES) {
+  const freight = calculateFreight(Array.isArray(boxes) ? boxes : (boxes ? [boxes] : []), { price, weight }, rates);
+
+  if (freight.basis !== 'price') {
+    const { weight: weights } = freight;
+    log.debug(`   🧮 Shipping: ${freight.cubicFeet.toFixed(3)} ft³, ${weights.actual || '?'} lbs actual vs ${weights.dimensional} lbs dimensional → ` +
+                `billed on ${freight.basis} $${freight.base.toFixed(2)} freight + $${freight.handling.toFixed(2)} handling = $${freight.total.toFixed(2)}`);
+  }
+
+  return freight;
+}
+
+// Cartons already on the item (scraped packaging) are used as-is;
+// bare product dimensions are packed here so padding rules apply the same way everywhere
+function packItem(item) {
+  if (Array.isArray(item.boxes) && item.boxes.length > 0) {
+    const boxes = item.boxes.filter(hasValidDimensions);
+    return {
+      boxes,
+      packaging: {
+        cartonCount: boxes.length,
+        billableCubicFeet: Math.round(boxes.reduce((total, box) => total + cubicFeetOf(box), 0) * 1000) / 1000,
+        confidence: item.packagingConfidence || null,
+        method: 'supplied'
+      }
+    };
+  }
+
+  const packaging = estimateBoxes({
+    dimensions: item.dimensions,
+    category: item.category || 'general',
+    retailer: item.retailer,
+    name: item.name,
+    price: toNumber(item.price),
+    source: item.dimensionsSource
+  });
+
+  if (!packaging) {
+    return { boxes: [], packaging: null };
+  }
+
+  return {
+    boxes: packaging.cartons,
+    packaging: {
+      cartonCount: packaging.cartonCount,
+      billableCubicFeet: packaging.billableCubicFeet,
+      confidence: packaging.confidence,
+      method: packaging.method
+    }
+  };
+}
+
+function normalizeItem(item, index) {
+  const quantity = Math.max(1, Math.min(99, parseInt(item.quantity, 10) || 1));
+  const { boxes, packaging } = packItem(item);
+
+  return {
+    id: item.id != null ? String(item.id) : String(index),
+    name: item.name || 'Unnamed product',
+    url: item.url || null,
+    // Our scraped_products id, set by the server when the item was priced from a scrape record (price audit key)
+    scrapedProductId: item.scrapedProductId != null ? String(item.scrapedProductId) : null,
+    retailer: item.retailer || 'Unknown',
+    category: item.category || 'general',
+    variant: item.variant || null,
+    image: item.image || null,
+    hsCode: item.hsCode || null,
+    originalPrice: item.originalPrice && item.originalCurrency ? {
+      amount: toNumber(item.originalPrice),
+      currency: item.originalCurrency,
+      exchangeRate: toNumber(item.exchangeRate, null)
+    } : null,
+    unitPrice: Math.max(0, toNumber(item.price)),
+    weight: toNumber(item.weight, null),
+    weightSource: item.weightSource || null,
+    // The item itself, for the oversize surcharges; freight is charged on the boxes
+    dimensions: hasValidDimensions(item.dimensions) ? item.dimensions : null,
+    quantity,
+    boxes,
+    packaging,
+    overrides: item.overrides || {},
+    // When the page changed a value, { price, freight, dutyRate: ISO time }; kept for the price audit
+    edits: item.edits && typeof item.edits === 'object' ? item.edits : null
+  };
+}
+
+function unitFreightFor(item, rates) {
+  return calculateFreight(item.boxes, { price: item.unitPrice, weight: item.weight }, rates);
+}
+
+function hasFreightOverride(item) {
+  const freightOverride = toNumber(item.overrides.freight, null);
+  return freightOverride !== null && freightOverride >= 0;
+}
+
+// allocation: this item's share { base, handling } of a consolidated shipment, replacing per-item freight
+function quoteItem(item, rates, allocation = null) {
+  const itemCost = item.unitPrice * item.quantity;
+
+  const unitFreight = unitFreightFor(item, rates);
+  const isOverridden = hasFreightOverride(item);
+  const freightOverride = toNumber(item.overrides.freight, null);
+
+  let freightBase = isOverridden ? freightOverride * item.quantity : unitFreight.base * item.quantity;
+  let handling = isOverridden ? 0 : unitFreight.handling * item.quantity;
+  if (allocation) {
+    freightBase = allocation.base;
+    handling = allocation.handling;
+  }
+
+  const tariff = resolveTariff(item, rates.dutyRate);
+  const dutyOverride = toNumber(item.overrides.dutyRate, null);
+  const hasDutyOverride = dutyOverride !== null && dutyOverride >= 0;
+  const dutyRate = hasDutyOverride ? dutyOverride : tariff.dutyRate;
+  const duty = itemCost * dutyRate;
+  const wharfage = itemCost * rates.wharfageRate;
+
+  const surcharges = evaluateSurcharges(item, rates.surcharges);
+  const surchargeAmount = surcharges.reduce((total, surcharge) => total + surcharge.amount, 0);
+
+  const margin = (itemCost + duty + wharfage + freightBase + handling + surchargeAmount) * rates.marginRate;
+
+  return {
+    id: item.id,
+    name: item.name,
+    url: item.url,
+    scrapedProductId: item.scrapedProductId,
+    retailer: item.retailer,
+    category: item.category,
+    variant: item.variant,
+    image: item.image,
+    quantity: item.quantity,
+    unitPrice: roundMoney(item.unitPrice),
+    originalPrice: item.originalPrice,
+    itemCost: roundMoney(itemCost),
+    cubicFeet: Math.round(unitFreight.cubicFeet * item.quantity * 1000) / 1000,
+    billableCubicFeet: Math.round(unitFreight.billableCubicFeet * item.quantity * 1000) / 1000,
+    packaging: item.packaging,
+    hsCode: tariff.hsCode,
+    duty: {
+      rate: dutyRate,
+      amount: roundMoney(duty),
+      source: hasDutyOverride ? 'override' : tariff.source,
+      description: hasDutyOverride ? 'Staff override' : tariff.description,
+      tariffRate: tariff.dutyRate
+    },
+    wharfage: { rate: rates.wharfageRate, amount: roundMoney(wharfage) },
+    freight: {
+      basis: isOverridden ? 'override' : (allocation ? 'consolidated' : unitFreight.basis),
+      weight: unitFreight.weight ? { ...unitFreight.weight, source: item.weightSource } : null,
+      unitCost: roundMoney(isOverridden ? freightOverride : (freightBase + handling) / item.quantity),
+      base: roundMoney(freightBase),
+      handling: roundMoney(handling),
+      total: roundMoney(freightBase + handling),
+      // What the override replaced
+      calculatedTotal: isOverridden ? roundMoney(unitFreight.total * item.quantity) : null
+    },
+    surcharges,
+    surchargeAmount: roundMoney(surchargeAmount),
+    margin: roundMoney(margin),
+    shippingAndHandling: roundMoney(freightBase + handling + margin),
+    total: roundMoney(itemCost + duty + wharfage + freightBase + handling + surchargeAmount + margin),
+    edits: item.edits
+  };
+}
+
+// cart: { items: [{ id, name, url, retailer, category, hsCode, price, quantity, weight, dimensions | boxes, overrides }],
+//         deliveryFees: { [retailer]: amount }, freightMode: 'per-item' | 'consolidated' }
+// In consolidated mode every item with cartons ships as one shipment: one minimum, tiered handling,
+// and the shipment cost allocated back to the items by billable volume.
+// dimensionsSource ('product' | 'package' | 'estimated') tells the box estimator whether to pad bare dimensions
+// Prices are USD; a foreign-priced item also carries originalPrice, originalCurrency and exchangeRate for display
+// Surcharges (surcharges.js) are charged per item and listed as one named line per rule
+// options: { rateCard: { version, effectiveFrom, rates }, rates: per-quote overrides on top of the card,
+//            bmdPerUsd: Bermuda dollars per USD for the local-currency total }
+function calculateQuote(cart = {}, options = {}) {
+  const rateCard = options.rateCard || null;
+  const overrides = options.rates || {};
+  const cardRates = rateCard ? rateCard.rates : {};
+  const rates = resolveRates({
+    ...cardRates,
+    ...overrides,
+    surcharges: { ...cardRates.surcharges, ...overrides.surcharges }
+  });
+  const normalizedItems = (cart.items || [])
+    .map(normalizeItem)
+    .filter(item => item.unitPrice > 0);
+
+  // Items priced without dimensions or with a staff freight override keep their own freight
+  let consolidation = null;
+  const allocations = new Map();
+  if (cart.freightMode === 'consolidated') {
+    const shipped = normalizedItems.filter(item => !hasFreightOverride(item) && item.boxes.length > 0);
+    if (shipped.length > 0) {
+      const { allocations: shares, ...summary } = consolidateFreight(shipped.map(item => ({
+        boxes: item.boxes,
+        quantity: item.quantity,
+        weight: item.weight,
+        billableCubicFeet: unitFreightFor(item, rates).billableCubicFeet * item.quantity
+      })), rates);
+      shipped.forEach((item, index) => allocations.set(item, shares[index]));
+      consolidation = summary;
+    }
+  }
+
+  const items = normalizedItems.map(item => quoteItem(item, rates, allocations.get(item)));
+
+  const retailersInCart = new Set(items.map(item => item.retailer));
+  const deliveryFees = Object.entries(cart.deliveryFees || {})
+    .filter(([retailer]) => retailersInCart.has(retailer))
+    .map(([retailer, amount]) => ({ retailer, amount: roundMoney(Math.max(0, toNumber(amount))) }))
+    .filter(fee => fee.amount > 0);
+
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  const totalItemCost = sum(items.map(item => item.itemCost));
+  const dutyAmount = sum(items.map(item => item.duty.amount));
+  const wharfageAmount = sum(items.map(item => item.wharfage.amount));
+  const totalDeliveryFees = sum(deliveryFees.map(fee => fee.amount));
+  const freightAmount = sum(items.map(item => item.freight.base));
+  const handlingAmount = sum(items.map(item => item.freight.handling));
+  const surchargeAmount = sum(items.map(item => item.surchargeAmount));
+  const deliveryMargin = totalDeliveryFees * rates.marginRate;
+  const marginAmount = sum(items.map(item => item.margin)) + deliveryMargin;
+  const totalShippingCost = freightAmount + handlingAmount;
+  const subtotal = totalItemCost + dutyAmount + wharfageAmount + totalDeliveryFees + totalShippingCost + surchargeAmount;
+
+  // One line per surcharge rule, summed across the items it applies to
+  const surchargeLines = [];
+  items.forEach(item => item.surcharges.forEach(surcharge => {
+    const line = surchargeLines.find(candidate => candidate.code === `surcharge:${surcharge.code}`);
+    if (line) {
+      line.amount = roundMoney(line.amount + surcharge.amount);
+    } else {
+      surchargeLines.push({ code: `surcharge:${surcharge.code}`, label: surcharge.label, amount: surcharge.amount });
+    }
+  }));
+  const grandTotal = subtotal + marginAmount;
+
+  const lines = [
+    { code: 'items', label: 'Total Item Cost', amount: roundMoney(totalItemCost) },
+    { code: 'duty', label: 'Bermuda Import Duty', amount: roundMoney(dutyAmount) },
+    { code: 'wharfage', label: `Wharfage (${(rates.wharfageRate * 100).toFixed(1)}%)`, amount: roundMoney(wharfageAmount) },
+    { code: 'delivery', label: 'USA Delivery Fees', amount: roundMoney(totalDeliveryFees) },
+    { code: 'freight', label: 'Ocean Freight to Bermuda', amount: roundMoney(freightAmount) },
+    { code: 'handling', label: 'Handling', amount: roundMoney(handlingAmount) },
+    ...surchargeLines,
+    { code: 'margin', label: 'Service Margin', amount: roundMoney(marginAmount) }
+  ];
+
+  return {
+    currency: 'USD',
+    calculatedAt: new Date().toISOString(),
+    rateCard: rateCard ? {
+      version: rateCard.version,
+      effectiveFrom: rateCard.effectiveFrom,
+      overridden: Object.keys(overrides).length > 0
+    } : null,
+    rates,
+    freightMode: consolidation ? 'consolidated' : 'per-item',
+    consolidation,
+    items,
+    deliveryFees,
+    lines,
+    localCurrency: options.bmdPerUsd ? {
+      code: 'BMD',
+      perUsd: options.bmdPerUsd,
+      grandTotal: roundMoney(grandTotal * options.bmdPerUsd)
+    } : null,
+    totals: {
+      itemCount: sum(items.map(item => item.quantity)),
+      totalItemCost: roundMoney(totalItemCost),
+      dutyAmount: roundMoney(dutyAmount),
+      wharfageAmount: roundMoney(wharfageAmount),
+      totalDeliveryFees: roundMoney(totalDeliveryFees),
+      freightAmount: roundMoney(freightAmount),
+      handlingAmount: roundMoney(handlingAmount),
+      surchargeAmount: roundMoney(surchargeAmount),
+      marginAmount: roundMoney(marginAmount),
+      totalShippingCost: roundMoney(totalShippingCost),
+      // Freight, handling and margin: the "Shipping & handling" summary line. Wharfage and surcharges are not in
+      // it; every summary lists them on lines of their own
+      shippingHandlingAndMargin: roundMoney(totalShippingCost + marginAmount),
+      subtotal: roundMoney(subtotal),
+      grandTotal: roundMoney(grandTotal)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_RATES,
+  calculateQuote,
+  calculateFreight,
+  calculateShipping,
+  resolveRates,
+  roundMoney
+};
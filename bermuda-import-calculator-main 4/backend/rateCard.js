@@ -0,0 +1,147 @@
+// backend/rateCard.js - Versioned rate card that every quote is priced with
+// Cards are never edited in place: publishing creates a new version with an effective date,
+// so a stored quote can always be re-priced with the exact rates it was given.
+const { DEFAULT_RATES } = require('./quoteEngine');
+const { SURCHARGE_DEFAULTS } = require('./surcharges');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'rate-card' });
+
+// Rates expressed as a fraction of a price must stay between 0 and 1
+const FRACTION_RATES = ['dutyRate', 'wharfageRate', 'marginRate', 'noDimensionsFreightRate'];
+
+const SEED_EFFECTIVE_FROM = new Date(0).toISOString();
+
+class RateCardError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RateCardError';
+    this.statusCode = statusCode;
+  }
+}
+
+function validateRates(rates) {
+  if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+    throw new RateCardError('Rates must be an object');
+  }
+
+  const unknown = Object.keys(rates).filter(key => !(key in DEFAULT_RATES));
+  if (unknown.length > 0) {
+    throw new RateCardError(`Unknown rate(s): ${unknown.join(', ')}`);
+  }
+
+  const validated = {};
+  Object.entries(rates).forEach(([key, value]) => {
+    if (key === 'surcharges') {
+      validated.surcharges = validateSurchargeToggles(value);
+      return;
+    }
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new RateCardError(`${key} must be a number of zero or more`);
+    }
+    if (key === 'dimWeightDivisor' && number === 0) {
+      throw new RateCardError('dimWeightDivisor must be above zero');
+    }
+    if (FRACTION_RATES.includes(key) && number > 1) {
+      throw new RateCardError(`${key} is a fraction (0.25 for 25%), got ${number}`);
+    }
+    validated[key] = number;
+  });
+
+  return validated;
+}
+
+// Surcharge rules are switched on and off by code: { oversize: false, 'lithium-battery': true }
+function validateSurchargeToggles(toggles) {
+  if (!toggles || typeof toggles !== 'object' || Array.isArray(toggles)) {
+    throw new RateCardError('surcharges must be an object of rule codes to true/false');
+  }
+
+  Object.entries(toggles).forEach(([code, enabled]) => {
+    if (!(code in SURCHARGE_DEFAULTS)) {
+      throw new RateCardError(`Unknown surcharge rule "${code}"`);
+    }
+    if (typeof enabled !== 'boolean') {
+      throw new RateCardError(`Surcharge "${code}" must be true or false`);
+    }
+  });
+
+  return { ...toggles };
+}
+
+class RateCards {
+  constructor(database) {
+    this.database = database;
+    this.seedPromise = null;
+  }
+
+  // The card in force at the given time; seeds version 1 from the built-in defaults on first use
+  async getActive(at = new Date()) {
+    const card = await this.database.getEffectiveRateCard(at.toISOString());
+    if (card) return card;
+    return this.seed();
+  }
+
+  async getVersion(version) {
+    const card = await this.database.getRateCard(version);
+    if (!card) {
+      throw new RateCardError(`Rate card version ${version} not found`, 404);
+    }
+    return card;
+  }
+
+  async list(limit) {
+    await this.getActive();
+    return this.database.listRateCards(limit);
+  }
+
+  // Partial rate changes are applied on top of the card currently in force
+  async publish({ rates, effectiveFrom, note, createdBy } = {}) {
+    const changes = validateRates(rates);
+    if (Object.keys(changes).length === 0) {
+      throw new RateCardError('At least one rate is required');
+    }
+
+    const effective = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (Number.isNaN(effective.getTime())) {
+      throw new RateCardError(`Invalid effective date "${effectiveFrom}"`);
+    }
+
+    const current = await this.getActive();
+    const card = await this.database.insertRateCard({
+      rates: {
+        ...DEFAULT_RATES,
+        ...current.rates,
+        ...changes,
+        surcharges: { ...SURCHARGE_DEFAULTS, ...current.rates.surcharges, ...changes.surcharges }
+      },
+      effectiveFrom: effective.toISOString(),
+      note: note ? String(note).slice(0, 500) : null,
+      createdBy: createdBy || null
+    });
+
+    log.info(`💲 Rate card v${card.version} published, effective ${card.effectiveFrom}`);
+    return card;
+  }
+
+  seed() {
+    if (!this.seedPromise) {
+      this.seedPromise = this.database.getEffectiveRateCard(SEED_EFFECTIVE_FROM)
+        .then(existing => existing || this.database.insertRateCard({
+          rates: { ...DEFAULT_RATES },
+          effectiveFrom: SEED_EFFECTIVE_FROM,
+          note: 'Initial rates',
+          createdBy: 'system'
+        }))
+        .finally(() => {
+          this.seedPromise = null;
+        });
+    }
+    return this.seedPromise;
+  }
+}
+
+RateCards.RateCardError = RateCardError;
+
+module.exports = RateCards;
@@ -0,0 +1,405 @@
+// backend/retailers.js - Retailer registry: one adapter per retailer holding everything we know about it
+// The scraper, GPT parser, adaptive scraper and frontend (via GET /api/retailers) all read from here.
+const { URL } = require('url');
+
+const GENERIC_PROMPT_HINTS = `CRITICAL - ONLY use SALE/CURRENT prices. Look for prices marked as "sale", "now", "current", or highlighted in red/bold. COMPLETELY IGNORE regular/list/was prices and financing options.`;
+
+// Query parameters that never change which product a URL points at
+const TRACKING_PARAMS = [
+  /^utm_/i, /^gclid$/i, /^gbraid$/i, /^wbraid$/i, /^fbclid$/i, /^msclkid$/i,
+  /^ref$/i, /^ref_$/i, /^tag$/i, /^affid$/i, /^clickid$/i, /^cjevent$/i, /^irgwc$/i
+];
+
+function stripTrackingParams(url, keepParams = null) {
+  const parsed = new URL(url);
+  parsed.hash = '';
+
+  const entries = Array.from(parsed.searchParams.entries())
+    .filter(([key]) => keepParams ? keepParams.includes(key) : !TRACKING_PARAMS.some(pattern => pattern.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  parsed.search = '';
+  entries.forEach(([key, value]) => parsed.searchParams.append(key, value));
+
+  parsed.hostname = parsed.hostname.toLowerCase();
+  if (parsed.pathname.length > 1) {
+    parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+  }
+
+  return parsed.toString();
+}
+
+// Only the listed query parameters select a variant; everything else is dropped
+function keepOnly(...params) {
+  return (url) => stripTrackingParams(url, params);
+}
+
+function canonicalizeAmazonUrl(url) {
+  const parsed = new URL(url);
+  const asinMatch = parsed.pathname.match(/\/(?:dp|gp\/product|gp\/aw\/d)\/([A-Z0-9]{10})/i);
+  if (asinMatch) {
+    return `${parsed.protocol}//${parsed.hostname.toLowerCase()}/dp/${asinMatch[1].toUpperCase()}`;
+  }
+  return stripTrackingParams(url);
+}
+
+// IKEA multi-box rules: how many flat-packs a product type usually ships in, by price tier
+const IKEA_MULTI_BOX_RULES = [
+  {
+    type: 'Bed Frame',
+    pattern: /\b(bed|frame|headboard|footboard)\b/,
+    tiers: [
+      { minPrice: 400, boxes: 4, confidence: 'high' },   // King/Queen beds
+      { minPrice: 200, boxes: 3, confidence: 'medium' }, // Full/Double beds
+      { minPrice: 0, boxes: 2, confidence: 'medium' }    // Twin beds
+    ]
+  },
+  {
+    type: 'Wardrobe/Storage',
+    pattern: /\b(wardrobe|armoire|closet|pax)\b/,
+    tiers: [
+      { minPrice: 500, boxes: 6, confidence: 'high' },   // Large PAX systems
+      { minPrice: 300, boxes: 4, confidence: 'medium' },
+      { minPrice: 0, boxes: 3, confidence: 'medium' }
+    ]
+  },
+  {
+    type: 'Dining Set',
+    pattern: /\b(dining|table.*chair|chair.*table)\b/,
+    tiers: [
+      { minPrice: 0, boxes: 3, confidence: 'medium' }    // Table + chairs
+    ]
+  },
+  {
+    type: 'Sectional Sofa',
+    pattern: /\b(sectional|sofa.*section|corner.*sofa)\b/,
+    tiers: [
+      { minPrice: 800, boxes: 4, confidence: 'high' },
+      { minPrice: 0, boxes: 3, confidence: 'medium' }
+    ]
+  },
+  {
+    type: 'Kitchen System',
+    pattern: /\b(kitchen|cabinet.*set|knoxhult|enhet)\b/,
+    tiers: [
+      { minPrice: 1000, boxes: 8, confidence: 'medium' }, // Full kitchen
+      { minPrice: 500, boxes: 5, confidence: 'medium' },  // Partial kitchen
+      { minPrice: 0, boxes: 3, confidence: 'low' }
+    ]
+  },
+  {
+    type: 'Storage/Shelving',
+    pattern: /\b(bookshelf|shelf.*unit|billy|hemnes.*bookcase|kallax)\b/,
+    tiers: [
+      { minPrice: 200, boxes: 3, confidence: 'medium' },  // Tall/wide units
+      { minPrice: 0, boxes: 2, confidence: 'medium' }
+    ]
+  },
+  {
+    type: 'Desk/Office',
+    pattern: /\b(desk|workstation|office.*table)\b/,
+    tiers: [
+      { minPrice: 300, boxes: 2, confidence: 'medium' },
+      { minPrice: 0, boxes: 1, confidence: 'medium' }
+    ]
+  },
+  {
+    type: 'Furniture',
+    pattern: /.*/,
+    tiers: [
+      { minPrice: 300, boxes: 2, confidence: 'low' },     // Larger furniture usually ships in 2 boxes
+      { minPrice: 0, boxes: 1, confidence: 'low' }
+    ]
+  }
+];
+
+const ADAPTERS = [
+  {
+    key: 'amazon',
+    name: 'Amazon',
+    domains: ['amazon.com', 'amazon.ca', 'amazon.co.uk'],
+    promptHints: `For Amazon: CRITICAL - ONLY use SALE/DEAL prices. Look for prices in red, marked as "deal", "sale", or "current price". IGNORE struck-through list prices and subscription pricing.`,
+    selectors: {
+      title: ['#productTitle', 'h1.a-size-large', "h1[data-automation-id='product-title']"],
+      price: ['.a-price-whole', '.a-price .a-offscreen', '.a-price-range .a-price .a-offscreen'],
+      image: ['#landingImage', '.a-dynamic-image', 'img[data-old-hires]', '.imgTagWrapper img'],
+      variant: [
+        '.a-button-selected .a-button-text',
+        '.a-dropdown-prompt',
+        '#variation_color_name .selection',
+        '#variation_size_name .selection',
+        '#variation_style_name .selection',
+        '.swatches .a-button-selected span'
+      ]
+    },
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: canonicalizeAmazonUrl
+  },
+  {
+    key: 'wayfair',
+    name: 'Wayfair',
+    domains: ['wayfair.com', 'wayfair.ca'],
+    promptHints: `For Wayfair: CRITICAL - ONLY use SALE/CURRENT prices. Look for prices in red text, highlighted boxes, or marked as "sale", "current", "now". IGNORE regular prices, "was" prices, and financing options. The sale price is usually larger and more prominent near "Add to Cart".`,
+    selectors: {
+      title: ["h1[data-testid='product-title']", 'h1.ProductTitle'],
+      price: ['.MoneyPrice', "[data-testid='price']"],
+      image: ["img[data-testid='product-image']", '.ProductImages img'],
+      variant: [
+        '.SelectedOption',
+        '.option-selected',
+        '.selected-swatch',
+        "[data-testid='selected-option']",
+        '.ProductOptionPills .selected',
+        '.OptionPill.selected'
+      ]
+    },
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly('piid')
+  },
+  {
+    key: 'target',
+    name: 'Target',
+    domains: ['target.com'],
+    promptHints: `For Target: CRITICAL - ONLY use SALE/CURRENT prices. Look for red prices, "sale" prices, or "current" prices. IGNORE "reg" and "was" prices.`,
+    selectors: {
+      title: ["h1[data-test='product-title']", 'h1.ProductTitle'],
+      price: ["[data-test='product-price']", '.h-text-red'],
+      image: ['.ProductImages img', "img[data-test='product-image']"],
+      variant: ['.selected-variant', '.h-text-bold', "[data-test='selected-variant']", '.swatch--selected']
+    },
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly('preselect')
+  },
+  {
+    key: 'walmart',
+    name: 'Walmart',
+    domains: ['walmart.com', 'walmart.ca'],
+    promptHints: `For Walmart: CRITICAL - ONLY use CURRENT/NOW prices. Look for highlighted prices marked as "now", "current", or "sale". IGNORE "was" prices and financing options.`,
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly()
+  },
+  {
+    key: 'best buy',
+    name: 'Best Buy',
+    domains: ['bestbuy.com', 'bestbuy.ca'],
+    promptHints: `For Best Buy: CRITICAL - ONLY use SALE/CURRENT prices. Look for highlighted sale prices. IGNORE regular prices and membership pricing.`,
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly('skuId')
+  },
+  {
+    key: 'home depot',
+    name: 'Home Depot',
+    domains: ['homedepot.com', 'homedepot.ca'],
+    promptHints: `For Home Depot: CRITICAL - ONLY use SALE/SPECIAL prices. Look for highlighted special prices. IGNORE regular prices and bulk pricing.`,
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly()
+  },
+  {
+    key: 'lowes',
+    name: 'Lowes',
+    domains: ['lowes.com', 'lowes.ca'],
+    defaultDeliveryFee: 0
+  },
+  {
+    key: 'costco',
+    name: 'Costco',
+    domains: ['costco.com', 'costco.ca'],
+    defaultDeliveryFee: 0
+  },
+  {
+    key: 'macys',
+    name: 'Macys',
+    domains: ['macys.com'],
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly('ID')
+  },
+  {
+    key: 'ikea',
+    name: 'IKEA',
+    domains: ['ikea.com'],
+    promptHints: `For IKEA: CRITICAL - ONLY use MEMBER/SALE prices. Look for member prices or sale prices. IGNORE regular prices and service costs.`,
+    selectors: {
+      title: ['h1.notranslate', '.range-revamp-header-section h1', '.pip-header-section h1'],
+      price: ['.notranslate .range-revamp-price', '.pip-price-module__current-price', '.range-revamp-price__integer'],
+      image: ['.range-revamp-media-grid img', '.pip-media-grid img', '.range-revamp-aspect-ratio-image img'],
+      variant: [
+        '.range-revamp-pip-selected',
+        '.pip-selected',
+        '.range-revamp-color-image.selected',
+        '.range-revamp-size-option.selected',
+        "[aria-pressed='true']",
+        ".range-revamp-pip-color-image[aria-pressed='true']",
+        ".range-revamp-pip-size[aria-pressed='true']"
+      ]
+    },
+    defaultDeliveryFee: 49,
+    multiBox: IKEA_MULTI_BOX_RULES,
+    canonicalizeUrl: keepOnly()
+  },
+  {
+    key: 'overstock',
+    name: 'Overstock',
+    domains: ['overstock.com'],
+    defaultDeliveryFee: 0
+  },
+  {
+    key: 'bed bath & beyond',
+    name: 'Bed Bath & Beyond',
+    domains: ['bedbathandbeyond.com'],
+    defaultDeliveryFee: 0
+  },
+  {
+    key: 'cb2',
+    name: 'CB2',
+    domains: ['cb2.com'],
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly()
+  },
+  {
+    key: 'crate & barrel',
+    name: 'Crate & Barrel',
+    domains: ['crateandbarrel.com'],
+    promptHints: `For Crate & Barrel: CRITICAL - ONLY use SALE/CURRENT prices. Look for highlighted sale prices. IGNORE regular prices and financing. Extract dimensions from format like "23.8"H height 85.4"W width 37"D depth".`,
+    selectors: {
+      title: ['h1.product-name', '.pdp-product-name h1', '.product-details h1'],
+      price: ['.price-current', '.product-price .price', '.pdp-price .price-current'],
+      image: ['.product-images img', '.pdp-images img', '.hero-image img'],
+      variant: [
+        '.selected-swatch',
+        '.swatch.selected',
+        '.option-selected',
+        '.variant-selected',
+        "[data-selected='true']",
+        '.color-swatch.selected',
+        '.size-option.selected'
+      ]
+    },
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly()
+  },
+  {
+    key: 'west elm',
+    name: 'West Elm',
+    domains: ['westelm.com'],
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly()
+  },
+  {
+    key: 'pottery barn',
+    name: 'Pottery Barn',
+    domains: ['potterybarn.com'],
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly()
+  },
+  {
+    key: 'luna furniture',
+    name: 'Luna Furniture',
+    domains: ['lunafurn.com'],
+    promptHints: `For Luna Furniture: CRITICAL - ONLY use SALE/CURRENT prices. Look for sale prices. IGNORE "compare at" and "was" prices.`,
+    defaultDeliveryFee: 0,
+    canonicalizeUrl: keepOnly('variant')
+  },
+  {
+    key: 'ashley furniture',
+    name: 'Ashley Furniture',
+    domains: ['ashleyfurniture.com', 'ashley.com'],
+    defaultDeliveryFee: 0
+  },
+  {
+    key: 'rooms to go',
+    name: 'Rooms To Go',
+    domains: ['roomstogo.com'],
+    defaultDeliveryFee: 0
+  },
+  {
+    key: 'living spaces',
+    name: 'Living Spaces',
+    domains: ['livingspaces.com'],
+    defaultDeliveryFee: 0
+  }
+];
+
+const UNKNOWN_ADAPTER = {
+  key: 'unknown',
+  name: 'Unknown Retailer',
+  domains: [],
+  promptHints: GENERIC_PROMPT_HINTS,
+  selectors: null,
+  defaultDeliveryFee: 0,
+  multiBox: null,
+  canonicalizeUrl: stripTrackingParams
+};
+
+// Fill in the optional parts so every consumer can rely on the full adapter shape
+const REGISTRY = ADAPTERS.map(adapter => ({
+  ...UNKNOWN_ADAPTER,
+  ...adapter,
+  promptHints: adapter.promptHints || GENERIC_PROMPT_HINTS
+}));
+
+function hostMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+function getRetailerForUrl(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return REGISTRY.find(adapter => adapter.domains.some(domain => hostMatches(host, domain))) || UNKNOWN_ADAPTER;
+  } catch (e) {
+    return UNKNOWN_ADAPTER;
+  }
+}
+
+// Accepts a display name ("Crate & Barrel") or key ("crate & barrel")
+function getRetailer(nameOrKey) {
+  const needle = String(nameOrKey || '').toLowerCase().trim();
+  return REGISTRY.find(adapter => adapter.key === needle || adapter.name.toLowerCase() === needle) || UNKNOWN_ADAPTER;
+}
+
+function detectRetailer(url) {
+  return getRetailerForUrl(url).name;
+}
+
+function canonicalizeUrl(url) {
+  try {
+    return getRetailerForUrl(url).canonicalizeUrl(url);
+  } catch (e) {
+    return url;
+  }
+}
+
+// How many boxes a multi-box retailer ships this product in; null when the retailer ships single boxes
+function estimateBoxCount(retailer, productName, price) {
+  const adapter = typeof retailer === 'string' ? getRetailer(retailer) : retailer;
+  if (!adapter.multiBox || !productName) return null;
+
+  const name = productName.toLowerCase();
+  const rule = adapter.multiBox.find(entry => entry.pattern.test(name));
+  if (!rule) return null;
+
+  const tier = rule.tiers.find(entry => (price || 0) > entry.minPrice || entry.minPrice === 0);
+  return { type: rule.type, count: tier.boxes, confidence: tier.confidence };
+}
+
+// Public view of the registry for the frontend (no functions or regexes)
+function listRetailers() {
+  return REGISTRY.map(adapter => ({
+    key: adapter.key,
+    name: adapter.name,
+    domains: adapter.domains,
+    defaultDeliveryFee: adapter.defaultDeliveryFee,
+    multiBox: !!adapter.multiBox
+  }));
+}
+
+module.exports = {
+  GENERIC_PROMPT_HINTS,
+  UNKNOWN_ADAPTER,
+  getRetailerForUrl,
+  getRetailer,
+  detectRetailer,
+  canonicalizeUrl,
+  estimateBoxCount,
+  listRetailers,
+  retailers: REGISTRY
+};
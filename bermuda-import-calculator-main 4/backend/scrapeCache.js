@@ -0,0 +1,106 @@
+// backend/scrapeCache.js - Caches scraped products by canonical URL so repeat pastes skip Zyte and GPT
+// Hot entries live in memory; the database copy survives restarts and is shared between instances.
+const { canonicalizeUrl } = require('./retailers');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'scrape-cache' });
+
+const SCRAPE_CACHE_TTL_HOURS = parseFloat(process.env.SCRAPE_CACHE_TTL_HOURS || '24');
+const SCRAPE_CACHE_MAX_MEMORY_ENTRIES = parseInt(process.env.SCRAPE_CACHE_MAX_MEMORY_ENTRIES || '500', 10);
+
+// Products we should never serve again without scraping
+function isCacheable(product) {
+  return !!product &&
+         !product.error &&
+         !product.manualEntryRequired &&
+         !!product.name &&
+         !!product.price;
+}
+
+class ScrapeCache {
+  constructor(database, options = {}) {
+    this.database = database;
+    this.ttlHours = options.ttlHours != null ? options.ttlHours : SCRAPE_CACHE_TTL_HOURS;
+    this.maxMemoryEntries = options.maxMemoryEntries || SCRAPE_CACHE_MAX_MEMORY_ENTRIES;
+    this.memory = new Map();
+  }
+
+  get enabled() {
+    return this.ttlHours > 0;
+  }
+
+  keyFor(url) {
+    return canonicalizeUrl(url);
+  }
+
+  // Returns the cached product marked `cached: true`, or null on a miss
+  async get(url) {
+    if (!this.enabled) return null;
+
+    const key = this.keyFor(url);
+    let entry = this.memory.get(key);
+
+    if (entry && new Date(entry.expiresAt) <= new Date()) {
+      this.memory.delete(key);
+      entry = null;
+    }
+
+    if (!entry) {
+      try {
+        entry = await this.database.getCachedScrape(key);
+      } catch (error) {
+        log.warn('⚠️ Scrape cache lookup failed:', error.message);
+        entry = null;
+      }
+      if (!entry || !entry.product) return null;
+      this.remember(key, entry);
+    }
+
+    return { ...entry.product, cached: true, scrapedAt: entry.scrapedAt };
+  }
+
+  async set(url, product) {
+    if (!this.enabled || !isCacheable(product)) return;
+
+    const key = this.keyFor(url);
+    const scrapedAt = product.scrapedAt || new Date().toISOString();
+    const expiresAt = new Date(new Date(scrapedAt).getTime() + this.ttlHours * 60 * 60 * 1000).toISOString();
+    const { cached, ...stored } = product;
+    const entry = { product: stored, scrapedAt, expiresAt };
+
+    this.remember(key, entry);
+
+    try {
+      await this.database.saveCachedScrape(key, url, stored, { scrapedAt, expiresAt });
+    } catch (error) {
+      log.warn('⚠️ Failed to store scrape in cache:', error.message);
+    }
+  }
+
+  async invalidate(url) {
+    const key = this.keyFor(url);
+    this.memory.delete(key);
+    await this.database.deleteCachedScrape(key);
+  }
+
+  async purgeExpired() {
+    const now = new Date();
+    for (const [key, entry] of this.memory) {
+      if (new Date(entry.expiresAt) <= now) {
+        this.memory.delete(key);
+      }
+    }
+    return this.database.purgeExpiredScrapeCache();
+  }
+
+  // Map keeps insertion order, so re-inserting moves a key to the end and the first key is the oldest
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+}
+
+module.exports = ScrapeCache;
@@ -0,0 +1,131 @@
+// backend/scrapeJobs.js - Background scrape jobs with per-URL progress for the Server-Sent Events stream
+// Jobs live in memory only; a finished job is kept long enough for the page to read its results.
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'scrape-jobs' });
+
+const ITEM_STATUSES = ['queued', 'zyte', 'gpt', 'estimated', 'done', 'failed'];
+const JOB_RETENTION_MINUTES = parseFloat(process.env.SCRAPE_JOB_RETENTION_MINUTES || '30');
+
+function generateJobId() {
+  return `job_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 9)}`;
+}
+
+class ScrapeJobs {
+  // scrape(url, { refresh, onProgress }) resolves to a product; onProgress(status) reports the tier in use
+  constructor(scrape, options = {}) {
+    this.scrape = scrape;
+    this.concurrency = options.concurrency || 1;
+    this.retentionMinutes = options.retentionMinutes != null ? options.retentionMinutes : JOB_RETENTION_MINUTES;
+    this.jobs = new Map();
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+  }
+
+  create(urls, { refresh = false } = {}) {
+    const job = {
+      id: generateJobId(),
+      status: 'running',
+      refresh,
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      items: urls.map((url, index) => ({
+        index,
+        url,
+        status: 'queued',
+        product: null,
+        error: null,
+        updatedAt: new Date().toISOString()
+      }))
+    };
+
+    this.jobs.set(job.id, job);
+    log.info(`🧵 Scrape job ${job.id} queued with ${urls.length} URLs`);
+
+    this.run(job).catch(error => {
+      log.error(`Scrape job ${job.id} crashed:`, error);
+      this.finish(job);
+    });
+
+    return job;
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // listener(type, payload) receives 'item' and 'complete'; returns an unsubscribe function
+  subscribe(jobId, listener) {
+    this.events.on(jobId, listener);
+    return () => this.events.off(jobId, listener);
+  }
+
+  summarize(job) {
+    const counts = {};
+    ITEM_STATUSES.forEach(status => { counts[status] = 0; });
+    job.items.forEach(item => { counts[item.status] += 1; });
+
+    return {
+      id: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      total: job.items.length,
+      counts,
+      items: job.items
+    };
+  }
+
+  async run(job) {
+    const queue = job.items.slice();
+    const worker = async () => {
+      while (queue.length > 0) {
+        await this.runItem(job, queue.shift());
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+    this.finish(job);
+  }
+
+  async runItem(job, item) {
+    try {
+      const product = await this.scrape(item.url, {
+        refresh: job.refresh,
+        onProgress: status => this.update(job, item, { status })
+      });
+      this.update(job, item, { status: 'done', product });
+    } catch (error) {
+      log.error(`Scrape job ${job.id} failed on ${item.url}:`, error.message);
+      this.update(job, item, { status: 'failed', error: error.message });
+    }
+  }
+
+  update(job, item, changes) {
+    if (changes.status && !ITEM_STATUSES.includes(changes.status)) return;
+    // Ignore late progress once an item has finished
+    if (item.status === 'done' || item.status === 'failed') return;
+
+    Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+    this.events.emit(job.id, 'item', item);
+  }
+
+  finish(job) {
+    job.status = 'done';
+    job.completedAt = new Date().toISOString();
+
+    const summary = this.summarize(job);
+    log.info(`🧵 Scrape job ${job.id} finished: ${summary.counts.done} done, ${summary.counts.failed} failed`);
+    this.events.emit(job.id, 'complete', summary);
+
+    setTimeout(() => {
+      this.jobs.delete(job.id);
+      this.events.removeAllListeners(job.id);
+    }, this.retentionMinutes * 60 * 1000).unref();
+  }
+}
+
+ScrapeJobs.ITEM_STATUSES = ITEM_STATUSES;
+
+module.exports = ScrapeJobs;
@@ -0,0 +1,210 @@
+// backend/screening.js - Restricted and prohibited goods screening
+// Every product is checked when it is scraped, and again before a draft order is created, against the
+// rule list below. Keep it in step with the Bermuda Customs prohibited/restricted imports list and the
+// ocean carrier's dangerous goods terms when either changes.
+// A prohibited rule stops the order outright, so it only lists words that cannot mean anything else; words
+// that also name ordinary goods ("pistol grip" nozzles, water filter cartridges) belong in a needs-review
+// rule. Add the product name to SCREENING_PROBES whenever a rule is changed for one, and check with
+// node -e "console.log(require('./backend/screening').checkScreeningProbes())"
+
+const SCREENING_STATUSES = ['allowed', 'needs-review', 'prohibited'];
+
+// when: every condition listed must hold
+//   keywords / excludeKeywords (product name, breadcrumbs and category),
+//   categories (categorizeProduct result, or a retailer category that contains one, e.g. "Garden Center")
+const SCREENING_RULES = [
+  {
+    code: 'firearms',
+    status: 'prohibited',
+    reason: 'Firearms, ammunition and their parts need a Bermuda Police Service permit and cannot ship through us',
+    when: { keywords: /\b(firearms?|shotguns?|handguns?|revolvers?|ammunition|ammo|gun ?powder|air (guns?|rifles?|pistols?)|bb guns?|pellet guns?|cartridges? for .*\b(rifles?|shotguns?|pistols?|handguns?)|(hunting|bolt[- ]action|lever[- ]action|semi-?automatic|22 ?(lr)?) rifles?|(\d+ ?mm|\d{2,3} ?(acp|cal|caliber)) (pistols?|handguns?|rifles?))\b/i,
+            excludeKeywords: /\b(nerf|water ?guns?|glue ?guns?|heat ?guns?|nail ?guns?|staple ?guns?|spray ?guns?|massage ?guns?|toy|ammo (cans?|boxes?|crates?)|microphones?|mics?|tables?|chairs?|stools?|bookcases?)\b/i }
+  },
+  {
+    code: 'possible-firearm',
+    status: 'needs-review',
+    reason: 'Mentions a rifle, pistol or bullets; check it is not a firearm or ammunition before ordering',
+    when: { keywords: /\b(rifles?|pistols?|bullets?)\b/i,
+            excludeKeywords: /\b(nerf|water ?guns?|toy|pistol[- ]grips?|nozzles?|hoses?|sprayers?|caulk(ing)?|rifle paper|bullet (journals?|points?|blenders?)|bullet[- ]?proof)\b/i }
+  },
+  {
+    code: 'weapons',
+    status: 'prohibited',
+    reason: 'Pepper spray, stun guns and similar weapons are prohibited imports',
+    when: { keywords: /\b(pepper spray|mace spray|stun guns?|tasers?|switchblades?|flick knives|brass knuckles|knuckle ?dusters?|batons?)\b/i,
+            excludeKeywords: /\b(twirling|majorettes?|relay|conductors?|baton rouge)\b/i }
+  },
+  {
+    code: 'fireworks',
+    status: 'prohibited',
+    reason: 'Fireworks and explosives cannot ship by ocean freight',
+    when: { keywords: /\b(fireworks?|firecrackers?|explosives?|(road|signal|marine) flares?)\b/i }
+  },
+  {
+    code: 'sparklers',
+    status: 'needs-review',
+    reason: 'Sparklers and sparkler candles may be classed as fireworks; check the listing before ordering',
+    when: { keywords: /\bsparklers?\b/i }
+  },
+  {
+    code: 'lithium-battery-pack',
+    status: 'prohibited',
+    reason: 'Loose lithium battery packs and power banks are dangerous goods we cannot consolidate',
+    when: { keywords: /\b(power ?banks?|portable chargers?|battery packs?|spare batter(y|ies)|lithium(-ion)? batter(y|ies)|li-?ion batter(y|ies)|lipo batter(y|ies)|18650)\b/i,
+            excludeKeywords: /\b((with|includes?|including)\b.*\bbatter(y|ies)|replacement|(laptop|notebook|camera|drill|tool|phone) batter(y|ies))\b/i }
+  },
+  {
+    code: 'replacement-battery',
+    status: 'needs-review',
+    reason: 'Replacement batteries for laptops, cameras and tools are lithium; check the size before ordering',
+    when: { keywords: /\b(replacement batter(y|ies)|batter(y|ies)( packs?)? replacement|(laptop|notebook|camera|drill|tool|phone) batter(y|ies))\b/i }
+  },
+  {
+    code: 'aerosols',
+    status: 'prohibited',
+    reason: 'Aerosols and compressed gas are dangerous goods we cannot consolidate',
+    when: { keywords: /\b(aerosols?|spray paint|spray cans?|(propane|butane) (tanks?|cylinders?|canisters?|bottles?|refills?)|co2 (cartridges?|canisters?)|gas cylinders?|helium tanks?)\b/i,
+            excludeKeywords: /\b(tanks?|cylinders?|cans?) (gauges?|covers?|adapters?|hoses?|regulators?|racks?|holders?|stands?|carriers?|caddy|caddies|organi[sz]ers?)\b/i }
+  },
+  {
+    code: 'compressed-air',
+    status: 'needs-review',
+    reason: 'Canned air dusters are aerosols we cannot consolidate; electric dusters are fine. Check which this is',
+    when: { keywords: /\b(compressed air|air dusters?|canned air)\b/i }
+  },
+  {
+    code: 'flammable-liquids',
+    status: 'prohibited',
+    reason: 'Flammable liquids and fuels cannot ship by ocean freight',
+    when: { keywords: /\b(gasoline|kerosene|lighter fluid|paint thinner|lamp oil|charcoal lighter|acetone|denatured alcohol|fuel canisters?)\b/i }
+  },
+  {
+    code: 'lithium-powered',
+    status: 'needs-review',
+    reason: 'Contains a large lithium battery (e-bike, scooter, hoverboard); needs a dangerous goods declaration',
+    when: { keywords: /\b(e-?bikes?|electric (bikes?|bicycles?|scooters?|skateboards?|unicycles?)|hoverboards?|power stations?|solar generators?)\b/i }
+  },
+  {
+    code: 'fuel-powered',
+    status: 'needs-review',
+    reason: 'Fuel-powered equipment must be drained and purged before shipping',
+    when: { keywords: /\b(gas(oline)?[- ]powered|gas (mowers?|trimmers?|blowers?|generators?|grills?)|(portable|inverter|standby|gas) generators?|chainsaws?|2-cycle|4-cycle|2-stroke|4-stroke|outboard motors?|pressure washers?)\b/i,
+            excludeKeywords: /\b(electric|cordless|battery[- ]powered)\b/i }
+  },
+  {
+    code: 'firearm-accessories',
+    status: 'needs-review',
+    reason: 'Firearm accessories may need a Bermuda Police Service permit',
+    when: { keywords: /\b(gun (cases?|safes?|cleaning|holsters?|sights?|slings?)|holsters?|rifle scopes?|magazines? for|speedloaders?|bipods?|gun ?stocks?|suppressors?)\b/i }
+  },
+  {
+    code: 'alcohol',
+    status: 'needs-review',
+    reason: 'Alcohol needs a customs import licence and attracts separate duty',
+    when: { keywords: /\b(wine|beer|whisk(e)?y|vodka|rum|gin|tequila|bourbon|liqueurs?|champagne|prosecco|spirits|sake|hard seltzer)\b/i,
+            excludeKeywords: /\b(glass(es)?|rack|opener|decanter|cooler|fridge|chiller|aerator|stopper|bottle opener|shaker|cabinet|making kit|gin rummy|rum raisin|pong|sauces?|candles?|games?)\b/i }
+  },
+  {
+    code: 'plants-soil',
+    status: 'needs-review',
+    reason: 'Plants, seeds and soil need a Department of Environment and Natural Resources import permit',
+    when: { categories: ['garden'],
+            keywords: /\b(live plants?|plants?|seeds?|bulbs?|soil|potting mix|compost|mulch|peat|sod|saplings?|trees?|shrubs?|fertili[sz]ers?)\b/i,
+            excludeKeywords: /\b(artificial|faux|fake|plant (stands?|pots?|hangers?)|planters?|light bulbs?|led)\b/i }
+  }
+];
+
+// Real product names and the status each should get; the first group are ordinary goods that earlier
+// versions of the rules blocked
+const SCREENING_PROBES = [
+  { name: 'Pistol Grip Garden Hose Nozzle', status: 'allowed' },
+  { name: 'Brita Replacement Cartridges for Pitcher', status: 'allowed' },
+  { name: 'HP 64 Black Ink Cartridges', status: 'allowed' },
+  { name: 'Outdoor Propane Fire Pit Table', status: 'allowed' },
+  { name: 'Weber Spirit II E-310 Propane Gas Grill', status: 'needs-review' },
+  { name: 'Birthday Sparkler Candles', status: 'needs-review' },
+  { name: 'Rifle Paper Co. Floral Notebook', status: 'allowed' },
+  { name: 'Leuchtturm1917 Dotted Bullet Journal', status: 'allowed' },
+  { name: 'Ninja Nutri Bullet Blender', status: 'allowed' },
+  { name: 'Metal Ammo Can Storage Box', status: 'allowed' },
+  { name: 'Dripless Caulking Gun Pistol Grip', status: 'allowed' },
+  { name: 'Remington 870 Pump Action Shotgun', status: 'prohibited' },
+  { name: 'Federal 9mm Ammunition 50 Rounds', status: 'prohibited' },
+  { name: 'Glock 19 9mm Pistol', status: 'prohibited' },
+  { name: 'Ruger 10/22 .22 Rifle', status: 'prohibited' },
+  { name: 'Umarex Air Rifle', status: 'prohibited' },
+  { name: 'Brass Cartridges for Rifle Reloading', status: 'prohibited' },
+  { name: 'Coleman 16 oz Propane Cylinder', status: 'prohibited' },
+  { name: 'Ronson Butane Refill', status: 'prohibited' },
+  { name: 'Propane Tank Cover', status: 'allowed' },
+  { name: 'Roman Candle Fireworks Assortment', status: 'prohibited' },
+  { name: 'Handheld Wedding Sparklers 36 Pack', status: 'needs-review' },
+  { name: 'Competition Pistol Trigger', status: 'needs-review' },
+  { name: 'Shotgun Microphone Rode VideoMic', status: 'allowed' },
+  { name: 'Revolver Coffee Table', status: 'allowed' },
+  { name: 'Colt Python Revolver', status: 'prohibited' },
+  { name: 'Twirling Baton for Kids', status: 'allowed' },
+  { name: 'Baton Rouge Print', status: 'allowed' },
+  { name: 'Expandable Steel Baton', status: 'prohibited' },
+  { name: 'Laptop Battery Pack Replacement', status: 'needs-review' },
+  { name: 'Anker Power Bank 20000mAh', status: 'prohibited' },
+  { name: 'Spray Can Holder', status: 'allowed' },
+  { name: 'Krylon Spray Paint', status: 'prohibited' },
+  { name: 'Compressed Air Duster for Keyboard', status: 'needs-review' },
+  { name: 'Gin Rummy Card Game', status: 'allowed' },
+  { name: 'Rum Raisin Candle', status: 'allowed' },
+  { name: 'Beer Pong Table', status: 'allowed' },
+  { name: 'Vodka Sauce Jar', status: 'allowed' },
+  { name: "Tito's Handmade Vodka 1L", status: 'needs-review' }
+];
+
+const STATUS_RANK = { 'allowed': 0, 'needs-review': 1, 'prohibited': 2 };
+
+// Name, breadcrumbs ("Garden > Soil & Mulch") and category are what the keywords are tested against
+function screeningText({ name = '', breadcrumbs = [], category = '' } = {}) {
+  return [name, ...(Array.isArray(breadcrumbs) ? breadcrumbs : [breadcrumbs]), category]
+    .map(part => (typeof part === 'string' ? part : (part && part.name) || ''))
+    .join(' ');
+}
+
+function matches(when, product, text) {
+  const category = String(product.category || '').toLowerCase();
+  if (when.categories && !when.categories.some(candidate => category.includes(candidate))) return false;
+  if (when.keywords && !when.keywords.test(text)) return false;
+  if (when.excludeKeywords && when.excludeKeywords.test(text)) return false;
+  return true;
+}
+
+// product: { name, breadcrumbs, category }
+// Returns { status: 'allowed' | 'needs-review' | 'prohibited', reasons: [{ code, status, reason }] },
+// the status being the most severe of the rules that matched
+function screenProduct(product = {}) {
+  const text = screeningText(product);
+
+  const reasons = SCREENING_RULES
+    .filter(rule => matches(rule.when, product, text))
+    .map(rule => ({ code: rule.code, status: rule.status, reason: rule.reason }));
+
+  const status = reasons.reduce(
+    (worst, match) => (STATUS_RANK[match.status] > STATUS_RANK[worst] ? match.status : worst),
+    'allowed'
+  );
+
+  return { status, reasons };
+}
+
+// Probes whose status no longer matches; empty when the rules behave as intended
+function checkScreeningProbes(probes = SCREENING_PROBES) {
+  return probes
+    .map(probe => ({ ...probe, actual: screenProduct({ name: probe.name }) }))
+    .filter(probe => probe.actual.status !== probe.status)
+    .map(probe => ({ name: probe.name, expected: probe.status, actual: probe.actual.status, reasons: probe.actual.reasons.map(reason => reason.code) }));
+}
+
+module.exports = {
+  SCREENING_STATUSES,
+  SCREENING_RULES,
+  SCREENING_PROBES,
+  screenProduct,
+  checkScreeningProbes
+};
@@ -0,0 +1,187 @@
+// backend/shopifyWebhooks.js - Keeps quotes and order tracking in step with Shopify
+// Shopify signs every webhook with the app's secret; unsigned or tampered deliveries are rejected, and each
+// delivery is recorded by its X-Shopify-Webhook-Id because Shopify retries until it gets a 200.
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'shopify-webhooks' });
+
+const WEBHOOK_TOPICS = ['draft_orders/update', 'orders/paid', 'orders/cancelled'];
+
+// A quote only moves forward through these; a late draft_orders/update must not undo "paid"
+const QUOTE_STATUSES = ['pending', 'draft-order-created', 'invoice-sent', 'order-created', 'paid', 'cancelled'];
+
+// Shopify draft order status → quote status
+const DRAFT_ORDER_QUOTE_STATUS = {
+  open: 'draft-order-created',
+  invoice_sent: 'invoice-sent',
+  completed: 'order-created'
+};
+
+class WebhookError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = statusCode;
+  }
+}
+
+// X-Shopify-Hmac-Sha256 is the base64 HMAC-SHA256 of the raw request body
+function verifyHmac(rawBody, hmacHeader, secret) {
+  if (!secret || !rawBody || !hmacHeader) return false;
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(String(hmacHeader), 'base64');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// draftOrderBuilder writes "Quote: q_..." into the draft order note, and Shopify copies the note to the order
+function quoteIdFromNote(note) {
+  const match = /Quote: (q_[a-z0-9]+)/i.exec(note || '');
+  return match ? match[1] : null;
+}
+
+function describeItem(item) {
+  return `${item.quantity} × ${item.name}${item.variant ? ` (${item.variant})` : ''}`;
+}
+
+// What staff have to buy, one entry per retailer: [{ retailer, items: ["2 × Walnut Bookcase (Oak)"] }]
+function purchasesFromQuote(quote) {
+  const byRetailer = new Map();
+  (quote.items || []).forEach(item => {
+    const retailer = item.retailer || 'Unknown';
+    if (!byRetailer.has(retailer)) byRetailer.set(retailer, []);
+    byRetailer.get(retailer).push(describeItem(item));
+  });
+  return [...byRetailer].map(([retailer, items]) => ({ retailer, items }));
+}
+
+// Without a stored quote, product lines are the ones the builder gave a Retailer property
+function purchasesFromOrder(order) {
+  const byRetailer = new Map();
+  (order.line_items || []).forEach(line => {
+    const retailer = ((line.properties || []).find(property => property.name === 'Retailer') || {}).value;
+    if (!retailer) return;
+    const variant = ((line.properties || []).find(property => property.name === 'Variant') || {}).value;
+    if (!byRetailer.has(retailer)) byRetailer.set(retailer, []);
+    byRetailer.get(retailer).push(describeItem({ quantity: line.quantity, name: line.title, variant }));
+  });
+  return [...byRetailer].map(([retailer, items]) => ({ retailer, items }));
+}
+
+class ShopifyWebhooks {
+  constructor(database, { secret = process.env.SHOPIFY_WEBHOOK_SECRET, getOrderTracker = () => null } = {}) {
+    this.database = database;
+    this.secret = secret || null;
+    this.getOrderTracker = getOrderTracker;
+  }
+
+  get enabled() {
+    return !!this.secret;
+  }
+
+  verify(rawBody, hmacHeader) {
+    return verifyHmac(rawBody, hmacHeader, this.secret);
+  }
+
+  // Returns { handled, ... }; handled is false for topics we ignore, repeats and orders not made by the calculator
+  async receive({ topic, webhookId, payload }) {
+    if (!WEBHOOK_TOPICS.includes(topic)) {
+      return { handled: false, reason: `Topic ${topic || '(none)'} is not handled` };
+    }
+    if (!payload || payload.id == null) {
+      throw new WebhookError('Webhook payload has no id');
+    }
+
+    if (webhookId) {
+      const firstDelivery = await this.database.recordWebhook({ webhookId, topic, resourceId: payload.id });
+      if (!firstDelivery) {
+        return { handled: false, reason: `Webhook ${webhookId} already processed` };
+      }
+    }
+
+    try {
+      if (topic === 'draft_orders/update') return await this.draftOrderUpdated(payload);
+      if (topic === 'orders/paid') return await this.orderPaid(payload);
+      return await this.orderCancelled(payload);
+    } catch (error) {
+      // Let Shopify's retry run it again
+      if (webhookId) await this.database.forgetWebhook(webhookId).catch(() => {});
+      throw error;
+    }
+  }
+
+  async draftOrderUpdated(draftOrder) {
+    const link = await this.database.getDraftOrderLink(draftOrder.id);
+    if (!link) {
+      return { handled: false, reason: `Draft order ${draftOrder.id} was not created by the calculator` };
+    }
+
+    await this.database.updateDraftOrderLink(draftOrder.id, {
+      shopifyOrderId: draftOrder.order_id || null,
+      status: link.status === 'paid' || link.status === 'cancelled' ? null : draftOrder.status
+    });
+    await this.advanceQuote(link.quoteId, DRAFT_ORDER_QUOTE_STATUS[draftOrder.status]);
+
+    log.info(`🛍️ Draft order ${link.draftOrderName || draftOrder.id}: ${draftOrder.status}${draftOrder.order_id ? ` → order ${draftOrder.order_id}` : ''}`);
+    return { handled: true, draftOrderId: link.draftOrderId, status: draftOrder.status };
+  }
+
+  async orderPaid(order) {
+    const link = await this.database.findDraftOrderLink({ shopifyOrderId: order.id, quoteId: quoteIdFromNote(order.note) });
+    if (!link) {
+      return { handled: false, reason: `Order ${order.id} did not come from a calculator draft order` };
+    }
+
+    const orderTracker = this.getOrderTracker();
+    if (!orderTracker) {
+      throw new WebhookError('Order tracking is not available yet', 503);
+    }
+
+    await this.database.updateDraftOrderLink(link.draftOrderId, { shopifyOrderId: order.id, status: 'paid' });
+    await this.advanceQuote(link.quoteId, 'paid');
+
+    const quote = link.quoteId ? await this.database.getQuote(link.quoteId) : null;
+    const purchases = quote && quote.items && quote.items.length > 0 ? purchasesFromQuote(quote) : purchasesFromOrder(order);
+    const tracking = await orderTracker.trackPaidOrder(order.id, purchases);
+
+    log.info(`💳 Order ${order.name || order.id} paid (draft ${link.draftOrderName || link.draftOrderId}); ${purchases.length} retailer purchase(s) to make`);
+    return { handled: true, orderId: String(order.id), draftOrderId: link.draftOrderId, trackingStatus: tracking.status };
+  }
+
+  async orderCancelled(order) {
+    const link = await this.database.findDraftOrderLink({ shopifyOrderId: order.id, quoteId: quoteIdFromNote(order.note) });
+    if (!link) {
+      return { handled: false, reason: `Order ${order.id} did not come from a calculator draft order` };
+    }
+
+    await this.database.updateDraftOrderLink(link.draftOrderId, { shopifyOrderId: order.id, status: 'cancelled' });
+    await this.advanceQuote(link.quoteId, 'cancelled');
+
+    const orderTracker = this.getOrderTracker();
+    if (orderTracker) {
+      try {
+        await orderTracker.stopTracking(order.id);
+        await orderTracker.recordEvent(order.id, null, 'cancelled',
+          `Cancelled in Shopify${order.cancel_reason ? ` (${order.cancel_reason})` : ''}`, new Date().toISOString());
+      } catch (error) {
+        // Cancelled before it was ever paid, so there is nothing to stop
+        if (error.statusCode !== 404) throw error;
+      }
+    }
+
+    log.info(`🚫 Order ${order.name || order.id} cancelled`);
+    return { handled: true, orderId: String(order.id), draftOrderId: link.draftOrderId };
+  }
+
+  async advanceQuote(quoteId, status) {
+    if (!quoteId || !status) return;
+    const quote = await this.database.getQuote(quoteId);
+    if (!quote || QUOTE_STATUSES.indexOf(status) <= QUOTE_STATUSES.indexOf(quote.status)) return;
+    await this.database.updateQuoteStatus(quoteId, status);
+  }
+}
+
+ShopifyWebhooks.WEBHOOK_TOPICS = WEBHOOK_TOPICS;
+ShopifyWebhooks.WebhookError = WebhookError;
+
+module.exports = ShopifyWebhooks;
@@ -0,0 +1,343 @@
+// backend/staffAuth.js - Staff accounts, login sessions and the login audit log
+// Passwords are stored as scrypt hashes. A session is a random token held in an HttpOnly cookie and only
+// its SHA-256 is stored, so a copy of the database is not enough to log in as anyone.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'staff-auth' });
+
+const scrypt = promisify(crypto.scrypt);
+
+// Each role can do everything the roles before it can:
+//   viewer - order tracking dashboard, read only
+//   quoter - admin calculator (rate overrides, older rate cards) and order tracking updates
+//   admin  - rate cards, exchange rates, staff accounts and the login audit log
+const STAFF_ROLES = ['viewer', 'quoter', 'admin'];
+
+const SESSION_TTL_HOURS = parseFloat(process.env.STAFF_SESSION_TTL_HOURS || '12');
+const MIN_PASSWORD_LENGTH = 10;
+
+// Logins for a username are refused after this many failures in the window, until one succeeds
+const MAX_FAILED_LOGINS = 5;
+const FAILED_LOGIN_WINDOW_MINUTES = 15;
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+class AuthError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+function hasRole(user, role) {
+  return !!user && STAFF_ROLES.indexOf(user.role) >= STAFF_ROLES.indexOf(role);
+}
+
+// Stored as scrypt$N$r$p$salt$hash so the cost can be raised later without breaking old hashes
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, { N: Number(N), r: Number(r), p: Number(p) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function normalizeUsername(username) {
+  return String(username || '').trim().toLowerCase();
+}
+
+function validateUsername(username) {
+  if (!/^[a-z0-9._-]{3,40}$/.test(username)) {
+    throw new AuthError('Username must be 3-40 characters: letters, numbers, dots, dashes or underscores');
+  }
+}
+
+function validateRole(role) {
+  if (!STAFF_ROLES.includes(role)) {
+    throw new AuthError(`Unknown role "${role}". Expected one of: ${STAFF_ROLES.join(', ')}`);
+  }
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AuthError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+function userFromRow(row) {
+  return {
+    id: Number(row.id),
+    username: row.username,
+    displayName: row.display_name || row.username,
+    role: row.role,
+    disabled: !!row.disabled_at,
+    disabledAt: row.disabled_at || null,
+    lastLoginAt: row.last_login_at || null,
+    createdAt: row.created_at
+  };
+}
+
+class StaffAuth {
+  constructor(database, { sessionTtlHours = SESSION_TTL_HOURS } = {}) {
+    this.database = database;
+    this.sessionTtlHours = sessionTtlHours;
+    // Checked against when the username does not exist, so both cases take as long
+    this.dummyHash = null;
+  }
+
+  static async create(database) {
+    const auth = new StaffAuth(database);
+    await database.initialize();
+    await auth.bootstrap();
+    return auth;
+  }
+
+  // The first admin comes from STAFF_ADMIN_USERNAME / STAFF_ADMIN_PASSWORD, only while no accounts exist
+  async bootstrap({ username = process.env.STAFF_ADMIN_USERNAME, password = process.env.STAFF_ADMIN_PASSWORD } = {}) {
+    const result = await this.database.execute('SELECT COUNT(*) AS count FROM staff_users');
+    if (Number(result.rows[0].count) > 0) return;
+
+    if (!username || !password) {
+      log.warn('⚠️ No staff accounts yet. Set STAFF_ADMIN_USERNAME and STAFF_ADMIN_PASSWORD to create the first admin.');
+      return;
+    }
+
+    const user = await this.createUser({ username, password, role: 'admin', displayName: username });
+    log.info(`👤 Created first staff admin "${user.username}"`);
+  }
+
+  async createUser({ username, password, role = 'viewer', displayName = null }) {
+    const normalized = normalizeUsername(username);
+    validateUsername(normalized);
+    validateRole(role);
+    validatePassword(password);
+
+    const existing = await this.database.execute('SELECT id FROM staff_users WHERE username = ?', [normalized]);
+    if (existing.rows.length > 0) {
+      throw new AuthError(`Username "${normalized}" is already taken`, 409);
+    }
+
+    const now = new Date().toISOString();
+    const inserted = await this.database.execute(
+      `INSERT INTO staff_users (username, display_name, role, password_hash, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [normalized, displayName ? String(displayName).trim() : null, role, await hashPassword(password), now, now]
+    );
+
+    return this.getUser(Number(inserted.lastInsertRowid));
+  }
+
+  async getUser(id) {
+    const result = await this.database.execute('SELECT * FROM staff_users WHERE id = ?', [Number(id)]);
+    if (!result.rows[0]) {
+      throw new AuthError(`Staff account ${id} not found`, 404);
+    }
+    return userFromRow(result.rows[0]);
+  }
+
+  async listUsers() {
+    const result = await this.database.execute('SELECT * FROM staff_users ORDER BY username');
+    return result.rows.map(userFromRow);
+  }
+
+  // changes: { role, displayName, password, disabled }; a new password or disabling ends the user's sessions
+  async updateUser(id, { role, displayName, password, disabled } = {}) {
+    const user = await this.getUser(id);
+
+    if (role !== undefined) validateRole(role);
+    if (password !== undefined) validatePassword(password);
+
+    const losesAdmin = user.role === 'admin' && !user.disabled &&
+      ((role !== undefined && role !== 'admin') || disabled === true);
+    if (losesAdmin) {
+      const admins = await this.database.execute(
+        "SELECT COUNT(*) AS count FROM staff_users WHERE role = 'admin' AND disabled_at IS NULL"
+      );
+      if (Number(admins.rows[0].count) <= 1) {
+        throw new AuthError('Cannot remove the last active admin');
+      }
+    }
+
+    const now = new Date().toISOString();
+    await this.database.execute(
+      `UPDATE staff_users
+       SET role = COALESCE(?, role), display_name = COALESCE(?, display_name),
+           password_hash = COALESCE(?, password_hash),
+           disabled_at = CASE WHEN ? IS NULL THEN disabled_at WHEN ? = 1 THEN COALESCE(disabled_at, ?) ELSE NULL END,
+           updated_at = ?
+       WHERE id = ?`,
+      [
+        role || null,
+        displayName ? String(displayName).trim() : null,
+        password !== undefined ? await hashPassword(password) : null,
+        disabled === undefined ? null : 1,
+        disabled ? 1 : 0,
+        now,
+        now,
+        user.id
+      ]
+    );
+
+    if (password !== undefined || disabled === true) {
+      await this.revokeSessions(user.id);
+    }
+
+    log.info(`👤 Staff account ${user.username} updated`);
+    return this.getUser(user.id);
+  }
+
+  // Returns { token, user, expiresAt }; every attempt is written to the login audit log
+  async login({ username, password, ip = null, userAgent = null }) {
+    const normalized = normalizeUsername(username);
+    const context = { username: normalized || '(blank)', ip, userAgent };
+
+    // No account can have such a name, and it is not worth keeping whatever was typed in the audit log
+    try {
+      validateUsername(normalized);
+    } catch (error) {
+      await this.recordLogin({ ...context, username: normalized ? '(invalid)' : '(blank)', event: 'login-failed', reason: 'invalid username' });
+      throw new AuthError('Invalid username or password', 401);
+    }
+
+    if (await this.isLockedOut(normalized)) {
+      await this.recordLogin({ ...context, event: 'login-blocked', reason: `${MAX_FAILED_LOGINS} failed attempts` });
+      throw new AuthError(`Too many failed logins. Try again in ${FAILED_LOGIN_WINDOW_MINUTES} minutes.`, 429);
+    }
+
+    const result = await this.database.execute('SELECT * FROM staff_users WHERE username = ?', [normalized]);
+    const row = result.rows[0];
+
+    if (!this.dummyHash) this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    const passwordMatches = await verifyPassword(password || '', row ? row.password_hash : this.dummyHash);
+
+    if (!row || !passwordMatches || row.disabled_at) {
+      const reason = !row ? 'unknown username' : (!passwordMatches ? 'wrong password' : 'account disabled');
+      await this.recordLogin({ ...context, userId: row ? Number(row.id) : null, event: 'login-failed', reason });
+      throw new AuthError('Invalid username or password', 401);
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.sessionTtlHours * 60 * 60 * 1000).toISOString();
+
+    await this.database.execute(
+      `INSERT INTO staff_sessions (token_hash, user_id, ip, user_agent, created_at, last_seen_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [hashToken(token), Number(row.id), ip, userAgent, now.toISOString(), now.toISOString(), expiresAt]
+    );
+    await this.database.execute(
+      'UPDATE staff_users SET last_login_at = ? WHERE id = ?',
+      [now.toISOString(), Number(row.id)]
+    );
+    await this.recordLogin({ ...context, userId: Number(row.id), event: 'login' });
+
+    log.info(`🔑 ${row.username} logged in (${row.role})`);
+    return { token, user: userFromRow(row), expiresAt };
+  }
+
+  // Staff member behind a session token, or null if it is unknown, expired or the account is disabled
+  async authenticate(token) {
+    if (!token) return null;
+
+    const now = new Date().toISOString();
+    const result = await this.database.execute(
+      `SELECT staff_users.*, staff_sessions.last_seen_at AS session_last_seen
+       FROM staff_sessions JOIN staff_users ON staff_users.id = staff_sessions.user_id
+       WHERE staff_sessions.token_hash = ? AND staff_sessions.expires_at > ? AND staff_users.disabled_at IS NULL`,
+      [hashToken(token), now]
+    );
+    const row = result.rows[0];
+    if (!row) return null;
+
+    // Only worth a write every few minutes
+    if (Date.parse(now) - Date.parse(row.session_last_seen) > 5 * 60 * 1000) {
+      await this.database.execute(
+        'UPDATE staff_sessions SET last_seen_at = ? WHERE token_hash = ?',
+        [now, hashToken(token)]
+      );
+    }
+
+    return userFromRow(row);
+  }
+
+  async logout(token, { ip = null, userAgent = null } = {}) {
+    const user = await this.authenticate(token);
+    await this.database.execute('DELETE FROM staff_sessions WHERE token_hash = ?', [hashToken(token)]);
+    if (user) {
+      await this.recordLogin({ username: user.username, userId: user.id, event: 'logout', ip, userAgent });
+    }
+  }
+
+  async revokeSessions(userId) {
+    await this.database.execute('DELETE FROM staff_sessions WHERE user_id = ?', [Number(userId)]);
+  }
+
+  async purgeExpiredSessions() {
+    const result = await this.database.execute(
+      'DELETE FROM staff_sessions WHERE expires_at <= ?',
+      [new Date().toISOString()]
+    );
+    if (result.rowsAffected > 0) {
+      log.info(`🧹 Removed ${result.rowsAffected} expired staff sessions`);
+    }
+    return result.rowsAffected;
+  }
+
+  async isLockedOut(username) {
+    const since = new Date(Date.now() - FAILED_LOGIN_WINDOW_MINUTES * 60 * 1000).toISOString();
+    const result = await this.database.execute(
+      `SELECT COUNT(*) AS count FROM staff_login_audit
+       WHERE username = ? AND event = 'login-failed' AND occurred_at > ?
+         AND occurred_at > COALESCE((SELECT MAX(occurred_at) FROM staff_login_audit WHERE username = ? AND event = 'login'), '')`,
+      [username, since, username]
+    );
+    return Number(result.rows[0].count) >= MAX_FAILED_LOGINS;
+  }
+
+  async recordLogin({ username, userId = null, event, reason = null, ip = null, userAgent = null }) {
+    await this.database.execute(
+      `INSERT INTO staff_login_audit (username, user_id, event, reason, ip, user_agent, occurred_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [username, userId, event, reason, ip, userAgent ? String(userAgent).slice(0, 255) : null, new Date().toISOString()]
+    );
+  }
+
+  // Newest first: [{ username, event, reason, ip, userAgent, occurredAt }]
+  async listLoginAudit({ limit = 100, username = null } = {}) {
+    const result = await this.database.execute(
+      `SELECT * FROM staff_login_audit
+       WHERE (? IS NULL OR username = ?)
+       ORDER BY occurred_at DESC, id DESC LIMIT ?`,
+      [username ? normalizeUsername(username) : null, username ? normalizeUsername(username) : null, Math.min(Number(limit) || 100, 500)]
+    );
+    return result.rows.map(row => ({
+      id: Number(row.id),
+      username: row.username,
+      userId: row.user_id != null ? Number(row.user_id) : null,
+      event: row.event,
+      reason: row.reason,
+      ip: row.ip,
+      userAgent: row.user_agent,
+      occurredAt: row.occurred_at
+    }));
+  }
+}
+
+StaffAuth.STAFF_ROLES = STAFF_ROLES;
+StaffAuth.AuthError = AuthError;
+StaffAuth.hasRole = hasRole;
+
+module.exports = StaffAuth;
@@ -0,0 +1,285 @@
+// backend/structuredData.js - Reads schema.org JSON-LD, microdata and OpenGraph product data from page HTML
+// Free to run on HTML we already fetched, so it goes before any paid API (Zyte, GPT).
+const cheerio = require('cheerio');
+const { normalizeCurrency } = require('./currency');
+
+const AVAILABILITY_MAP = {
+  instock: 'in_stock',
+  in_stock: 'in_stock',
+  limitedavailability: 'in_stock',
+  onlineonly: 'in_stock',
+  instoreonly: 'in_stock',
+  outofstock: 'out_of_stock',
+  out_of_stock: 'out_of_stock',
+  soldout: 'out_of_stock',
+  discontinued: 'out_of_stock',
+  oos: 'out_of_stock',
+  preorder: 'preorder',
+  presale: 'preorder',
+  backorder: 'preorder'
+};
+
+function asArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function cleanText(value) {
+  if (value == null) return null;
+  if (typeof value === 'object') {
+    return cleanText(value.name || value['@value'] || null);
+  }
+  const text = String(value).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
+
+function toPrice(value) {
+  if (value == null || value === '') return null;
+  const match = String(value).replace(/,/g, '').match(/(\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  const price = parseFloat(match[1]);
+  return price > 0 && price < 200000 ? Math.round(price * 100) / 100 : null;
+}
+
+function normalizeAvailability(value) {
+  const text = cleanText(value);
+  if (!text) return null;
+  // schema.org values arrive as "https://schema.org/InStock", "InStock" or "in stock"
+  const key = text.split('/').pop().toLowerCase().replace(/[\s-]/g, '');
+  return AVAILABILITY_MAP[key] || AVAILABILITY_MAP[key.replace(/_/g, '')] || null;
+}
+
+function absoluteUrl(src, baseUrl) {
+  const text = cleanText(typeof src === 'object' && src ? (src.url || src.contentUrl) : src);
+  if (!text || text.startsWith('data:')) return null;
+  try {
+    return new URL(text, baseUrl).href;
+  } catch (e) {
+    return null;
+  }
+}
+
+function hasType(node, type) {
+  return asArray(node && node['@type']).some(entry => String(entry).toLowerCase() === type.toLowerCase());
+}
+
+// ---------- JSON-LD ----------
+
+function collectJsonLdNodes($) {
+  const nodes = [];
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    nodes.push(node);
+    visit(node['@graph']);
+    visit(node.hasVariant);
+  };
+
+  $('script[type="application/ld+json"]').each((_, element) => {
+    const text = $(element).contents().text().trim();
+    if (!text) return;
+    try {
+      visit(JSON.parse(text));
+    } catch (e) {
+      // Some sites emit several objects or trailing commas; ignore blocks we cannot read
+    }
+  });
+
+  return nodes;
+}
+
+function offerFromJsonLd(offer, baseUrl) {
+  const price = toPrice(offer.price != null ? offer.price : (offer.lowPrice != null ? offer.lowPrice : offer.priceSpecification && offer.priceSpecification.price));
+  return {
+    name: cleanText(offer.name),
+    sku: cleanText(offer.sku),
+    price,
+    currency: cleanText(offer.priceCurrency || (offer.priceSpecification && offer.priceSpecification.priceCurrency)),
+    availability: normalizeAvailability(offer.availability),
+    image: absoluteUrl(asArray(offer.image)[0], baseUrl),
+    url: absoluteUrl(offer.url, baseUrl)
+  };
+}
+
+function fromJsonLd($, baseUrl) {
+  const nodes = collectJsonLdNodes($);
+  const products = nodes.filter(node => hasType(node, 'Product') || hasType(node, 'ProductGroup'));
+  if (products.length === 0) return null;
+
+  const product = products[0];
+  const variants = products.slice(1).concat(asArray(product.hasVariant))
+    .filter((node, index, list) => list.indexOf(node) === index);
+
+  const offers = asArray(product.offers)
+    .flatMap(offer => hasType(offer, 'AggregateOffer') && offer.offers ? asArray(offer.offers) : [offer])
+    .map(offer => offerFromJsonLd(offer, baseUrl));
+
+  // Variants published as separate Product nodes carry their own offers
+  variants.forEach(variant => {
+    asArray(variant.offers).forEach(offer => {
+      offers.push({
+        ...offerFromJsonLd(offer, baseUrl),
+        name: cleanText(variant.name) || cleanText(offer.name),
+        sku: cleanText(variant.sku) || cleanText(offer.sku),
+        image: absoluteUrl(asArray(variant.image)[0], baseUrl) || absoluteUrl(asArray(offer.image)[0], baseUrl)
+      });
+    });
+  });
+
+  const primaryOffer = offers.find(offer => offer.price) || {};
+
+  return {
+    name: cleanText(product.name),
+    price: primaryOffer.price || null,
+    currency: primaryOffer.currency || null,
+    image: absoluteUrl(asArray(product.image)[0], baseUrl),
+    brand: cleanText(product.brand),
+    sku: cleanText(product.sku) || cleanText(product.mpn) || primaryOffer.sku || null,
+    availability: primaryOffer.availability || null,
+    category: cleanText(product.category),
+    offers
+  };
+}
+
+// BreadcrumbList items in position order, e.g. ["Furniture", "Living Room", "Sofas"]
+function breadcrumbsFromJsonLd($) {
+  const list = collectJsonLdNodes($).find(node => hasType(node, 'BreadcrumbList'));
+  if (!list) return [];
+
+  return asArray(list.itemListElement)
+    .slice()
+    .sort((a, b) => (Number(a.position) || 0) - (Number(b.position) || 0))
+    .map(entry => cleanText(entry.name || (entry.item && entry.item.name)))
+    .filter(Boolean)
+    .slice(0, 10);
+}
+
+// ---------- Microdata ----------
+
+function fromMicrodata($, baseUrl) {
+  const scope = $('[itemscope][itemtype*="schema.org/Product"]').first();
+  if (scope.length === 0) return null;
+
+  const propValue = (root, name) => {
+    const element = root.find(`[itemprop="${name}"]`).first();
+    if (element.length === 0) return null;
+    return element.attr('content') || element.attr('href') || element.attr('src') || element.text();
+  };
+
+  const offers = scope.find('[itemprop="offers"]').toArray().map(element => {
+    const offer = $(element);
+    return {
+      name: cleanText(propValue(offer, 'name')),
+      sku: cleanText(propValue(offer, 'sku')),
+      price: toPrice(propValue(offer, 'price') || propValue(offer, 'lowPrice')),
+      currency: cleanText(propValue(offer, 'priceCurrency')),
+      availability: normalizeAvailability(propValue(offer, 'availability')),
+      image: null,
+      url: null
+    };
+  });
+
+  const primaryOffer = offers.find(offer => offer.price) || {};
+  const image = scope.find('[itemprop="image"]').first();
+
+  return {
+    name: cleanText(propValue(scope, 'name')),
+    price: primaryOffer.price || null,
+    currency: primaryOffer.currency || null,
+    image: absoluteUrl(image.attr('content') || image.attr('src') || image.attr('href'), baseUrl),
+    brand: cleanText(propValue(scope, 'brand')),
+    sku: cleanText(propValue(scope, 'sku')) || primaryOffer.sku || null,
+    availability: primaryOffer.availability || null,
+    category: cleanText(propValue(scope, 'category')),
+    offers
+  };
+}
+
+// ---------- OpenGraph / product: meta tags ----------
+
+function fromMetaTags($, baseUrl) {
+  const meta = (name) => {
+    const value = $(`meta[property="${name}"]`).attr('content') || $(`meta[name="${name}"]`).attr('content');
+    return cleanText(value);
+  };
+
+  const ogType = meta('og:type');
+  const price = toPrice(meta('product:price:amount') || meta('og:price:amount'));
+  if (!price && !(ogType && ogType.toLowerCase().includes('product'))) return null;
+
+  return {
+    name: meta('og:title'),
+    price,
+    currency: meta('product:price:currency') || meta('og:price:currency'),
+    image: absoluteUrl(meta('og:image') || meta('og:image:secure_url'), baseUrl),
+    brand: meta('product:brand') || meta('og:brand'),
+    sku: meta('product:retailer_item_id') || meta('product:sku'),
+    availability: normalizeAvailability(meta('product:availability') || meta('og:availability')),
+    category: meta('product:category'),
+    offers: []
+  };
+}
+
+// ---------- Combined ----------
+
+function variantLabel(offer) {
+  return offer.name || offer.sku || null;
+}
+
+// Returns null when the page carries no product markup at all
+function extractStructuredData(html, url) {
+  if (!html || typeof html !== 'string') return null;
+
+  const $ = cheerio.load(html);
+  const sources = [
+    { source: 'json-ld', data: fromJsonLd($, url) },
+    { source: 'microdata', data: fromMicrodata($, url) },
+    { source: 'opengraph', data: fromMetaTags($, url) }
+  ].filter(entry => entry.data);
+
+  if (sources.length === 0) return null;
+
+  // Earlier sources win; later ones only fill gaps
+  const pick = (field) => {
+    const match = sources.find(entry => entry.data[field]);
+    return match ? match.data[field] : null;
+  };
+
+  const offers = (sources.find(entry => entry.data.offers.length > 0) || { data: { offers: [] } }).data.offers;
+  const variantOffers = offers.filter(offer => variantLabel(offer));
+  const availability = pick('availability') || 'unknown';
+
+  const result = {
+    url,
+    name: pick('name'),
+    price: pick('price'),
+    currency: pick('currency') ? String(pick('currency')).toUpperCase() : null,
+    image: pick('image'),
+    brand: pick('brand'),
+    sku: pick('sku'),
+    availability,
+    inStock: availability !== 'out_of_stock',
+    category: pick('category'),
+    breadcrumbs: breadcrumbsFromJsonLd($),
+    offers: variantOffers,
+    variant: variantOffers.length === 1 ? variantLabel(variantOffers[0]) : null,
+    allVariants: Array.from(new Set(variantOffers.map(variantLabel))),
+    sources: sources.map(entry => entry.source)
+  };
+
+  result.complete = isComplete(result);
+  return result;
+}
+
+// Complete enough to skip Zyte and GPT entirely; a currency we cannot convert still goes to the paid tiers
+function isComplete(data) {
+  return !!(data && data.name && data.price && data.image && (!data.currency || normalizeCurrency(data.currency)));
+}
+
+module.exports = {
+  extractStructuredData,
+  isComplete
+};
@@ -0,0 +1,153 @@
+// backend/surcharges.js - Oversize and special-handling surcharges
+// Rules are data: each one names the conditions an item must meet and what it costs, and the rate card
+// switches rules on or off (rates.surcharges), so staff and customers are charged by the same list.
+const { getRetailer } = require('./retailers');
+
+// when: every condition listed must hold
+//   longestSideOver / girthOver (inches), measured on the item's own dimensions, not the padded carton, so the
+//   packing allowance does not push ordinary furniture over; the largest carton is only used when the item's
+//   size is unknown. weightOver (lbs per unit), declaredValueOver (USD per unit),
+//   categories (categorizeProduct result), keywords / excludeKeywords (product name), retailers (registry keys)
+// charge: perUnit (USD for each unit) or valueRate (share of the item cost)
+const SURCHARGE_RULES = [
+  {
+    code: 'oversize',
+    label: 'Oversize item (side over 96")',
+    when: { longestSideOver: 96 },
+    charge: { perUnit: 50 },
+    enabled: true
+  },
+  {
+    code: 'oversize-girth',
+    label: 'Oversize girth (over 260")',
+    when: { girthOver: 260 },
+    charge: { perUnit: 75 },
+    enabled: true
+  },
+  {
+    code: 'heavy',
+    label: 'Heavy item (over 150 lbs)',
+    when: { weightOver: 150 },
+    charge: { perUnit: 40 },
+    enabled: true
+  },
+  {
+    code: 'mattress',
+    label: 'Mattress handling',
+    when: { keywords: /\bmattress(es)?\b/i, excludeKeywords: /\b(protector|topper|pad|cover|encasement)s?\b/i },
+    charge: { perUnit: 35 },
+    enabled: true
+  },
+  {
+    code: 'lithium-battery',
+    label: 'Lithium battery (dangerous goods)',
+    when: { keywords: /\b(lithium|li-ion|lipo|e-?bikes?|electric (bike|bicycle|scooter)s?|hoverboards?|power ?banks?|power stations?)\b/i },
+    charge: { perUnit: 60 },
+    enabled: true
+  },
+  {
+    code: 'flammable',
+    label: 'Flammable goods (hazmat)',
+    // Propane and butane only as the gas itself, worded as in screening.js: a propane grill or fire pit ships empty
+    when: { keywords: /\b(flammable|(propane|butane) (tanks?|cylinders?|canisters?|bottles?|refills?)|kerosene|gasoline|aerosols?|lighter fluid|paint thinner|lamp oil|fire ?starters?)\b/i,
+            excludeKeywords: /\b(tanks?|cylinders?|cans?) (gauges?|covers?|adapters?|hoses?|regulators?|racks?|holders?|stands?|carriers?|caddy|caddies|organi[sz]ers?)\b/i },
+    charge: { perUnit: 75 },
+    enabled: true
+  },
+  {
+    code: 'high-value',
+    label: 'High-value handling (2%)',
+    when: { declaredValueOver: 500 },
+    charge: { valueRate: 0.02 },
+    enabled: true
+  },
+  {
+    code: 'warehouse-club',
+    label: 'Warehouse club pickup',
+    when: { retailers: ['costco'] },
+    charge: { perUnit: 10 },
+    enabled: false
+  }
+];
+
+// Default switches stored on the rate card: { oversize: true, ... }
+const SURCHARGE_DEFAULTS = SURCHARGE_RULES.reduce((defaults, rule) => {
+  defaults[rule.code] = rule.enabled;
+  return defaults;
+}, {});
+
+function roundMoney(amount) {
+  return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+// Rule switches on top of the defaults; unknown codes and non-boolean values are ignored
+function resolveSurchargeToggles(...sources) {
+  const toggles = { ...SURCHARGE_DEFAULTS };
+  sources.forEach(source => {
+    Object.entries(source || {}).forEach(([code, enabled]) => {
+      if (code in toggles && typeof enabled === 'boolean') toggles[code] = enabled;
+    });
+  });
+  return toggles;
+}
+
+// Largest of the given boxes (or the item itself) by its longest side; girth is length + 2 × (width + height)
+function measure(boxes) {
+  return (boxes || []).reduce((largest, box) => {
+    const sides = [box.length, box.width, box.height].map(Number).sort((a, b) => b - a);
+    return {
+      longestSide: Math.max(largest.longestSide, sides[0]),
+      girth: Math.max(largest.girth, sides[0] + 2 * (sides[1] + sides[2]))
+    };
+  }, { longestSide: 0, girth: 0 });
+}
+
+function matches(when, item, size) {
+  const weight = Number(item.weight) || 0;
+  const name = String(item.name || '');
+
+  if (when.longestSideOver != null && !(size.longestSide > when.longestSideOver)) return false;
+  if (when.girthOver != null && !(size.girth > when.girthOver)) return false;
+  if (when.weightOver != null && !(weight > when.weightOver)) return false;
+  if (when.declaredValueOver != null && !(item.unitPrice > when.declaredValueOver)) return false;
+  if (when.categories && !when.categories.includes(item.category)) return false;
+  if (when.keywords && !when.keywords.test(name)) return false;
+  if (when.excludeKeywords && when.excludeKeywords.test(name)) return false;
+  if (when.retailers && !when.retailers.includes(getRetailer(item.retailer).key)) return false;
+  return true;
+}
+
+// item: a normalized quote item ({ name, retailer, category, unitPrice, quantity, weight, dimensions, boxes });
+// returns [{ code, label, amount }] for every enabled rule it meets
+function evaluateSurcharges(item, toggles = SURCHARGE_DEFAULTS) {
+  const size = measure(item.dimensions ? [item.dimensions] : item.boxes);
+
+  return SURCHARGE_RULES
+    .filter(rule => toggles[rule.code] && matches(rule.when, item, size))
+    .map(rule => {
+      const amount = rule.charge.valueRate != null
+        ? item.unitPrice * item.quantity * rule.charge.valueRate
+        : rule.charge.perUnit * item.quantity;
+      return { code: rule.code, label: rule.label, amount: roundMoney(amount) };
+    })
+    .filter(surcharge => surcharge.amount > 0);
+}
+
+// Rule list for the admin rate card panel; patterns are shown as text
+function describeSurchargeRules() {
+  return SURCHARGE_RULES.map(rule => ({
+    code: rule.code,
+    label: rule.label,
+    when: Object.fromEntries(Object.entries(rule.when).map(([key, value]) => [key, value instanceof RegExp ? value.source : value])),
+    charge: rule.charge,
+    enabledByDefault: rule.enabled
+  }));
+}
+
+module.exports = {
+  SURCHARGE_RULES,
+  SURCHARGE_DEFAULTS,
+  resolveSurchargeToggles,
+  evaluateSurcharges,
+  describeSurchargeRules
+};
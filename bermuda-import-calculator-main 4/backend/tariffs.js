@@ -0,0 +1,74 @@
+// backend/tariffs.js - Bermuda import duty by goods type
+// Duty is charged per item on its cost at the rate for its goods type; wharfage is a separate
+// flat percentage from the rate card that applies to every import, duty-free or not.
+// Reduced and exempt rates must be kept in step with the Bermuda Customs Tariff when the Budget changes them.
+
+// Categories from categorizeProduct that do not pay the standard rate-card duty
+const CATEGORY_TARIFFS = {
+  'books': { dutyRate: 0, description: 'Books and printed matter (exempt)' },
+  'toys': { dutyRate: 0.10, description: "Children's toys and games (reduced)" }
+};
+
+// HS code prefixes (4-8 digits) that override the category; the longest matching prefix wins
+const HS_TARIFFS = [
+  { prefix: '4901', dutyRate: 0, description: 'Printed books, brochures and leaflets (exempt)' },
+  { prefix: '4902', dutyRate: 0, description: 'Newspapers, journals and periodicals (exempt)' },
+  { prefix: '4903', dutyRate: 0, description: "Children's picture, drawing and colouring books (exempt)" },
+  { prefix: '6111', dutyRate: 0, description: "Babies' garments and clothing accessories, knitted (exempt)" },
+  { prefix: '6209', dutyRate: 0, description: "Babies' garments and clothing accessories (exempt)" },
+  { prefix: '9503', dutyRate: 0.10, description: "Children's toys, dolls and puzzles (reduced)" },
+  { prefix: '9504', dutyRate: null, description: 'Video game consoles, board and table games' }
+];
+
+// Digits only, at least a 4-digit heading; "9503.00.00" and "950300" are the same code
+function normalizeHsCode(hsCode) {
+  if (hsCode == null) return null;
+  const digits = String(hsCode).replace(/[^0-9]/g, '');
+  return digits.length >= 4 ? digits.slice(0, 10) : null;
+}
+
+function findHsTariff(hsCode) {
+  return HS_TARIFFS
+    .filter(tariff => hsCode.startsWith(tariff.prefix))
+    .sort((a, b) => b.prefix.length - a.prefix.length)[0] || null;
+}
+
+// Returns { dutyRate, source: 'hs-code' | 'category' | 'standard', hsCode, description };
+// a tariff without its own rate (dutyRate: null) pays the standard rate from the rate card
+function resolveTariff({ category = 'general', hsCode = null } = {}, standardDutyRate) {
+  const code = normalizeHsCode(hsCode);
+  const hsTariff = code ? findHsTariff(code) : null;
+
+  if (hsTariff) {
+    return {
+      dutyRate: hsTariff.dutyRate != null ? hsTariff.dutyRate : standardDutyRate,
+      source: 'hs-code',
+      hsCode: code,
+      description: hsTariff.description
+    };
+  }
+
+  const categoryTariff = CATEGORY_TARIFFS[category];
+  if (categoryTariff) {
+    return {
+      dutyRate: categoryTariff.dutyRate,
+      source: 'category',
+      hsCode: code,
+      description: categoryTariff.description
+    };
+  }
+
+  return {
+    dutyRate: standardDutyRate,
+    source: 'standard',
+    hsCode: code,
+    description: 'Standard rate'
+  };
+}
+
+module.exports = {
+  CATEGORY_TARIFFS,
+  HS_TARIFFS,
+  normalizeHsCode,
+  resolveTariff
+};
@@ -1,21 +1,29 @@
 // backend/zyteScraper.js - Fixed Zyte API Integration with Automatic Extraction
 const axios = require('axios');
 const cheerio = require('cheerio');
+const retailers = require('./retailers');
+const { logger } = require('./logger');
+const { recordZyteRequest, recordZyteResult } = require('./metrics');
+const { BudgetError } = require('./providerBudget');
+
+const log = logger.child({ component: 'zyte' });
 
 class ZyteScraper {
-  constructor() {
+  // options.budget: a ProviderBudget every Zyte request goes through (spending caps and circuit breaker)
+  constructor(options = {}) {
     this.apiKey = process.env.ZYTE_API_KEY;
+    this.budget = options.budget || null;
     this.enabled = !!this.apiKey;
     this.baseURL = 'https://api.zyte.com/v1/extract';
     
-    console.log('🕷️ ZyteScraper Constructor:');
-    console.log(`   API Key: ${this.apiKey ? '✅ SET' : '❌ MISSING'}`);
-    console.log(`   Status: ${this.enabled ? '✅ ENABLED (v4.0 - Fixed Price Parsing)' : '❌ DISABLED'}`);
+    log.debug('🕷️ ZyteScraper Constructor:');
+    log.debug(`   API Key: ${this.apiKey ? '✅ SET' : '❌ MISSING'}`);
+    log.debug(`   Status: ${this.enabled ? '✅ ENABLED (v4.0 - Fixed Price Parsing)' : '❌ DISABLED'}`);
     
     if (!this.enabled) {
-      console.log('   ⚠️ Set ZYTE_API_KEY environment variable to enable Zyte scraping');
+      log.warn('⚠️ Set ZYTE_API_KEY environment variable to enable Zyte scraping');
     } else {
-      console.log('   🎯 Ready to use Zyte API with automatic product extraction and smart price parsing');
+      log.debug('   🎯 Ready to use Zyte API with automatic product extraction and smart price parsing');
     }
   }
 
@@ -25,7 +33,7 @@ class ZyteScraper {
     }
 
     const retailer = this.detectRetailer(url);
-    console.log(`🕷️ Zyte scraping ${retailer}: ${url.substring(0, 60)}...`);
+    log.info(`🕷️ Zyte scraping ${retailer}: ${url.substring(0, 60)}...`);
     
     try {
       const strategies = [
@@ -60,10 +68,10 @@ class ZyteScraper {
       let lastGoodResult = null;
       
       for (const strategy of strategies) {
-        console.log(`   🎯 Trying strategy: ${strategy.name}`);
+        log.debug(`   🎯 Trying strategy: ${strategy.name}`);
         
         try {
-          const response = await axios.post(this.baseURL, strategy.payload, {
+          const request = () => axios.post(this.baseURL, strategy.payload, {
             auth: {
               username: this.apiKey,
               password: ''
@@ -75,28 +83,42 @@ class ZyteScraper {
             },
             timeout: 60000
           });
+          const response = this.budget ? await this.budget.run(request) : await request();
           
-          console.log(`   ✅ Strategy ${strategy.name} succeeded!`);
-          console.log('📊 Response status:', response.status);
+          log.debug(`   ✅ Strategy ${strategy.name} succeeded!`);
+          log.debug('📊 Response status:', response.status);
           
           if (response.data && response.data.product) {
             const confidence = response.data.product.metadata?.probability;
-            console.log(`   🎯 Confidence: ${confidence ? (confidence * 100).toFixed(1) + '%' : 'unknown'}`);
+            log.debug(`   🎯 Confidence: ${confidence ? (confidence * 100).toFixed(1) + '%' : 'unknown'}`);
             
             if (confidence && confidence > 0.8) {
-              console.log(`   🚀 High confidence result with strategy: ${strategy.name}`);
+              log.debug(`   🚀 High confidence result with strategy: ${strategy.name}`);
+              recordZyteRequest(strategy.name, 'high-confidence');
+              recordZyteResult(strategy.name);
               return this.parseZyteResponse(response.data, url, retailer);
             } else if (confidence && confidence > 0.3) {
-              console.log(`   ⚠️ Medium confidence result with strategy: ${strategy.name}, continuing...`);
+              log.debug(`   ⚠️ Medium confidence result with strategy: ${strategy.name}, continuing...`);
+              recordZyteRequest(strategy.name, 'medium-confidence');
               // Store this result but try next strategy
               lastGoodResult = { data: response.data, strategy: strategy.name };
+              continue;
             }
           }
           
-          console.log(`   ⚠️ Strategy ${strategy.name} low/no confidence, trying next...`);
+          log.debug(`   ⚠️ Strategy ${strategy.name} low/no confidence, trying next...`);
+          recordZyteRequest(strategy.name, 'low-confidence');
           
         } catch (error) {
-          console.log(`   ❌ Strategy ${strategy.name} failed: ${error.message}`);
+          // Budget spent or circuit open: no point trying the other strategies
+          if (error instanceof BudgetError) {
+            log.info(`   ⏸️ Zyte strategy ${strategy.name} skipped: ${error.message}`);
+            recordZyteRequest(strategy.name, 'skipped');
+            lastError = error;
+            break;
+          }
+          log.debug(`   ❌ Strategy ${strategy.name} failed: ${error.message}`);
+          recordZyteRequest(strategy.name, 'error');
           lastError = error;
           continue;
         }
@@ -104,7 +126,8 @@ class ZyteScraper {
       
       // If we have a medium confidence result, use it
       if (lastGoodResult) {
-        console.log(`   📊 Using medium confidence result from ${lastGoodResult.strategy}`);
+        log.debug(`   📊 Using medium confidence result from ${lastGoodResult.strategy}`);
+        recordZyteResult(lastGoodResult.strategy);
         return this.parseZyteResponse(lastGoodResult.data, url, retailer);
       }
       
@@ -117,7 +140,7 @@ class ZyteScraper {
 
   async scrapeProductFallback(url) {
     const retailer = this.detectRetailer(url);
-    console.log('🔄 Fallback scraping with browser HTML...');
+    log.info('🔄 Fallback scraping with browser HTML...');
     
     try {
       const requestPayload = {
@@ -130,11 +153,8 @@ class ZyteScraper {
         }
       };
       
-      console.log('🚨 DEBUG: Exact request payload:', JSON.stringify(requestPayload, null, 2));
-      console.log('🚨 DEBUG: API Key (first 8 chars):', this.apiKey.substring(0, 8) + '...');
-      console.log('🚨 DEBUG: Base URL:', this.baseURL);
+      log.debug('🚨 DEBUG: Exact request payload:', JSON.stringify(requestPayload));
       
-      // DEBUG: Log exact axios config
       const axiosConfig = {
         auth: {
           username: this.apiKey,
@@ -148,14 +168,12 @@ class ZyteScraper {
         timeout: 90000  // Increased to 90 seconds for complex pages
       };
       
-      console.log('🚨 DEBUG: Exact axios config:', JSON.stringify(axiosConfig, null, 2));
-      
       // Use the EXACT same format as Zyte playground - simplified request
       const response = await axios.post(this.baseURL, requestPayload, axiosConfig);
 
-      console.log('✅ Zyte request completed successfully');
-      console.log('📊 Response status:', response.status);
-      console.log('📊 Response headers:', JSON.stringify(response.headers, null, 2));
+      log.info('✅ Zyte request completed successfully');
+      log.debug('📊 Response status:', response.status);
+      log.debug('📊 Response headers:', JSON.stringify(response.headers));
       
       if (!response.data) {
         throw new Error('No data received from Zyte API');
@@ -164,7 +182,7 @@ class ZyteScraper {
       // Parse the Zyte response using automatic extraction data
       const productData = this.parseZyteResponse(response.data, url, retailer);
       
-      console.log('📦 Zyte extraction results:', {
+      log.info('📦 Zyte extraction results:', {
         hasName: !!productData.name,
         hasPrice: !!productData.price,
         hasImage: !!productData.image,
@@ -182,18 +200,21 @@ class ZyteScraper {
   }
 
   handleZyteError(error) {
-    console.error('❌ Zyte scraping failed:', error.message);
+    // Held back by the budget, already logged; not a failure
+    if (error instanceof BudgetError) throw error;
+
+    log.error('❌ Zyte scraping failed:', error.message);
     
     if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
+      log.error('Response status:', error.response.status);
+      log.error('Response data:', error.response.data);
       
       if (error.response.status === 401) {
-        console.error('❌ Authentication failed - check Zyte API key');
+        log.error('❌ Authentication failed - check Zyte API key');
       } else if (error.response.status === 403) {
-        console.error('❌ Access forbidden - check Zyte subscription');
+        log.error('❌ Access forbidden - check Zyte subscription');
       } else if (error.response.status >= 500) {
-        console.error('❌ Zyte server error - try again later');
+        log.error('❌ Zyte server error - try again later');
       }
     }
     
@@ -201,30 +222,30 @@ class ZyteScraper {
   }
 
   parseZyteResponse(data, url, retailer) {
-    console.log('🔍 Parsing Zyte response with automatic extraction...');
+    log.debug('🔍 Parsing Zyte response with automatic extraction...');
     
     // Debug what we received
-    console.log('📊 Response confidence:', data.product?.metadata?.probability);
-    console.log('📊 Has product data:', !!data.product);
-    console.log('📊 Browser HTML length:', data.browserHtml?.length || 0);
+    log.debug('📊 Response confidence:', data.product?.metadata?.probability);
+    log.debug('📊 Has product data:', !!data.product);
+    log.debug('📊 Browser HTML length:', data.browserHtml?.length || 0);
     
     // Enhanced debugging - log ALL available data
     if (data.product) {
-      console.log('📊 Full Zyte product data structure:');
-      console.log('   - Name:', data.product.name);
-      console.log('   - Price fields:', {
+      log.debug('📊 Full Zyte product data structure:');
+      log.debug('   - Name:', data.product.name);
+      log.debug('   - Price fields:', {
         price: data.product.price,
         salePrice: data.product.salePrice,
         currentPrice: data.product.currentPrice,
         regularPrice: data.product.regularPrice,
         listPrice: data.product.listPrice
       });
-      console.log('   - Images:', data.product.images?.length || 0, 'found');
-      console.log('   - Variants:', data.product.variants?.length || 0, 'found');
-      console.log('   - Additional properties:', data.product.additionalProperties?.length || 0, 'found');
-      console.log('   - Breadcrumbs:', data.product.breadcrumbs?.length || 0, 'found');
-      console.log('   - Brand:', data.product.brand);
-      console.log('   - Availability:', data.product.availability);
+      log.debug('   - Images:', data.product.images?.length || 0, 'found');
+      log.debug('   - Variants:', data.product.variants?.length || 0, 'found');
+      log.debug('   - Additional properties:', data.product.additionalProperties?.length || 0, 'found');
+      log.debug('   - Breadcrumbs:', data.product.breadcrumbs?.length || 0, 'found');
+      log.debug('   - Brand:', data.product.brand);
+      log.debug('   - Availability:', data.product.availability);
     }
     
     const productData = {
@@ -238,25 +259,27 @@ class ZyteScraper {
       inStock: true,
       variant: null,
       allVariants: [],
+      currency: null,
       confidence: null
     };
 
     // Priority 1: Use Zyte's automatic product extraction
     if (data.product) {
       const product = data.product;
-      console.log('   ✅ Using Zyte automatic extraction data with confidence:', product.metadata?.probability);
+      log.debug('   ✅ Using Zyte automatic extraction data with confidence:', product.metadata?.probability);
       
       // Product name
       productData.name = product.name || null;
       if (productData.name) {
         productData.name = productData.name.trim().substring(0, 200);
-        console.log('   📝 Product name:', productData.name.substring(0, 50) + '...');
+        log.debug('   📝 Product name:', productData.name.substring(0, 50) + '...');
       }
 
       // Enhanced price parsing - use the main price from Zyte (it's already the correct sale price)
       if (product.price) {
         productData.price = this.extractBestPrice(product);
-        console.log('   💰 Final Price: $' + productData.price);
+        productData.currency = product.currency || null;
+        log.debug('   💰 Final Price: $' + productData.price);
       }
 
       // Enhanced image extraction - prefer high-quality variant images
@@ -265,27 +288,31 @@ class ZyteScraper {
         const mainImageUrl = product.mainImage?.url || product.images[0]?.url || product.images[0];
         if (mainImageUrl && mainImageUrl.startsWith('http')) {
           productData.image = mainImageUrl;
-          console.log('   🖼️ Main Image: Found');
+          log.debug('   🖼️ Main Image: Found');
         }
       } else if (product.mainImage && product.mainImage.url) {
         productData.image = product.mainImage.url;
-        console.log('   🖼️ Main Image: Found');
+        log.debug('   🖼️ Main Image: Found');
       }
 
       // Brand
       if (product.brand && product.brand.name) {
         productData.brand = product.brand.name;
-        console.log('   🏷️ Brand:', productData.brand);
+        log.debug('   🏷️ Brand:', productData.brand);
       }
 
       // Category from breadcrumbs
       if (product.breadcrumbs && Array.isArray(product.breadcrumbs) && product.breadcrumbs.length > 0) {
+        productData.breadcrumbs = product.breadcrumbs
+          .map(crumb => (typeof crumb === 'object' ? crumb.name : crumb))
+          .filter(Boolean);
         const lastCrumb = product.breadcrumbs[product.breadcrumbs.length - 1];
         productData.category = typeof lastCrumb === 'object' ? lastCrumb.name : lastCrumb;
-        console.log('   📂 Category:', productData.category);
+        log.debug('   📂 Category:', productData.category);
       } else if (product.breadcrumbs && typeof product.breadcrumbs === 'string') {
+        productData.breadcrumbs = product.breadcrumbs.split(' / ').filter(Boolean);
         productData.category = product.breadcrumbs.split(' / ').pop() || null;
-        console.log('   📂 Category:', productData.category);
+        log.debug('   📂 Category:', productData.category);
       }
 
       // Enhanced variant extraction using Zyte's rich variant data
@@ -298,13 +325,13 @@ class ZyteScraper {
       // Extract dimensions using comprehensive method
       productData.dimensions = this.extractDimensions(product);
       if (productData.dimensions) {
-        console.log('   📏 Dimensions extracted:', `${productData.dimensions.length}" × ${productData.dimensions.width}" × ${productData.dimensions.height}"`);
+        log.debug('   📏 Dimensions extracted:', `${productData.dimensions.length}" × ${productData.dimensions.width}" × ${productData.dimensions.height}"`);
       }
       
       // Extract weight if available
       productData.weight = this.extractWeight(product);
       if (productData.weight) {
-        console.log('   ⚖️ Weight extracted:', productData.weight, 'lbs');
+        log.debug('   ⚖️ Weight extracted:', productData.weight, 'lbs');
       }
       
       // Store all variants
@@ -313,34 +340,33 @@ class ZyteScraper {
       // Create a comprehensive primary variant
       if (variants.length > 0) {
         productData.variant = variants.join(' • ');
-        console.log('   🎯 Final variants:', productData.variant);
+        log.debug('   🎯 Final variants:', productData.variant);
       }
 
       // Availability
       if (product.availability) {
         productData.inStock = product.availability.toLowerCase() === 'instock';
-        console.log('   📦 In Stock:', productData.inStock);
+        log.debug('   📦 In Stock:', productData.inStock);
       }
 
-
       // Confidence score
       if (product.metadata && product.metadata.probability) {
         productData.confidence = parseFloat(product.metadata.probability);
-        console.log('   🎯 Confidence:', (productData.confidence * 100).toFixed(1) + '%');
+        log.debug('   🎯 Confidence:', (productData.confidence * 100).toFixed(1) + '%');
       }
 
-      console.log('   ✅ Zyte extraction successful!');
+      log.debug('   ✅ Zyte extraction successful!');
       return productData;
     }
 
-    console.log('   ✅ Zyte parsing completed!');
+    log.debug('   ✅ Zyte parsing completed!');
 
     return productData;
   }
 
   // Enhanced price extraction with priority for sale prices
   extractBestPrice(product) {
-    console.log('   🔍 Extracting best price from Zyte data...');
+    log.debug('   🔍 Extracting best price from Zyte data...');
     
     // Priority order: sale/current prices first, then regular prices
     const priceFields = [
@@ -369,13 +395,13 @@ class ZyteScraper {
         }
         
         if (parsedPrice && parsedPrice > 0 && parsedPrice < 50000) {
-          console.log(`   💰 Using ${label}: $${parsedPrice}`);
+          log.debug(`   💰 Using ${label}: $${parsedPrice}`);
           return parsedPrice;
         }
       }
     }
     
-    console.log('   ❌ No valid price found in any field');
+    log.debug('   ❌ No valid price found in any field');
     return null;
   }
 
@@ -384,14 +410,14 @@ class ZyteScraper {
     const variants = [];
     const variantData = {};
     
-    console.log('   🎨 Extracting variants from Zyte data...');
+    log.debug('   🎨 Extracting variants from Zyte data...');
     
     // Method 1: Use Zyte's variants array (highest quality)
     if (product.variants && Array.isArray(product.variants)) {
-      console.log(`   📊 Found ${product.variants.length} variants in Zyte array`);
+      log.debug(`   📊 Found ${product.variants.length} variants in Zyte array`);
       
       product.variants.forEach((variant, index) => {
-        console.log(`   🔍 Variant ${index + 1}:`, variant);
+        log.debug(`   🔍 Variant ${index + 1}:`, variant);
         
         // Extract color
         if (variant.color) {
@@ -450,7 +476,7 @@ class ZyteScraper {
     
     // Method 3: Extract from additionalProperties (rich data source)
     if (product.additionalProperties && Array.isArray(product.additionalProperties)) {
-      console.log(`   📊 Found ${product.additionalProperties.length} additional properties`);
+      log.debug(`   📊 Found ${product.additionalProperties.length} additional properties`);
       
       product.additionalProperties.forEach(prop => {
         const propName = prop.name?.toLowerCase();
@@ -479,9 +505,9 @@ class ZyteScraper {
     const uniqueVariants = [...new Set(variants)];
     
     if (uniqueVariants.length > 0) {
-      console.log('   ✅ Extracted variants:', uniqueVariants);
+      log.debug('   ✅ Extracted variants:', uniqueVariants);
     } else {
-      console.log('   ⚠️ No variants found');
+      log.debug('   ⚠️ No variants found');
     }
     
     return {
@@ -503,7 +529,7 @@ class ZyteScraper {
 
   // Comprehensive dimension extraction
   extractDimensions(product) {
-    console.log('   📏 Extracting dimensions from Zyte data...');
+    log.debug('   📏 Extracting dimensions from Zyte data...');
     
     // Method 1: Check additionalProperties for dimension data
     if (product.additionalProperties && Array.isArray(product.additionalProperties)) {
@@ -516,7 +542,7 @@ class ZyteScraper {
           if (propName.includes('dimension') || propName.includes('size') || propName === 'overall') {
             const dims = this.parseDimensionString(propValue);
             if (dims) {
-              console.log(`   ✅ Dimensions from ${prop.name}:`, dims);
+              log.debug(`   ✅ Dimensions from ${prop.name}:`, dims);
               return dims;
             }
           }
@@ -528,7 +554,7 @@ class ZyteScraper {
     if (product.size) {
       const dims = this.parseDimensionString(product.size);
       if (dims) {
-        console.log('   ✅ Dimensions from size field:', dims);
+        log.debug('   ✅ Dimensions from size field:', dims);
         return dims;
       }
     }
@@ -539,13 +565,13 @@ class ZyteScraper {
       if (text && typeof text === 'string') {
         const dims = this.parseDimensionString(text);
         if (dims) {
-          console.log('   ✅ Dimensions from text field:', dims);
+          log.debug('   ✅ Dimensions from text field:', dims);
           return dims;
         }
       }
     }
     
-    console.log('   ⚠️ No dimensions found');
+    log.debug('   ⚠️ No dimensions found');
     return null;
   }
 
@@ -590,7 +616,7 @@ class ZyteScraper {
 
   // Extract weight information
   extractWeight(product) {
-    console.log('   ⚖️ Extracting weight from Zyte data...');
+    log.debug('   ⚖️ Extracting weight from Zyte data...');
     
     // Check additionalProperties for weight
     if (product.additionalProperties && Array.isArray(product.additionalProperties)) {
@@ -601,7 +627,7 @@ class ZyteScraper {
           if (propName.includes('weight')) {
             const weight = this.parseWeightString(prop.value);
             if (weight) {
-              console.log(`   ✅ Weight from ${prop.name}: ${weight} lbs`);
+              log.debug(`   ✅ Weight from ${prop.name}: ${weight} lbs`);
               return weight;
             }
           }
@@ -615,13 +641,13 @@ class ZyteScraper {
       if (text) {
         const weight = this.parseWeightString(text);
         if (weight) {
-          console.log('   ✅ Weight from text field:', weight, 'lbs');
+          log.debug('   ✅ Weight from text field:', weight, 'lbs');
           return weight;
         }
       }
     }
     
-    console.log('   ⚠️ No weight found');
+    log.debug('   ⚠️ No weight found');
     return null;
   }
 
@@ -719,22 +745,22 @@ class ZyteScraper {
       '.price'
     ];
     
-    console.log('   🔍 Searching for price in HTML...');
+    log.debug('   🔍 Searching for price in HTML...');
     
     // First, try to find sale prices
     for (const selector of salePriceSelectors) {
       const elements = $(selector);
-      console.log(`   🔍 Checking sale price selector: ${selector} (${elements.length} elements)`);
+      log.debug(`   🔍 Checking sale price selector: ${selector} (${elements.length} elements)`);
       
       elements.each((i, el) => {
         const priceText = $(el).text().trim();
-        console.log(`   💰 Sale price text found: "${priceText}"`);
+        log.debug(`   💰 Sale price text found: "${priceText}"`);
         
         const priceMatch = priceText.match(/\$?(\d{1,4}(?:,\d{3})*(?:\.\d{2})?)/);
         if (priceMatch) {
           const price = parseFloat(priceMatch[1].replace(/,/g, ''));
           if (price >= 10 && price <= 10000) {
-            console.log(`   ✅ SALE PRICE FOUND: $${price} from ${selector}`);
+            log.debug(`   ✅ SALE PRICE FOUND: $${price} from ${selector}`);
             return price;
           }
         }
@@ -742,23 +768,23 @@ class ZyteScraper {
     }
     
     // If no sale price found, look for regular prices
-    console.log('   ⚠️ No sale price found, checking regular prices...');
+    log.debug('   ⚠️ No sale price found, checking regular prices...');
     let foundPrices = [];
     
     for (const selector of regularPriceSelectors) {
       const elements = $(selector);
-      console.log(`   🔍 Checking regular price selector: ${selector} (${elements.length} elements)`);
+      log.debug(`   🔍 Checking regular price selector: ${selector} (${elements.length} elements)`);
       
       elements.each((i, el) => {
         const priceText = $(el).text().trim();
-        console.log(`   💰 Regular price text: "${priceText}"`);
+        log.debug(`   💰 Regular price text: "${priceText}"`);
         
         const priceMatch = priceText.match(/\$?(\d{1,4}(?:,\d{3})*(?:\.\d{2})?)/);
         if (priceMatch) {
           const price = parseFloat(priceMatch[1].replace(/,/g, ''));
           if (price >= 10 && price <= 10000) {
             foundPrices.push({ price, selector, text: priceText });
-            console.log(`   ✅ Regular price found: $${price} from ${selector}`);
+            log.debug(`   ✅ Regular price found: $${price} from ${selector}`);
           }
         }
       });
@@ -767,7 +793,7 @@ class ZyteScraper {
     // Return the first regular price found
     if (foundPrices.length > 0) {
       const bestPrice = foundPrices[0];
-      console.log(`   🎯 Using regular price $${bestPrice.price} from ${bestPrice.selector}`);
+      log.debug(`   🎯 Using regular price $${bestPrice.price} from ${bestPrice.selector}`);
       return bestPrice.price;
     }
     
@@ -793,7 +819,7 @@ class ZyteScraper {
       
       if (validPrices.length > 0) {
         if (pattern.source.includes('sale|now|current|special|save')) {
-          console.log(`   ✅ SALE PRICE found in HTML pattern: $${validPrices[0]}`);
+          log.debug(`   ✅ SALE PRICE found in HTML pattern: $${validPrices[0]}`);
           return validPrices[0];
         } else {
           const priceFreq = {};
@@ -801,13 +827,13 @@ class ZyteScraper {
           const mostCommonPrice = Object.keys(priceFreq).reduce((a, b) => 
             priceFreq[a] > priceFreq[b] ? a : b
           );
-          console.log(`   ✅ Most common regular price in HTML: $${mostCommonPrice}`);
+          log.debug(`   ✅ Most common regular price in HTML: $${mostCommonPrice}`);
           return parseFloat(mostCommonPrice);
         }
       }
     }
     
-    console.log('   ❌ No valid price found in HTML at all');
+    log.debug('   ❌ No valid price found in HTML at all');
     return null;
   }
 
@@ -910,38 +936,14 @@ class ZyteScraper {
     productData.variant = variants.length > 0 ? variants.join(' | ') : null;
     
     if (variants.length > 0) {
-      console.log('   🎨 HTML variants found:', variants);
+      log.debug('   🎨 HTML variants found:', variants);
     }
     
     return productData;
   }
 
   detectRetailer(url) {
-    try {
-      const domain = new URL(url).hostname.toLowerCase();
-      if (domain.includes('amazon.com')) return 'Amazon';
-      if (domain.includes('wayfair.com')) return 'Wayfair';
-      if (domain.includes('target.com')) return 'Target';
-      if (domain.includes('walmart.com')) return 'Walmart';
-      if (domain.includes('bestbuy.com')) return 'Best Buy';
-      if (domain.includes('homedepot.com')) return 'Home Depot';
-      if (domain.includes('lowes.com')) return 'Lowes';
-      if (domain.includes('costco.com')) return 'Costco';
-      if (domain.includes('macys.com')) return 'Macys';
-      if (domain.includes('ikea.com')) return 'IKEA';
-      if (domain.includes('lunafurn.com')) return 'Luna Furniture';
-      if (domain.includes('overstock.com')) return 'Overstock';
-      if (domain.includes('cb2.com')) return 'CB2';
-      if (domain.includes('crateandbarrel.com')) return 'Crate & Barrel';
-      if (domain.includes('westelm.com')) return 'West Elm';
-      if (domain.includes('potterybarn.com')) return 'Pottery Barn';
-      if (domain.includes('ashleyfurniture.com')) return 'Ashley Furniture';
-      if (domain.includes('roomstogo.com')) return 'Rooms To Go';
-      if (domain.includes('livingspaces.com')) return 'Living Spaces';
-      return 'Unknown';
-    } catch (e) {
-      return 'Unknown';
-    }
+    return retailers.detectRetailer(url);
   }
 }
 
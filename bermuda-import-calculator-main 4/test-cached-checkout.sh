@@ -0,0 +1,100 @@
+#!/bin/bash
+
+# Check that a product served from the scrape cache can still be ordered
+# Scrapes the same page twice (the second answer comes from the cache), stores a pending order and creates
+# a draft order for it with the id the cached answer returned, as the complete-order page does. Start the calculator first, pointed at the Shopify stand-in:
+#   SHOPIFY_API_BASE_URL=http://localhost:4001/admin/api/2023-10 SHOPIFY_ACCESS_TOKEN=test npm start
+
+CALCULATOR="${CALCULATOR:-http://localhost:3000}"
+SHOPIFY_STAND_IN_PORT=4001
+PAGE_STAND_IN_PORT=4002
+RUN=$(date +%s)
+PRODUCT_URL="http://localhost:$PAGE_STAND_IN_PORT/furniture/test-bookcase-$RUN"
+
+# Stand-ins for a retailer product page (name, price and image in schema.org data, enough for a scrape) and the Shopify Admin API
+node -e "
+  const http = require('http');
+  http.createServer((req, res) => {
+    const product = {
+      '@context': 'https://schema.org', '@type': 'Product', name: 'Test Bookcase',
+      image: 'http://localhost:${PAGE_STAND_IN_PORT}/test-bookcase.jpg',
+      offers: { '@type': 'Offer', price: '199.99', priceCurrency: 'USD' },
+      depth: { value: 12, unitCode: 'INH' }, width: { value: 36, unitCode: 'INH' }, height: { value: 72, unitCode: 'INH' }
+    };
+    res.setHeader('Content-Type', 'text/html');
+    res.end('<html><head><script type=\"application/ld+json\">' + JSON.stringify(product) + '</script></head><body></body></html>');
+  }).listen(${PAGE_STAND_IN_PORT});
+  let next = 1;
+  http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.method === 'POST' && req.url.endsWith('/draft_orders.json')) {
+      const id = ${RUN}000 + next++;
+      res.end(JSON.stringify({ draft_order: { id, name: '#D' + id, invoice_url: 'http://localhost:${SHOPIFY_STAND_IN_PORT}/invoices/' + id } }));
+    } else {
+      res.statusCode = 404;
+      res.end('{\"errors\":\"Not Found\"}');
+    }
+  }).listen(${SHOPIFY_STAND_IN_PORT});
+" &
+STAND_IN_PID=$!
+trap 'kill $STAND_IN_PID 2>/dev/null' EXIT
+sleep 1
+
+scrape() {
+  curl -s -X POST "$CALCULATOR/api/scrape" \
+    --header "Content-Type: application/json" \
+    --data "{\"urls\":[\"$PRODUCT_URL\"]}"
+}
+
+echo "=== First scrape ==="
+FIRST=$(scrape)
+echo "$FIRST" | head -c 300; echo ""
+FIRST_ID=$(echo "$FIRST" | sed -n 's/^{"products":\[{"id":"\([^"]*\)".*/\1/p')
+
+echo ""
+echo "=== Second scrape (should be cached, same id) ==="
+SECOND=$(scrape)
+echo "$SECOND" | head -c 300; echo ""
+PRODUCT_ID=$(echo "$SECOND" | sed -n 's/^{"products":\[{"id":"\([^"]*\)".*/\1/p')
+
+if [ -z "$PRODUCT_ID" ] || ! echo "$SECOND" | grep -q '"cached":true'; then
+  echo "Second scrape was not served from the cache; is SCRAPE_CACHE_TTL_HOURS set to 0?"
+  exit 1
+fi
+if [ "$PRODUCT_ID" != "$FIRST_ID" ]; then
+  echo "FAIL: cached scrape returned id $PRODUCT_ID, the scrape record is $FIRST_ID"
+  exit 1
+fi
+
+PRODUCTS="[{ \"id\": \"$PRODUCT_ID\", \"name\": \"Test Bookcase\", \"url\": \"$PRODUCT_URL\", \"price\": 199.99, \"quantity\": 1 }]"
+
+echo ""
+echo "=== Pending order for the cached product (should be stored) ==="
+PENDING=$(curl -s -X POST "$CALCULATOR/api/store-pending-order" \
+  --header "Content-Type: application/json" \
+  --data "{ \"products\": $PRODUCTS, \"deliveryFees\": {} }")
+echo "$PENDING"
+PENDING_ORDER_ID=$(echo "$PENDING" | sed -n 's/.*"orderId":"\([^"]*\)".*/\1/p')
+if [ -z "$PENDING_ORDER_ID" ]; then
+  echo "FAIL: the cached product could not be stored as a pending order"
+  exit 1
+fi
+
+echo ""
+echo "=== Draft order for pending order $PENDING_ORDER_ID (should be created) ==="
+DRAFT=$(curl -s -w '\nHTTP %{http_code}' -X POST "$CALCULATOR/apps/instant-import/create-draft-order" \
+  --header "Content-Type: application/json" \
+  --data "{
+    \"customer\": { \"name\": \"Test Customer\", \"email\": \"test@example.com\" },
+    \"originalUrls\": \"$PRODUCT_URL\",
+    \"pendingOrderId\": \"$PENDING_ORDER_ID\",
+    \"products\": $PRODUCTS
+  }")
+echo "$DRAFT"
+if ! echo "$DRAFT" | grep -q 'HTTP 200'; then
+  echo "FAIL: the cached product could not be ordered"
+  exit 1
+fi
+
+echo ""
+echo "=== Test completed ==="
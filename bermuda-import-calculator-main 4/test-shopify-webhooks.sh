@@ -0,0 +1,119 @@
+#!/bin/bash
+
+# Test the Shopify webhook receiver against a local stand-in for Shopify
+# Start the calculator first, pointed at the stand-in:
+#   SHOPIFY_API_BASE_URL=http://localhost:4001/admin/api/2023-10 SHOPIFY_ACCESS_TOKEN=test \
+#   SHOPIFY_WEBHOOK_SECRET=test-secret STAFF_ADMIN_USERNAME=admin STAFF_ADMIN_PASSWORD=change-me-now npm start
+# STAFF_USERNAME / STAFF_PASSWORD log in to read the tracking record (any staff role will do)
+
+CALCULATOR="${CALCULATOR:-http://localhost:3000}"
+SECRET="${SHOPIFY_WEBHOOK_SECRET:-test-secret}"
+STAND_IN_PORT=4001
+PAGE_STAND_IN_PORT=4002
+STAFF_USERNAME="${STAFF_USERNAME:-admin}"
+STAFF_PASSWORD="${STAFF_PASSWORD:-change-me-now}"
+COOKIES=$(mktemp)
+RUN=$(date +%s)
+
+# Stand-ins for a retailer product page, scraped first because draft orders are priced from our scrape
+# record, and for the Shopify Admin API, which answers draft order creation like Shopify does
+node -e "
+  const http = require('http');
+  http.createServer((req, res) => {
+    const product = {
+      '@context': 'https://schema.org', '@type': 'Product', name: 'Test Bookcase',
+      image: 'http://localhost:${PAGE_STAND_IN_PORT}/test-bookcase.jpg',
+      offers: { '@type': 'Offer', price: '199.99', priceCurrency: 'USD' },
+      depth: { value: 12, unitCode: 'INH' }, width: { value: 36, unitCode: 'INH' }, height: { value: 72, unitCode: 'INH' }
+    };
+    res.setHeader('Content-Type', 'text/html');
+    res.end('<html><head><script type=\"application/ld+json\">' + JSON.stringify(product) + '</script></head><body></body></html>');
+  }).listen(${PAGE_STAND_IN_PORT});
+  let next = 1;
+  http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    if (req.method === 'POST' && req.url.endsWith('/draft_orders.json')) {
+      const id = ${RUN}000 + next++;
+      res.end(JSON.stringify({ draft_order: { id, name: '#D' + id, invoice_url: 'http://localhost:${STAND_IN_PORT}/invoices/' + id } }));
+    } else if (req.method === 'POST' && req.url.endsWith('/send_invoice.json')) {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => res.end(JSON.stringify(JSON.parse(body))));
+    } else {
+      res.statusCode = 404;
+      res.end('{\"errors\":\"Not Found\"}');
+    }
+  }).listen(${STAND_IN_PORT});
+" &
+STAND_IN_PID=$!
+trap 'kill $STAND_IN_PID 2>/dev/null; rm -f "$COOKIES"' EXIT
+sleep 1
+
+# Signs the body with the webhook secret and posts it as the given topic
+send_webhook() {
+  local topic="$1" webhook_id="$2" body="$3" hmac="${4:-}"
+  if [ -z "$hmac" ]; then
+    hmac=$(printf '%s' "$body" | openssl dgst -sha256 -hmac "$SECRET" -binary | base64)
+  fi
+  echo "--- $topic ($webhook_id)"
+  curl -s -X POST "$CALCULATOR/webhooks/shopify" \
+    --header "Content-Type: application/json" \
+    --header "X-Shopify-Topic: $topic" \
+    --header "X-Shopify-Webhook-Id: $webhook_id" \
+    --header "X-Shopify-Hmac-Sha256: $hmac" \
+    --data "$body"
+  echo ""
+}
+
+PRODUCT_URL="http://localhost:$PAGE_STAND_IN_PORT/furniture/test-bookcase"
+PRODUCT_ID=$(curl -s -X POST "$CALCULATOR/api/scrape" \
+  --header "Content-Type: application/json" \
+  --data "{\"urls\":[\"$PRODUCT_URL\"]}" | sed -n 's/^{"products":\[{"id":"\([^"]*\)".*/\1/p')
+
+echo "=== Creating a draft order for product $PRODUCT_ID through the stand-in ==="
+DRAFT=$(curl -s -X POST "$CALCULATOR/apps/instant-import/create-draft-order" \
+  --header "Content-Type: application/json" \
+  --header "Idempotency-Key: webhook-test-$RUN" \
+  --data "{
+    \"customer\": { \"name\": \"Test Customer\", \"email\": \"test@example.com\" },
+    \"sendInvoice\": true,
+    \"originalUrls\": \"$PRODUCT_URL\",
+    \"products\": [{ \"id\": \"$PRODUCT_ID\", \"name\": \"Test Bookcase\", \"url\": \"$PRODUCT_URL\", \"price\": 199.99, \"quantity\": 2 }]
+  }")
+echo "$DRAFT"
+
+DRAFT_ORDER_ID=$(echo "$DRAFT" | sed -n 's/.*"draftOrderId":\([0-9]*\).*/\1/p')
+QUOTE_ID=$(echo "$DRAFT" | sed -n 's/.*"quoteId":"\([^"]*\)".*/\1/p')
+ORDER_ID="${RUN}999"
+if [ -z "$DRAFT_ORDER_ID" ]; then
+  echo "Draft order was not created; is the calculator running against the stand-in?"
+  exit 1
+fi
+
+echo ""
+echo "=== Webhooks for draft $DRAFT_ORDER_ID, quote $QUOTE_ID, order $ORDER_ID ==="
+send_webhook "draft_orders/update" "wh-$RUN-1" "{\"id\":$DRAFT_ORDER_ID,\"status\":\"invoice_sent\",\"order_id\":null}"
+send_webhook "draft_orders/update" "wh-$RUN-2" "{\"id\":$DRAFT_ORDER_ID,\"status\":\"completed\",\"order_id\":$ORDER_ID}"
+send_webhook "orders/paid" "wh-$RUN-3" "{\"id\":$ORDER_ID,\"name\":\"#$RUN\",\"note\":\"Import Calculator Order\n\nQuote: $QUOTE_ID\",\"financial_status\":\"paid\"}"
+
+echo ""
+echo "=== Same delivery again (should be ignored) ==="
+send_webhook "orders/paid" "wh-$RUN-3" "{\"id\":$ORDER_ID,\"name\":\"#$RUN\",\"note\":\"Import Calculator Order\n\nQuote: $QUOTE_ID\",\"financial_status\":\"paid\"}"
+
+echo ""
+echo "=== Bad signature (should be 401) ==="
+send_webhook "orders/paid" "wh-$RUN-4" "{\"id\":$ORDER_ID}" "bm90IGEgc2lnbmF0dXJl"
+
+echo ""
+echo "=== Tracking created for the paid order ==="
+curl -s -c "$COOKIES" -X POST "$CALCULATOR/api/auth/login" \
+  --header "Content-Type: application/json" \
+  --data "{\"username\":\"$STAFF_USERNAME\",\"password\":\"$STAFF_PASSWORD\"}" > /dev/null
+curl -s -b "$COOKIES" "$CALCULATOR/api/orders/$ORDER_ID/tracking-status"
+echo ""
+
+echo ""
+send_webhook "orders/cancelled" "wh-$RUN-5" "{\"id\":$ORDER_ID,\"name\":\"#$RUN\",\"cancel_reason\":\"customer\"}"
+
+echo ""
+echo "=== Test completed ==="